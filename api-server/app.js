@@ -0,0 +1,415 @@
+/**
+ * The API as an Express app, without listen(), so the server and in-process
+ * tests build it the same way. Security policy (CORS, rate limits, logging)
+ * comes from the config profile, see config.js.
+ *
+ * The analyze routes use the same handler as the callable functions
+ * (functions/shared/analysis/handler.js); this file only maps its results
+ * and errors to HTTP.
+ *
+ * Every request gets an X-Request-Id and one structured log line, and is
+ * counted in the Prometheus metrics served at GET /metrics.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const sharp = require('sharp');
+const multer = require('multer');
+const { VisionProviderError, createVisionProvider } = require('../functions/shared/vision');
+const { AnalysisParseError, MAX_IMAGES, analysisErrorStatus, createAnalysisHandler } = require('../functions/shared/analysis');
+const { groundAnalysis, lookupProduct, parseBarcodeRequest, productMeal, recomputeMeal } = require('../functions/shared/nutrition');
+const { bearerToken, firebaseAdminOptions, requireAdmin, requireFirebaseAuth } = require('../functions/shared/auth');
+const { createQuota } = require('../functions/shared/quota');
+const { createUsageLedger, parseUsageReportRequest } = require('../functions/shared/usage');
+const { createMealLog, parseMealOptions, parseSummaryRequest, summarizeNutrition } = require('../functions/shared/meals');
+const { createAnalysisCacheFromConfig } = require('../functions/shared/cache');
+const { createImageUploadMiddleware, createImagePreprocessor } = require('../functions/shared/image');
+const { createWorkoutRouter, createWorkoutStore } = require('../functions/shared/workouts');
+const { createUpstreamClient } = require('../functions/shared/upstream');
+const { REQUEST_ID_HEADER, createLogger, requestLogging } = require('../functions/shared/logging');
+const { METRICS_CONTENT_TYPE, createServiceMetrics } = require('../functions/shared/metrics');
+const { serverConfigFromEnv } = require('./config');
+
+// firebase-admin, initialized once from FIREBASE_SERVICE_ACCOUNT,
+// FIREBASE_PROJECT_ID and FIREBASE_STORAGE_BUCKET
+function defaultFirebaseAdmin() {
+  const admin = require('firebase-admin');
+  if (!admin.apps.length) {
+    admin.initializeApp(firebaseAdminOptions(admin));
+  }
+  return admin;
+}
+
+// Requests with no Origin header (mobile apps, curl) are always allowed
+function corsOptions(allowedOrigins) {
+  return {
+    origin: allowedOrigins === '*' ? '*' : function(origin, callback) {
+      if (!origin) return callback(null, true);
+      if (allowedOrigins.indexOf(origin) === -1) {
+        const msg = 'The CORS policy for this site does not allow access from the specified Origin.';
+        return callback(new Error(msg), false);
+      }
+      return callback(null, true);
+    },
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    // Browsers only show scripts the request ID when it's exposed
+    exposedHeaders: [REQUEST_ID_HEADER],
+    credentials: allowedOrigins !== '*'
+  };
+}
+
+/**
+ * Build the app. Everything has a default for production use; tests pass
+ * their own `config`, `admin` (anything with auth(), firestore() and
+ * storage()), `fetch`, `logger` or `metrics`. The built provider, quota,
+ * usage ledger, logger and metrics are on `app.locals`.
+ */
+function createApp({
+  config = serverConfigFromEnv(),
+  admin = defaultFirebaseAdmin(),
+  fetch = require('node-fetch'),
+  logger = createLogger(config.logging),
+  metrics = createServiceMetrics()
+} = {}) {
+  const app = express();
+  const db = admin.firestore();
+
+  // OpenAI calls time out, retry and trip a circuit breaker (UPSTREAM_*);
+  // every attempt is timed for upstream_request_duration_seconds
+  const upstream = createUpstreamClient({
+    fetch,
+    ...config.upstream,
+    logger,
+    onAttempt: (attempt) => metrics.observeUpstream(attempt)
+  });
+
+  // Vision provider is selected with VISION_PROVIDER / VISION_MODEL
+  const visionProvider = createVisionProvider({ ...config.vision, fetch, upstream });
+
+  // Firebase Admin verifies client ID tokens and stores per-user daily quotas
+  const requireAuth = requireFirebaseAuth(admin.auth());
+  const quota = createQuota({ db, limits: config.quotaLimits });
+
+  // Tokens and estimated cost of every model call, per user, day and route
+  const usageLedger = createUsageLedger({ db, prices: config.modelPrices, logger });
+
+  // Food log; meal photos are only kept when FIREBASE_STORAGE_BUCKET is set
+  const mealLog = createMealLog({
+    db,
+    bucket: config.storageBucket ? admin.storage().bucket() : null
+  });
+
+  // Uploads are decoded, checked and re-encoded before they leave the server
+  // (IMAGE_MAX_BYTES, IMAGE_MAX_DIMENSION, IMAGE_JPEG_QUALITY)
+  const imagePreprocessor = createImagePreprocessor({ sharp, ...config.image });
+
+  // /api/analyze-food also takes multipart/form-data and raw image/* bodies
+  const imageUpload = createImageUploadMiddleware({ express, multer, maxBytes: imagePreprocessor.maxBytes });
+
+  // /api/analyze-meal takes up to MAX_IMAGES files in the `images` field
+  const multiImageUpload = createImageUploadMiddleware({
+    express,
+    multer,
+    maxBytes: imagePreprocessor.maxBytes,
+    maxFiles: MAX_IMAGES
+  });
+
+  // Repeated images are answered from a local LRU, plus Firestore when
+  // ANALYSIS_CACHE_PERSISTENT=true
+  const analysisCache = createAnalysisCacheFromConfig({ ...config.cache, db, logger });
+
+  const analysis = createAnalysisHandler({
+    provider: visionProvider,
+    imagePreprocessor,
+    analysisCache,
+    quota,
+    mealLog,
+    debug: config.debug,
+    logger,
+    metrics,
+    usageLedger
+  });
+
+  app.locals.config = config;
+  app.locals.visionProvider = visionProvider;
+  app.locals.quota = quota;
+  app.locals.usageLedger = usageLedger;
+  app.locals.logger = logger;
+  app.locals.metrics = metrics;
+
+  // Per-IP request limit on the /api routes; RATE_LIMIT=0 turns it off
+  const limiter = config.rateLimit > 0
+    ? rateLimit({
+      windowMs: 60 * 1000, // 1 minute
+      max: config.rateLimit,
+      standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+      legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+      message: {
+        status: 429,
+        message: 'Too many requests, please try again later.'
+      }
+    })
+    : (req, res, next) => next();
+
+  // Request ID, log line and request metrics for everything below
+  app.use(requestLogging({ logger, metrics }));
+
+  app.use(cors(corsOptions(config.allowedOrigins)));
+
+  // Body parser middleware
+  app.use(express.json({ limit: '10mb' }));
+
+  // Middleware to check for OpenAI API key
+  const checkApiKey = (req, res, next) => {
+    if (!visionProvider.isConfigured()) {
+      logger.error('OpenAI API key not configured');
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error: OpenAI API key not set'
+      });
+    }
+    next();
+  };
+
+  // Answer an analysis failure the client should hear about; returns false
+  // for unexpected errors
+  function sendAnalysisError(res, error) {
+    const status = analysisErrorStatus(error);
+    if (!status) return false;
+    if (error instanceof VisionProviderError) {
+      logger.error('Vision provider error', { error });
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    } else if (error instanceof AnalysisParseError) {
+      logger.error('Analysis response rejected', { error });
+    }
+    res.status(status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.quota ? { quota: error.quota } : {})
+    });
+    return true;
+  }
+
+  // Route for one of the analysis handler's methods
+  function analysisRoute(method) {
+    return async (req, res) => {
+      try {
+        const result = await analysis[method](req.user.uid, req.body, { endpoint: req.route.path });
+        res.set('X-Cache', result.cache.hit ? 'HIT' : 'MISS');
+        return res.json({
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        if (sendAnalysisError(res, error)) return;
+        logger.error('Server error', { error });
+        return res.status(500).json({
+          success: false,
+          error: 'Server error processing request'
+        });
+      }
+    };
+  }
+
+  // Define routes
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Food Analyzer API Server',
+      status: 'operational'
+    });
+  });
+
+  // Prometheus scrape endpoint; behind METRICS_TOKEN when one is set
+  app.get('/metrics', (req, res) => {
+    if (config.metricsToken && bearerToken(req.get('Authorization')) !== config.metricsToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Metrics token required',
+        code: 'unauthenticated'
+      });
+    }
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    return res.send(metrics.render());
+  });
+
+  // OpenAI proxy endpoint for food analysis
+  app.post('/api/analyze-food', limiter, requireAuth, checkApiKey, imageUpload, analysisRoute('analyzeImage'));
+
+  // Several photos of one meal - different angles, or before and after eating -
+  // analysed together into a single meal
+  app.post('/api/analyze-meal', limiter, requireAuth, checkApiKey, multiImageUpload, analysisRoute('analyzeMeal'));
+
+  // Log food from a written description, e.g. "two eggs and toast with butter"
+  app.post('/api/analyze-text', limiter, requireAuth, checkApiKey, analysisRoute('analyzeText'));
+
+  // Log a packaged product by its UPC/EAN barcode, from the bundled product table
+  app.post('/api/lookup-barcode', limiter, requireAuth, async (req, res) => {
+    let request;
+    let mealOptions;
+    try {
+      request = parseBarcodeRequest(req.body);
+      mealOptions = parseMealOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    const product = lookupProduct(request.barcode);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: `No product found for barcode ${request.barcode}`,
+        code: 'product_not_found'
+      });
+    }
+
+    try {
+      const meal = groundAnalysis(productMeal(product, request));
+      const data = { ...meal, product };
+
+      if (mealOptions) {
+        try {
+          data.mealId = await mealLog.saveMeal(req.user.uid, { analysis: meal, options: mealOptions, source: 'barcode' });
+        } catch (error) {
+          logger.error('Failed to save meal', { error });
+          data.mealId = null;
+        }
+      }
+
+      return res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Server error', { error });
+      return res.status(500).json({
+        success: false,
+        error: 'Server error processing request'
+      });
+    }
+  });
+
+  // Recalculate a meal after ingredient weights were edited, without a new image analysis
+  app.post('/api/recompute-meal', limiter, requireAuth, (req, res) => {
+    try {
+      const issues = [];
+      const recomputed = recomputeMeal(req.body, issues);
+      if (issues.length) {
+        logger.warn('Recomputed meal with issues', { issues });
+      }
+      return res.json({
+        success: true,
+        data: groundAnalysis(recomputed),
+        issues
+      });
+    } catch (error) {
+      if (error.code) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+      logger.error('Server error', { error });
+      return res.status(500).json({
+        success: false,
+        error: 'Server error processing request'
+      });
+    }
+  });
+
+  // Calories and macros eaten per day, week or range, against the user's targets
+  app.get('/api/nutrition-summary', limiter, requireAuth, async (req, res) => {
+    let request;
+    try {
+      request = parseSummaryRequest(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    try {
+      const summary = await summarizeNutrition(db, req.user.uid, request);
+      return res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      logger.error('Nutrition summary error', { error });
+      return res.status(500).json({
+        success: false,
+        error: 'Server error building nutrition summary'
+      });
+    }
+  });
+
+  // Token spend and estimated cost per day, route, model and user, for
+  // admins only (the `admin` custom claim)
+  app.get('/api/admin/usage', limiter, requireAuth, requireAdmin, async (req, res) => {
+    let request;
+    try {
+      request = parseUsageReportRequest(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    try {
+      return res.json({
+        success: true,
+        data: await usageLedger.report(request)
+      });
+    } catch (error) {
+      logger.error('Usage report error', { error });
+      return res.status(500).json({
+        success: false,
+        error: 'Server error building usage report'
+      });
+    }
+  });
+
+  // Workout routines and session history
+  app.use(createWorkoutRouter({
+    express,
+    store: createWorkoutStore({ db }),
+    middleware: [limiter, requireAuth],
+    logger
+  }));
+
+  // Bodies over the JSON limit are rejected before any route runs
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: 'Request body is too large',
+        code: 'image_too_large'
+      });
+    }
+    next(error);
+  });
+
+  // Anything else, including CORS refusals, is logged and answered as JSON
+  app.use((error, req, res, next) => {
+    logger.error('Unhandled request error', { error });
+    if (res.headersSent) return next(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error processing request'
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,80 @@
+/**
+ * Server configuration. A profile sets the security policy, and individual
+ * environment variables override it:
+ *
+ *   production   origins from ALLOWED_ORIGINS only, RATE_LIMIT requests per
+ *                minute per IP (default 30), info-level logs. The default.
+ *   development  any origin, no rate limit, debug-level logs including the
+ *                provider answers.
+ *
+ * Select one with SERVER_PROFILE.
+ */
+
+const { analysisCacheConfigFromEnv } = require('../functions/shared/cache');
+const { imageConfigFromEnv } = require('../functions/shared/image');
+const { loggingConfigFromEnv } = require('../functions/shared/logging');
+const { quotaLimitsFromEnv } = require('../functions/shared/quota');
+const { upstreamConfigFromEnv } = require('../functions/shared/upstream');
+const { priceTableFromEnv } = require('../functions/shared/usage');
+const { visionConfigFromEnv } = require('../functions/shared/vision');
+
+const DEFAULT_PROFILE = 'production';
+
+const PROFILES = {
+  production: {
+    allowedOrigins: ['http://localhost:3000'],
+    rateLimit: 30,
+    debug: false
+  },
+  development: {
+    allowedOrigins: '*',
+    rateLimit: 0,
+    debug: true
+  }
+};
+
+class ServerConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServerConfigError';
+  }
+}
+
+// '*' allows any origin; anything else is a comma-separated allowlist
+function parseOrigins(value) {
+  if (value.trim() === '*') return '*';
+  return value.split(',').map((origin) => origin.trim()).filter(Boolean);
+}
+
+function serverConfigFromEnv(env = process.env) {
+  const profile = (env.SERVER_PROFILE || DEFAULT_PROFILE).toLowerCase();
+  const defaults = PROFILES[profile];
+  if (!defaults) {
+    throw new ServerConfigError(`Unknown SERVER_PROFILE: ${profile} (use ${Object.keys(PROFILES).join(' or ')})`);
+  }
+
+  const rateLimit = Number(env.RATE_LIMIT);
+  const debug = env.DEBUG_MODE !== undefined && env.DEBUG_MODE !== '' ? env.DEBUG_MODE === 'true' : defaults.debug;
+  return {
+    profile,
+    port: Number(env.PORT) || 3000,
+    allowedOrigins: env.ALLOWED_ORIGINS ? parseOrigins(env.ALLOWED_ORIGINS) : defaults.allowedOrigins,
+    // Requests per minute per IP on the /api routes; 0 turns the limit off
+    rateLimit: env.RATE_LIMIT !== undefined && env.RATE_LIMIT !== '' && rateLimit >= 0 ? rateLimit : defaults.rateLimit,
+    debug,
+    // LOG_LEVEL (default debug with DEBUG_MODE, else info) and LOG_REDACT
+    logging: loggingConfigFromEnv(env, debug ? 'debug' : 'info'),
+    // When set, GET /metrics needs `Authorization: Bearer <METRICS_TOKEN>`
+    metricsToken: env.METRICS_TOKEN || null,
+    storageBucket: env.FIREBASE_STORAGE_BUCKET || null,
+    vision: visionConfigFromEnv(env),
+    upstream: upstreamConfigFromEnv(env),
+    quotaLimits: quotaLimitsFromEnv(env),
+    // Model prices for the usage ledger, MODEL_PRICES as JSON
+    modelPrices: priceTableFromEnv(env),
+    cache: analysisCacheConfigFromEnv(env),
+    image: imageConfigFromEnv(env)
+  };
+}
+
+module.exports = { PROFILES, ServerConfigError, serverConfigFromEnv };
@@ -0,0 +1,370 @@
+// The Express app in-process: supertest drives it, Firebase Admin is the
+// in-memory fake and OpenAI is the local mock server.
+const fetch = require('node-fetch');
+const request = require('supertest');
+const sharp = require('sharp');
+const { createApp } = require('../app');
+const { serverConfigFromEnv } = require('../config');
+const { createLogger } = require('../../functions/shared/logging');
+const { SAMPLE_RESPONSE } = require('../../functions/shared/vision/mock');
+const { errorBody, fenced, startMockOpenAI } = require('../../functions/test/support/mockOpenAI');
+const { ADMIN_TOKEN, TEST_TOKEN, createFakeAdmin } = require('../../functions/test/support/fakeAdmin');
+const { testJpeg, testJpegDataUri } = require('../../functions/test/support/images');
+
+const AUTH = `Bearer ${TEST_TOKEN}`;
+const ADMIN_AUTH = `Bearer ${ADMIN_TOKEN}`;
+
+let openai;
+
+beforeAll(async () => {
+  openai = await startMockOpenAI();
+});
+
+afterAll(() => openai.close());
+
+beforeEach(() => {
+  // The server logs every failure; the assertions cover them
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  openai.reset();
+  jest.restoreAllMocks();
+});
+
+// A fresh app on its own fake Firestore; `env` overrides the test settings.
+// Its log lines are collected in `logs`.
+function buildApp(env = {}) {
+  const admin = createFakeAdmin();
+  const logs = [];
+  const app = createApp({
+    config: serverConfigFromEnv({
+      OPENAI_API_KEY: 'test-key',
+      OPENAI_BASE_URL: openai.baseUrl,
+      UPSTREAM_TIMEOUT_MS: '200',
+      UPSTREAM_DEADLINE_MS: '2000',
+      UPSTREAM_RETRIES: '0',
+      UPSTREAM_BREAKER_THRESHOLD: '100',
+      RATE_LIMIT: '0',
+      ...env
+    }),
+    admin,
+    fetch,
+    logger: createLogger({ level: 'debug', write: (line) => logs.push(JSON.parse(line)) })
+  });
+  return { app, admin, logs };
+}
+
+describe('analysis routes', () => {
+  let app;
+
+  beforeAll(() => {
+    ({ app } = buildApp());
+  });
+
+  test('GET / reports the server as operational', async () => {
+    const res = await request(app).get('/');
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('operational');
+  });
+
+  test('rejects a request without an ID token', async () => {
+    const res = await request(app).post('/api/analyze-food').send({ image: 'x' });
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('rejects an invalid ID token', async () => {
+    const res = await request(app).post('/api/analyze-food').set('Authorization', 'Bearer nope').send({ image: 'x' });
+    expect(res.status).toBe(401);
+  });
+
+  test('requires an image', async () => {
+    const res = await request(app).post('/api/analyze-food').set('Authorization', AUTH).send({});
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'Image data is required', code: 'missing_image' });
+  });
+
+  test('rejects an upload that is not an image', async () => {
+    const res = await request(app)
+      .post('/api/analyze-food')
+      .set('Authorization', AUTH)
+      .send({ image: Buffer.from('hello world, not a photo').toString('base64') });
+    expect(res.status).toBe(415);
+    expect(res.body.code).toBe('unsupported_media_type');
+    expect(openai.requests).toHaveLength(0);
+  });
+
+  test('rejects an image URL', async () => {
+    const res = await request(app).post('/api/analyze-food').set('Authorization', AUTH).send({ image: 'https://example.com/meal.jpg' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('image_url_not_supported');
+    expect(openai.requests).toHaveLength(0);
+  });
+
+  test('analyses a JSON upload and caches the answer', async () => {
+    const image = await testJpegDataUri(sharp);
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+
+    const res = await request(app).post('/api/analyze-food').set('Authorization', AUTH).send({ image });
+    expect(res.status).toBe(200);
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.meal[0]).toMatchObject({ dish: 'Grilled Chicken Salad', calories: 316 });
+    expect(res.body.quota).toMatchObject({ kind: 'imageAnalyses', used: 1 });
+
+    const again = await request(app).post('/api/analyze-food').set('Authorization', AUTH).send({ image });
+    expect(again.headers['x-cache']).toBe('HIT');
+    expect(openai.requests).toHaveLength(1);
+  });
+
+  test('analyses a multipart upload', async () => {
+    openai.reply({ content: fenced(SAMPLE_RESPONSE) });
+    const res = await request(app)
+      .post('/api/analyze-food')
+      .set('Authorization', AUTH)
+      .attach('image', await testJpeg(sharp), 'meal.jpg');
+    expect(res.status).toBe(200);
+    expect(res.body.data.meal).toHaveLength(1);
+  });
+
+  test('answers a garbage analysis with 502', async () => {
+    openai.reply({ content: 'Sorry, I cannot tell what this is.' });
+    const res = await request(app).post('/api/analyze-food').set('Authorization', AUTH).send({ image: await testJpegDataUri(sharp) });
+    expect(res.status).toBe(502);
+    expect(res.body.code).toBe('unparseable_response');
+  });
+
+  test('passes an OpenAI rate limit on with Retry-After', async () => {
+    openai.reply({ status: 429, headers: { 'retry-after': '20' }, body: errorBody('Rate limit reached') });
+    const res = await request(app).post('/api/analyze-food').set('Authorization', AUTH).send({ image: await testJpegDataUri(sharp) });
+    expect(res.status).toBe(503);
+    expect(res.headers['retry-after']).toBe('20');
+    expect(res.body.code).toBe('upstream_rate_limited');
+  });
+
+  test('answers an OpenAI timeout with 504', async () => {
+    openai.reply({ hang: true });
+    const res = await request(app).post('/api/analyze-food').set('Authorization', AUTH).send({ image: await testJpegDataUri(sharp) });
+    expect(res.status).toBe(504);
+    expect(res.body.code).toBe('upstream_timeout');
+  });
+
+  test('analyses several photos of one meal', async () => {
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+    const res = await request(app)
+      .post('/api/analyze-meal')
+      .set('Authorization', AUTH)
+      .send({ images: [await testJpegDataUri(sharp), await testJpegDataUri(sharp)], mode: 'multiview' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.imageCount).toBe(2);
+  });
+
+  test('analyses a meal description', async () => {
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+    const res = await request(app).post('/api/analyze-text').set('Authorization', AUTH).send({ text: 'chicken salad' });
+    expect(res.status).toBe(200);
+    expect(res.body.quota).toMatchObject({ kind: 'textAnalyses', used: 1 });
+  });
+
+  test('answers a description without food with 422', async () => {
+    openai.reply({ content: '{"meal": []}' });
+    const res = await request(app).post('/api/analyze-text').set('Authorization', AUTH).send({ text: 'a glass of water' });
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('no_food_found');
+  });
+
+  test('rejects an invalid barcode', async () => {
+    const res = await request(app).post('/api/lookup-barcode').set('Authorization', AUTH).send({ barcode: '12' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('invalid_barcode');
+  });
+
+  test('recomputes a meal for signed-in users only', async () => {
+    const meal = { meal: [{ dish: 'Toast', ingredients: [{ name: 'bread', grams: 80, per100g: { calories: 250, protein: 9, carbohydrates: 45, fat: 3 } }] }] };
+    expect((await request(app).post('/api/recompute-meal').send(meal)).status).toBe(401);
+
+    const res = await request(app).post('/api/recompute-meal').set('Authorization', AUTH).send(meal);
+    expect(res.status).toBe(200);
+    expect(res.body.data.meal[0].calories).toBe(200);
+  });
+
+  test('rejects a body over the JSON limit', async () => {
+    const res = await request(app)
+      .post('/api/analyze-food')
+      .set('Authorization', AUTH)
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ image: 'a'.repeat(11 * 1024 * 1024) }));
+    expect(res.status).toBe(413);
+    expect(res.body.code).toBe('image_too_large');
+  });
+});
+
+describe('quotas', () => {
+  test('stops at the daily allowance', async () => {
+    const { app } = buildApp({ QUOTA_TEXT_ANALYSES_PER_DAY: '1' });
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+    await request(app).post('/api/analyze-text').set('Authorization', AUTH).send({ text: 'one apple' }).expect(200);
+
+    const res = await request(app).post('/api/analyze-text').set('Authorization', AUTH).send({ text: 'two apples' });
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ success: false, code: 'quota_exceeded', quota: { limit: 1, remaining: 0 } });
+    expect(openai.requests).toHaveLength(1);
+  });
+});
+
+describe('profiles', () => {
+  test('production only allows the listed origins', async () => {
+    const { app } = buildApp({ SERVER_PROFILE: 'production', ALLOWED_ORIGINS: 'https://app.example.com' });
+    const allowed = await request(app).get('/').set('Origin', 'https://app.example.com');
+    expect(allowed.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    expect(allowed.headers['access-control-allow-credentials']).toBe('true');
+
+    const rejected = await request(app).get('/').set('Origin', 'https://evil.example.com');
+    expect(rejected.status).toBe(500);
+    expect(rejected.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('production rate limits the API routes', async () => {
+    const { app } = buildApp({ SERVER_PROFILE: 'production', RATE_LIMIT: '2' });
+    const recompute = () => request(app).post('/api/recompute-meal').set('Authorization', AUTH).send({});
+    expect((await recompute()).status).toBe(400);
+    expect((await recompute()).status).toBe(400);
+    const limited = await recompute();
+    expect(limited.status).toBe(429);
+    expect(limited.headers['ratelimit-limit']).toBe('2');
+  });
+
+  test('development allows any origin without a rate limit', async () => {
+    const { app } = buildApp({ SERVER_PROFILE: 'development', RATE_LIMIT: '' });
+    expect(app.locals.config).toMatchObject({ allowedOrigins: '*', rateLimit: 0, debug: true });
+
+    const res = await request(app).get('/').set('Origin', 'https://anywhere.example.com');
+    expect(res.headers['access-control-allow-origin']).toBe('*');
+    const recompute = await request(app).post('/api/recompute-meal').set('Authorization', AUTH).send({});
+    expect(recompute.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  test('refuses an unknown profile', () => {
+    expect(() => serverConfigFromEnv({ SERVER_PROFILE: 'staging' })).toThrow('Unknown SERVER_PROFILE: staging');
+  });
+});
+
+describe('workout history', () => {
+  test('filters by activity', async () => {
+    const { app } = buildApp();
+    const record = (body) => request(app).post('/api/workouts').set('Authorization', AUTH).send(body).expect(201);
+    await record({ title: 'Morning run', type: 'running', completedAt: '2026-10-18T07:00:00Z', durationMinutes: 30 });
+    await record({ title: 'Swim', type: 'swimming', completedAt: '2026-10-19T07:00:00Z', durationMinutes: 40 });
+
+    const res = await request(app).get('/api/workouts?activity=running').set('Authorization', AUTH);
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((workout) => workout.title)).toEqual(['Morning run']);
+  });
+
+  // No index covers both filters, so the query is refused before it reaches Firestore
+  test('rejects activity and routineId together', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get('/api/workouts?activity=running&routineId=r1').set('Authorization', AUTH);
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, code: 'invalid_query' });
+  });
+});
+
+describe('request IDs and logging', () => {
+  test("keeps the caller's request ID and logs the request with it", async () => {
+    const { app, logs } = buildApp();
+    const res = await request(app).get('/').set('X-Request-Id', 'client-req-1');
+    expect(res.headers['x-request-id']).toBe('client-req-1');
+    expect(logs).toContainEqual(expect.objectContaining({
+      severity: 'INFO',
+      message: 'Request completed',
+      requestId: 'client-req-1',
+      route: '/',
+      status: 200
+    }));
+  });
+
+  test('makes up an ID when the caller has none', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get('/').set('X-Request-Id', 'spaces are not allowed');
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('tags every line of a request and redacts what the user wrote', async () => {
+    const { app, logs } = buildApp();
+    openai.reply({ content: 'Sorry, no food here.' });
+    await request(app).post('/api/analyze-text').set('Authorization', AUTH).set('X-Request-Id', 'req-2').send({ text: 'mail ann@example.com' });
+
+    const lines = logs.filter((line) => line.requestId === 'req-2');
+    expect(lines.map((line) => line.message)).toEqual(expect.arrayContaining(['Provider answered', 'Request failed']));
+    expect(JSON.stringify(logs)).not.toContain('ann@example.com');
+    expect(JSON.stringify(logs)).not.toContain('Sorry, no food here.');
+  });
+});
+
+describe('GET /metrics', () => {
+  test('counts requests, upstream calls, tokens and parse outcomes', async () => {
+    const { app } = buildApp();
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+    await request(app).post('/api/analyze-text').set('Authorization', AUTH).send({ text: 'one apple' }).expect(200);
+    openai.reply({ content: 'Not a meal.' });
+    await request(app).post('/api/analyze-text').set('Authorization', AUTH).send({ text: 'two apples' }).expect(502);
+
+    const res = await request(app).get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(res.text).toContain('http_requests_total{method="POST",route="/api/analyze-text",status="200"} 1');
+    expect(res.text).toContain('http_requests_total{method="POST",route="/api/analyze-text",status="502"} 1');
+    expect(res.text).toContain('http_request_duration_seconds_count{method="POST",route="/api/analyze-text"} 2');
+    expect(res.text).toContain('upstream_request_duration_seconds_count{provider="openai",outcome="ok"} 2');
+    expect(res.text).toContain('model_tokens_total{model="gpt-4o",kind="textAnalyses",type="prompt"} 240');
+    expect(res.text).toContain('analysis_parses_total{kind="textAnalyses",outcome="ok"} 1');
+    expect(res.text).toContain('analysis_parses_total{kind="textAnalyses",outcome="unparseable_response"} 1');
+  });
+
+  test('requires METRICS_TOKEN when one is set', async () => {
+    const { app } = buildApp({ METRICS_TOKEN: 'scrape-secret' });
+    const denied = await request(app).get('/metrics');
+    expect(denied.status).toBe(401);
+    expect(denied.body).toMatchObject({ success: false, code: 'unauthenticated' });
+
+    const res = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('# TYPE http_requests_total counter');
+  });
+});
+
+describe('GET /api/admin/usage', () => {
+  test('reports spend per route and user to admins', async () => {
+    const { app } = buildApp({ MODEL_PRICES: '{"gpt-4o": {"prompt": 5, "completion": 20}}' });
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+    await request(app).post('/api/analyze-text').set('Authorization', AUTH).send({ text: 'one apple' }).expect(200);
+
+    const res = await request(app).get('/api/admin/usage').set('Authorization', ADMIN_AUTH);
+    expect(res.status).toBe(200);
+    expect(res.body.data.totals).toMatchObject({ calls: 1, promptTokens: 120, completionTokens: 80, costUsd: 0.0022, users: 1 });
+    expect(res.body.data.endpoints).toEqual([expect.objectContaining({ endpoint: '/api/analyze-text', calls: 1 })]);
+    expect(res.body.data.topUsers).toEqual([expect.objectContaining({ uid: 'user-1', totalTokens: 200 })]);
+  });
+
+  test('is refused to other users', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get('/api/admin/usage').set('Authorization', AUTH);
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ success: false, code: 'permission_denied' });
+  });
+
+  test('rejects a bad range', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get('/api/admin/usage?from=2026-02-01&to=2026-01-01').set('Authorization', ADMIN_AUTH);
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('invalid_usage_report');
+  });
+
+  test('refuses a malformed price table', () => {
+    expect(() => serverConfigFromEnv({ MODEL_PRICES: 'cheap' })).toThrow('Model prices are not valid JSON');
+  });
+});
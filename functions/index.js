@@ -1,160 +1,734 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const { analyzeFoodImageImpl, parseResult } = require('./simple');
-const fetch = require('node-fetch');
+const { createFunctionsVisionProvider, logger, openaiBaseUrl, openaiUpstream, parseExerciseImpl } = require('./simple');
+const sharp = require('sharp');
+const { AnalysisParseError, analysisErrorStatus, createAnalysisHandler } = require('./shared/analysis');
+const { groundAnalysis, lookupProduct, parseBarcodeRequest, productMeal, recomputeMeal } = require('./shared/nutrition');
+const { ChatProviderError, ChatRequestError, SUMMARY_MAX_TOKENS, buildChatRequest, chatCompletion, createCoachConversations, createCoachTools, describePersona, openEventStream, runWithTools, streamChatCompletion, toolContextMessage } = require('./shared/chat');
+const { isAdmin, verifyBearerToken } = require('./shared/auth');
+const { QuotaExceededError, createQuota, quotaLimits } = require('./shared/quota');
+const { createMealLog, parseMealOptions, parseSummaryRequest, summarizeNutrition } = require('./shared/meals');
+const { createAnalysisCacheFromConfig } = require('./shared/cache');
+const { ImageValidationError, createImagePreprocessor, imageConfig } = require('./shared/image');
+const { ExerciseRequestError, estimateExercise, parseExerciseModelResponse, parseExerciseRequest } = require('./shared/exercise');
+const { createProgressTracker } = require('./shared/workouts');
+const { VisionProviderError } = require('./shared/vision');
+const { REQUEST_ID_HEADER, requestIdFrom, runWithLogContext } = require('./shared/logging');
+const { UsageReportError, createUsageLedger, parseUsageReportRequest, priceTable } = require('./shared/usage');
 
 admin.initializeApp();
 
-// Analyze food image function
-exports.analyzeFoodImage = functions.https.onCall(async (data, context) => {
+// Daily per-user limits, overridable with
+// `firebase functions:config:set quota.image_analyses=30 quota.text_analyses=100 quota.coach_tokens=50000`
+const quotaConfig = functions.config().quota || {};
+const quota = createQuota({
+  db: admin.firestore(),
+  limits: quotaLimits({
+    imageAnalyses: quotaConfig.image_analyses,
+    textAnalyses: quotaConfig.text_analyses,
+    coachTokens: quotaConfig.coach_tokens
+  })
+});
+
+// Tokens and estimated cost of every model call, per user, day and function.
+// Prices are US dollars per million tokens, overridable with
+// `firebase functions:config:set usage.model_prices='{"gpt-4o":{"prompt":2.5,"completion":10}}'`.
+// A malformed table is logged and the default prices are used instead, since
+// it would otherwise fail every function at load.
+function usagePrices(overrides) {
   try {
-    // Validate input
-    if (!data.image) {
-      throw new functions.https.HttpsError("invalid-argument", "Image is required");
+    return priceTable(overrides);
+  } catch (error) {
+    logger.error("Ignoring usage.model_prices", { error });
+    return priceTable();
+  }
+}
+
+const usageLedger = createUsageLedger({
+  db: admin.firestore(),
+  prices: usagePrices((functions.config().usage || {}).model_prices),
+  logger
+});
+
+// The Coach and its conversation summaries use one model
+const COACH_MODEL = 'gpt-4o';
+
+// Uploads are decoded, checked and re-encoded before they leave the function
+// (image.max_bytes, image.max_dimension, image.jpeg_quality)
+const imageSettings = functions.config().image || {};
+const imagePreprocessor = createImagePreprocessor({
+  sharp,
+  ...imageConfig({
+    maxBytes: imageSettings.max_bytes,
+    maxDimension: imageSettings.max_dimension,
+    jpegQuality: imageSettings.jpeg_quality
+  })
+});
+
+// Repeated images are answered from a per-instance LRU, plus Firestore with
+// `firebase functions:config:set cache.persistent=true` (cache.size, cache.ttl_hours)
+const cacheConfig = functions.config().cache || {};
+const analysisCache = createAnalysisCacheFromConfig({
+  size: cacheConfig.size,
+  ttlHours: cacheConfig.ttl_hours,
+  persistent: cacheConfig.persistent,
+  db: admin.firestore(),
+  logger
+});
+
+// Callables only run for signed-in users
+function requireUid(context) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to use this feature");
+  }
+  return context.auth.uid;
+}
+
+// Every request gets an ID (the caller's X-Request-Id when usable), returned
+// in the same header when the response is still open, and log lines written
+// while it runs carry it. One line is logged when it finishes.
+function logCompletion(fields, started, error) {
+  const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+  const status = error ? (error.details && error.details.code) || error.code || "internal" : "ok";
+  logger.info("Request completed", { ...fields, status, durationMs });
+}
+
+function traced(handler) {
+  return async (data, context) => {
+    const rawRequest = context.rawRequest;
+    const requestId = requestIdFrom(rawRequest && rawRequest.get(REQUEST_ID_HEADER));
+    if (rawRequest && rawRequest.res && !rawRequest.res.headersSent) {
+      rawRequest.res.set(REQUEST_ID_HEADER, requestId);
     }
-    
-    // Get API key
-    const apiKey = functions.config().openai?.api_key;
-    if (!apiKey) {
+    const fields = {
+      requestId,
+      function: process.env.FUNCTION_TARGET,
+      ...(context.auth ? { uid: context.auth.uid } : {})
+    };
+    const started = process.hrtime.bigint();
+    return runWithLogContext({ requestId }, async () => {
+      try {
+        const result = await handler(data, context);
+        logCompletion(fields, started);
+        return result;
+      } catch (error) {
+        logCompletion(fields, started, error);
+        throw error;
+      }
+    });
+  };
+}
+
+// The same for onRequest functions, which own their response
+function tracedRequest(handler) {
+  return (req, res) => {
+    const requestId = requestIdFrom(req.get(REQUEST_ID_HEADER));
+    res.set(REQUEST_ID_HEADER, requestId);
+    res.set('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
+    const fields = { requestId, function: process.env.FUNCTION_TARGET, method: req.method };
+    const started = process.hrtime.bigint();
+    res.on('finish', () => logCompletion({ ...fields, httpStatus: res.statusCode }, started));
+    return runWithLogContext({ requestId }, () => handler(req, res));
+  };
+}
+
+// Run a quota operation, reporting an exhausted allowance as resource-exhausted
+async function withQuota(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      throw new functions.https.HttpsError("resource-exhausted", error.message, {
+        code: error.code,
+        quota: error.quota
+      });
+    }
+    throw error;
+  }
+}
+
+// OpenAI failures keep their stable upstream_* code in the details; the
+// status tells the client whether trying again later can help
+const UPSTREAM_HTTPS_STATUS = {
+  upstream_timeout: "deadline-exceeded",
+  upstream_rate_limited: "unavailable",
+  upstream_quota_exceeded: "unavailable",
+  upstream_unavailable: "unavailable",
+  upstream_circuit_open: "unavailable"
+};
+
+function upstreamHttpsError(prefix, error) {
+  logger.error(prefix, { error });
+  return new functions.https.HttpsError(UPSTREAM_HTTPS_STATUS[error.code] || "internal", `${prefix}: ${error.message}`, {
+    code: error.code,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+  });
+}
+
+// Rough usage (~4 characters per token) for when upstream usage is unknown
+function estimateUsage(messages, completion) {
+  const promptTokens = Math.ceil(messages.reduce((total, message) => total + (message.content || '').length, 0) / 4);
+  const completionTokens = Math.ceil(completion.length / 4);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+// Add `usage` to the running `total`, field by field
+function addUsage(total, usage) {
+  for (const field of Object.keys(total)) total[field] += (usage && usage[field]) || 0;
+  return total;
+}
+
+// Add a model call to the usage ledger. The call is already paid for, so a
+// bookkeeping failure is logged rather than surfaced.
+async function recordUsage(uid, endpoint, model, usage) {
+  try {
+    await usageLedger.record({ uid, endpoint, model, usage });
+  } catch (error) {
+    logger.error("Failed to record usage", { error });
+  }
+}
+
+// Charge the tokens of a finished Coach reply to the quota and the ledger;
+// the reply is already paid for, so a bookkeeping failure is logged rather
+// than surfaced
+async function recordCoachTokens(uid, usage, endpoint) {
+  await recordUsage(uid, endpoint, COACH_MODEL, usage);
+  try {
+    return await quota.record(uid, 'coachTokens', usage ? usage.total_tokens : 0);
+  } catch (error) {
+    logger.error("Failed to record coach tokens", { error });
+    return null;
+  }
+}
+
+// Coach conversations are stored per user; turns beyond the context budget
+// (coach.context_tokens, default 6000) are folded into a running summary
+const coachConversations = createCoachConversations({
+  db: admin.firestore(),
+  contextTokens: (functions.config().coach || {}).context_tokens,
+  logger,
+  summarize: (messages) => chatCompletion({
+    apiKey: functions.config().openai?.api_key,
+    model: COACH_MODEL,
+    messages,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    baseUrl: openaiBaseUrl,
+    upstream: openaiUpstream
+  })
+});
+
+// The Coach can look up the user's meals, workouts, targets and progress
+const coachTools = createCoachTools({ db: admin.firestore(), logger });
+
+// Older clients send the whole `messages` array; newer ones send `message`
+// and an optional `conversationId`, and the server keeps the history. Either
+// way the user's date (in `timeZone`, default UTC) follows the persona prompt
+// so the tools' "today" matches theirs. A summary made on the way is charged
+// to `endpoint`.
+async function prepareCoachChat(uid, data, endpoint) {
+  const timeZone = (data && data.timeZone) || 'UTC';
+  const context = toolContextMessage(timeZone);
+  const withContext = (messages) => [messages[0], context, ...messages.slice(1)];
+
+  if (data && data.messages !== undefined) {
+    const chat = buildChatRequest(data);
+    return { chat: { ...chat, messages: withContext(chat.messages), timeZone }, conversation: null };
+  }
+  const conversation = await coachConversations.prepare(uid, data || {});
+  if (conversation.summaryUsage) await recordCoachTokens(uid, conversation.summaryUsage, endpoint);
+  return {
+    chat: { persona: conversation.persona, messages: withContext(conversation.messages), timeZone },
+    conversation
+  };
+}
+
+// Let the model call the Coach tools for `uid` before it answers. `complete`
+// makes one upstream call; `onTool` hears about each lookup.
+function runCoachTools(uid, chat, complete, onTool = () => {}) {
+  return runWithTools({
+    messages: chat.messages,
+    tools: coachTools.definitions,
+    complete,
+    execute: (call) => {
+      onTool(call.function.name);
+      return coachTools.execute(uid, call, { timeZone: chat.timeZone });
+    }
+  });
+}
+
+// Store a finished exchange. The reply is already paid for, so a failed
+// write is logged rather than surfaced.
+async function saveCoachTurn(uid, conversation, content) {
+  try {
+    await coachConversations.commit(uid, conversation, content);
+  } catch (error) {
+    logger.error("Failed to save conversation", { error });
+  }
+  return conversation.id;
+}
+
+// Non-streaming Coach reply from OpenAI, after any tool lookups
+async function completeCoachReply(uid, chat) {
+  const apiKey = functions.config().openai?.api_key;
+  if (!apiKey) {
+    throw new functions.https.HttpsError("failed-precondition", "API key not configured");
+  }
+  try {
+    return await runCoachTools(uid, chat, ({ messages, tools, toolChoice }) => chatCompletion({
+      apiKey,
+      model: COACH_MODEL,
+      messages,
+      maxTokens: chat.persona.maxTokens,
+      tools,
+      toolChoice,
+      baseUrl: openaiBaseUrl,
+      upstream: openaiUpstream
+    }));
+  } catch (error) {
+    if (!(error instanceof ChatProviderError)) throw error;
+    throw upstreamHttpsError("Failed to get AI response", error);
+  }
+}
+
+// Conversation lookups report bad ids and missing conversations as HttpsErrors
+async function withConversation(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof ChatRequestError) {
+      const status = error.code === 'conversation_not_found' ? "not-found" : "invalid-argument";
+      throw new functions.https.HttpsError(status, error.message, { code: error.code });
+    }
+    throw error;
+  }
+}
+
+// The default bucket comes from FIREBASE_CONFIG, so resolve it on first use
+let mealLog;
+function getMealLog() {
+  if (!mealLog) {
+    mealLog = createMealLog({ db: admin.firestore(), bucket: admin.storage().bucket() });
+  }
+  return mealLog;
+}
+
+// Save an analysis to the user's food log. The analysis itself succeeded, so
+// a failed write is logged and reported as a null mealId instead of an error.
+async function logMeal(uid, entry) {
+  try {
+    return await getMealLog().saveMeal(uid, entry);
+  } catch (error) {
+    logger.error("Failed to save meal", { error });
+    return null;
+  }
+}
+
+// The analyze flow is shared with the Express server (shared/analysis/handler.js)
+const visionProvider = createFunctionsVisionProvider(functions.config().openai?.api_key);
+const analysisHandler = createAnalysisHandler({
+  provider: visionProvider,
+  imagePreprocessor,
+  analysisCache,
+  quota,
+  mealLog: { saveMeal: (uid, entry) => getMealLog().saveMeal(uid, entry) },
+  logger,
+  usageLedger
+});
+
+// HttpsError for a failed analysis. Bad requests keep their stable `code`
+// (and the Express status) in the details.
+function analysisHttpsError(error) {
+  if (error instanceof VisionProviderError) return upstreamHttpsError("Analysis failed", error);
+  if (error instanceof QuotaExceededError) {
+    return new functions.https.HttpsError("resource-exhausted", error.message, { code: error.code, quota: error.quota });
+  }
+  const status = analysisErrorStatus(error);
+  if (!status) return new functions.https.HttpsError("internal", error.message);
+  const details = { code: error.code };
+  if (error instanceof ImageValidationError) Object.assign(details, { status: error.status }, error.details);
+  if (error instanceof AnalysisParseError) details.issues = error.issues;
+  return status >= 500
+    ? new functions.https.HttpsError("internal", `Analysis failed: ${error.message}`, details)
+    : new functions.https.HttpsError("invalid-argument", error.message, details);
+}
+
+// Callable around one of the analysis handler's methods, accounted to
+// `endpoint` in the usage ledger. Callables answer with the analysis
+// itself, plus `cache` and `quota`.
+function analysisCallable(method, endpoint) {
+  return functions.https.onCall(traced(async (data, context) => {
+    const uid = requireUid(context);
+    if (!visionProvider.isConfigured()) {
       throw new functions.https.HttpsError("failed-precondition", "API key not configured");
     }
-    
-    // Process image
     try {
-      const content = await analyzeFoodImageImpl(data.image, apiKey);
-      return parseResult(content);
+      const result = await analysisHandler[method](uid, data || {}, { endpoint });
+      return { ...result.data, cache: result.cache, quota: result.quota };
     } catch (error) {
-      throw new functions.https.HttpsError("internal", `Analysis failed: ${error.message}`);
+      logger.error("Function error", { error });
+      throw analysisHttpsError(error);
     }
+  }));
+}
+
+// Analyze food image function
+exports.analyzeFoodImage = analysisCallable('analyzeImage', 'analyzeFoodImage');
+
+// Several photos of one meal - different angles, or before and after eating -
+// analysed together into a single meal
+exports.analyzeMealImages = analysisCallable('analyzeMeal', 'analyzeMealImages');
+
+// Log food from a written description, e.g. "two eggs and toast with butter"
+exports.analyzeFoodText = analysisCallable('analyzeText', 'analyzeFoodText');
+
+// Log a packaged product by its UPC/EAN barcode, from the bundled product table
+exports.lookupBarcode = functions.https.onCall(traced(async (data, context) => {
+  const uid = requireUid(context);
+  
+  let request;
+  let mealOptions;
+  try {
+    request = parseBarcodeRequest(data || {});
+    mealOptions = parseMealOptions(data || {});
   } catch (error) {
-    console.error("Function error:", error);
-    throw error instanceof functions.https.HttpsError ? 
-      error : 
-      new functions.https.HttpsError("internal", error.message);
+    throw new functions.https.HttpsError("invalid-argument", error.message, { code: error.code });
   }
-}); 
+  
+  const product = lookupProduct(request.barcode);
+  if (!product) {
+    throw new functions.https.HttpsError("not-found", `No product found for barcode ${request.barcode}`, {
+      code: 'product_not_found'
+    });
+  }
+  
+  const analysis = groundAnalysis(productMeal(product, request));
+  const result = { ...analysis, product };
+  if (mealOptions) {
+    result.mealId = await logMeal(uid, { analysis, options: mealOptions, source: 'barcode' });
+  }
+  return result;
+}));
 
-// AI chat streaming response - used by the Coach feature
-exports.streamAIResponse = functions.https.onCall(async (data, context) => {
+// Energy burned by a workout, from MET values and the user's body weight.
+// Takes a structured workout, a list of them, or a free-text description
+// (read with simple rules, or parsed by the model when `parse` is not false).
+exports.estimateExerciseCalories = functions.https.onCall(traced(async (data, context) => {
+  const uid = requireUid(context);
+  
+  let request;
   try {
-    // Validate input
-    if (!data.messages || !Array.isArray(data.messages)) {
-      throw new functions.https.HttpsError("invalid-argument", "Messages array is required");
+    request = parseExerciseRequest(data || {});
+  } catch (error) {
+    throw new functions.https.HttpsError("invalid-argument", error.message, { code: error.code });
+  }
+  
+  let allowance = null;
+  if (!request.workouts) {
+    if (data.parse === false) {
+      throw new functions.https.HttpsError("invalid-argument", "Could not understand the workout description", {
+        code: 'unparsed_exercise'
+      });
     }
     
-    // Get API key
-    const apiKey = functions.config().openai?.api_key;
-    if (!apiKey) {
+    const provider = createFunctionsVisionProvider(functions.config().openai?.api_key);
+    if (!provider.isConfigured()) {
       throw new functions.https.HttpsError("failed-precondition", "API key not configured");
     }
     
-    // Call OpenAI Chat API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        'model': 'gpt-4o',
-        'messages': data.messages,
-        'max_tokens': 2000
-      })
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`OpenAI API error: ${response.status}`, errorText);
-      throw new functions.https.HttpsError(
-        "internal",
-        `Failed to get AI response: API returned ${response.status}`
-      );
+    // A model parse costs the same as a meal description
+    allowance = await withQuota(() => quota.consume(uid, 'textAnalyses'));
+    let content;
+    try {
+      const parsed = await parseExerciseImpl(request.description, provider);
+      await recordUsage(uid, 'estimateExerciseCalories', parsed.model, parsed.usage);
+      content = parsed.content;
+    } catch (error) {
+      if (error instanceof VisionProviderError) throw upstreamHttpsError("Exercise parse failed", error);
+      logger.error("Function error", { error });
+      throw new functions.https.HttpsError("internal", `Exercise parse failed: ${error.message}`);
     }
-    
-    const responseData = await response.json();
-    
-    if (!responseData.choices || !responseData.choices[0] || !responseData.choices[0].message) {
-      throw new functions.https.HttpsError("internal", "Invalid response from OpenAI");
+    try {
+      const issues = [];
+      request.workouts = parseExerciseModelResponse(content, issues);
+      request.parsedBy = 'model';
+      if (issues.length) {
+        logger.warn("Exercise parse dropped entries", { issues });
+      }
+    } catch (error) {
+      if (!(error instanceof ExerciseRequestError)) throw error;
+      throw new functions.https.HttpsError("invalid-argument", error.message, { code: error.code });
     }
-    
-    const content = responseData.choices[0].message.content;
-    
-    // Create chunks for streaming simulation
-    const chunks = [];
-    const words = content.split(' ');
-    
-    // Break content into small chunks (3-5 words each)
-    for (let i = 0; i < words.length; i += 4) {
-      const end = Math.min(i + 3 + Math.floor(Math.random() * 3), words.length);
-      chunks.push(words.slice(i, end).join(' ') + (end < words.length ? ' ' : ''));
+  }
+  
+  const result = { ...estimateExercise(request), parsedBy: request.parsedBy };
+  if (request.description) result.description = request.description;
+  if (allowance) result.quota = allowance;
+  return result;
+}));
+
+// Calories and macros eaten per day, week or range, against the user's targets
+exports.getNutritionSummary = functions.https.onCall(traced(async (data, context) => {
+  const uid = requireUid(context);
+  
+  let request;
+  try {
+    request = parseSummaryRequest(data || {});
+  } catch (error) {
+    throw new functions.https.HttpsError("invalid-argument", error.message, { code: error.code });
+  }
+  
+  try {
+    return await summarizeNutrition(admin.firestore(), uid, request);
+  } catch (error) {
+    logger.error("Function error", { error });
+    throw new functions.https.HttpsError("internal", "Failed to build nutrition summary");
+  }
+}));
+
+// Keep users/{uid}/stats/progress (records, weekly volume, streaks) in step
+// with the workout history, so clients never scan it themselves
+const workoutProgress = createProgressTracker({ db: admin.firestore() });
+exports.updateWorkoutProgress = functions.firestore
+  .document('users/{uid}/workouts/{workoutId}')
+  .onWrite(async (change, context) => {
+    await workoutProgress.workoutWritten(context.params.uid, context.params.workoutId, {
+      before: change.before.exists ? change.before.data() : null,
+      after: change.after.exists ? change.after.data() : null,
+      eventId: context.eventId
+    });
+  });
+
+// Recalculate a meal after ingredient weights were edited, without a new image analysis
+exports.recomputeMeal = functions.https.onCall(traced(async (data, context) => {
+  requireUid(context);
+  try {
+    const issues = [];
+    const recomputed = recomputeMeal(data, issues);
+    return {
+      ...groundAnalysis(recomputed),
+      issues
+    };
+  } catch (error) {
+    logger.error("Function error", { error });
+    if (error instanceof AnalysisParseError) {
+      throw new functions.https.HttpsError("invalid-argument", error.message, { code: error.code });
     }
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+}));
+
+// Deprecated: the whole Coach reply in one response, kept for older clients.
+// Use streamAIResponseHttp for real token streaming.
+exports.streamAIResponse = functions.https.onCall(traced(async (data, context) => {
+  const uid = requireUid(context);
+  await withQuota(() => quota.check(uid, 'coachTokens'));
+  
+  try {
+    // Validate input and assemble the prompt: the server-owned persona plus
+    // either the sent messages or the stored conversation
+    const { chat, conversation } = await prepareCoachChat(uid, data, 'streamAIResponse');
+    
+    // Call OpenAI Chat API
+    const reply = await completeCoachReply(uid, chat);
+    const content = reply.content;
+    const allowance = await recordCoachTokens(uid, reply.usage, 'streamAIResponse');
     
     return {
       success: true,
-      chunks: chunks,
-      fullContent: content
+      fullContent: content,
+      persona: describePersona(chat.persona),
+      toolsUsed: reply.toolCalls,
+      ...(conversation ? { conversationId: await saveCoachTurn(uid, conversation, content) } : {}),
+      quota: allowance
     };
   } catch (error) {
-    console.error("Function error:", error);
+    logger.error("Function error", { error });
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      // Upstream failures report their upstream_* code rather than the HttpsError status
+      ...(error.details && error.details.code ? { code: error.details.code } : error.code ? { code: error.code } : {})
     };
   }
-});
+}));
+
+// Real token streaming for the Coach, relayed as Server-Sent Events.
+// Emits `delta` events with each content fragment of the answer and a `tool`
+// event for each data lookup, then a single `done` or `error` event before the
+// stream closes. Text is relayed as it arrives in every round; a round that
+// turns into a lookup after writing some text is followed by a `reset` event.
+exports.streamAIResponseHttp = functions.https.onRequest(tracedRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  if (req.method === 'OPTIONS') {
+    res.set('Access-Control-Allow-Methods', 'POST');
+    res.set('Access-Control-Allow-Headers', `Content-Type, Authorization, ${REQUEST_ID_HEADER}`);
+    return res.status(204).send('');
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  let user;
+  try {
+    user = await verifyBearerToken(admin.auth(), req.get('Authorization'));
+  } catch (error) {
+    return res.status(401).json({ success: false, error: error.message, code: error.code });
+  }
 
-// Non-streaming fallback
-exports.getAIResponse = functions.https.onCall(async (data, context) => {
   try {
-    // Validate input
-    if (!data.messages || !Array.isArray(data.messages)) {
-      throw new functions.https.HttpsError("invalid-argument", "Messages array is required");
+    await quota.check(user.uid, 'coachTokens');
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ success: false, error: error.message, code: error.code, quota: error.quota });
     }
-    
-    // Get API key
-    const apiKey = functions.config().openai?.api_key;
-    if (!apiKey) {
-      throw new functions.https.HttpsError("failed-precondition", "API key not configured");
+    logger.error("Quota check failed", { error });
+    return res.status(500).json({ success: false, error: 'Failed to check usage quota' });
+  }
+
+  let chat;
+  let conversation;
+  try {
+    ({ chat, conversation } = await prepareCoachChat(user.uid, req.body || {}, 'streamAIResponseHttp'));
+  } catch (error) {
+    if (error instanceof ChatRequestError) {
+      const status = error.code === 'conversation_not_found' ? 404 : 400;
+      return res.status(status).json({ success: false, error: error.message, code: error.code });
     }
-    
-    // Call OpenAI Chat API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        'model': 'gpt-4o',
-        'messages': data.messages,
-        'max_tokens': 2000
-      })
+    logger.error("Conversation error", { error });
+    return res.status(500).json({ success: false, error: 'Failed to load conversation' });
+  }
+
+  const apiKey = functions.config().openai?.api_key;
+  if (!apiKey) {
+    return res.status(500).json({ success: false, error: 'API key not configured' });
+  }
+
+  // Stop paying for tokens nobody will read
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
+
+  const stream = openEventStream(res);
+  // Deltas go out as they arrive. When a round ends in tool calls after some
+  // text, a `reset` tells the client to drop it, so the deltas since the last
+  // reset add up to the `done` content. `spent` is the usage of finished
+  // rounds, `round` the call in flight.
+  const spent = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let round = { messages: chat.messages, text: '' };
+  try {
+    const result = await runCoachTools(user.uid, chat, async ({ messages, tools, toolChoice }) => {
+      round = { messages, text: '' };
+      const reply = await streamChatCompletion({
+        apiKey,
+        model: COACH_MODEL,
+        messages,
+        maxTokens: chat.persona.maxTokens,
+        tools,
+        toolChoice,
+        baseUrl: openaiBaseUrl,
+        upstream: openaiUpstream,
+        signal: abort.signal,
+        onDelta: (content) => {
+          round.text += content;
+          stream.send('delta', { content });
+        }
+      });
+      addUsage(spent, reply.usage);
+      if (reply.toolCalls.length && round.text) stream.send('reset', {});
+      round = { messages, text: '' };
+      return reply;
+    }, (name) => stream.send('tool', { name }));
+    stream.send('done', {
+      content: result.content,
+      finishReason: result.finishReason,
+      persona: describePersona(chat.persona),
+      toolsUsed: result.toolCalls,
+      ...(conversation ? { conversationId: await saveCoachTurn(user.uid, conversation, result.content) } : {}),
+      quota: await recordCoachTokens(user.uid, result.usage, 'streamAIResponseHttp')
     });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`OpenAI API error: ${response.status}`, errorText);
-      throw new functions.https.HttpsError(
-        "internal",
-        `Failed to get AI response: API returned ${response.status}`
-      );
+  } catch (error) {
+    if (abort.signal.aborted) {
+      // Upstream usage never arrives for a cancelled stream, so charge an
+      // estimate for the round in flight on top of the finished ones
+      const usage = addUsage(estimateUsage(round.messages, round.text), spent);
+      await recordCoachTokens(user.uid, usage, 'streamAIResponseHttp');
+    } else {
+      logger.error("Streaming error", { error });
+      stream.send('error', error instanceof ChatProviderError
+        ? { error: `Failed to get AI response: ${error.message}`, code: error.code, retryAfter: error.retryAfter }
+        : { error: 'Failed to get AI response' });
     }
+  }
+  stream.end();
+}));
+
+// Non-streaming fallback
+exports.getAIResponse = functions.https.onCall(traced(async (data, context) => {
+  const uid = requireUid(context);
+  await withQuota(() => quota.check(uid, 'coachTokens'));
+  
+  try {
+    // Validate input and assemble the prompt: the server-owned persona plus
+    // either the sent messages or the stored conversation
+    const { chat, conversation } = await prepareCoachChat(uid, data, 'getAIResponse');
     
-    const responseData = await response.json();
-    
-    if (!responseData.choices || !responseData.choices[0] || !responseData.choices[0].message) {
-      throw new functions.https.HttpsError("internal", "Invalid response from OpenAI");
-    }
+    // Call OpenAI Chat API
+    const reply = await completeCoachReply(uid, chat);
+    const allowance = await recordCoachTokens(uid, reply.usage, 'getAIResponse');
     
     return {
       success: true,
-      content: responseData.choices[0].message.content
+      content: reply.content,
+      persona: describePersona(chat.persona),
+      toolsUsed: reply.toolCalls,
+      ...(conversation ? { conversationId: await saveCoachTurn(uid, conversation, reply.content) } : {}),
+      quota: allowance
     };
   } catch (error) {
-    console.error("Function error:", error);
+    logger.error("Function error", { error });
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      // Upstream failures report their upstream_* code rather than the HttpsError status
+      ...(error.details && error.details.code ? { code: error.details.code } : error.code ? { code: error.code } : {})
     };
   }
-}); 
\ No newline at end of file
+}));
+
+// Stored Coach conversations, most recently active first
+exports.listCoachConversations = functions.https.onCall(traced(async (data, context) => {
+  const uid = requireUid(context);
+  return { conversations: await coachConversations.list(uid) };
+}));
+
+// One conversation with its latest messages; `beforeSeq` pages further back
+exports.getCoachConversation = functions.https.onCall(traced(async (data, context) => {
+  const uid = requireUid(context);
+  const { conversationId, limit, beforeSeq } = data || {};
+  return withConversation(() => coachConversations.get(uid, conversationId, { limit, beforeSeq }));
+}));
+
+exports.deleteCoachConversation = functions.https.onCall(traced(async (data, context) => {
+  const uid = requireUid(context);
+  await withConversation(() => coachConversations.remove(uid, (data || {}).conversationId));
+  return { success: true };
+}));
+
+// Token spend and estimated cost per day, function, model and user, for
+// admins only (the `admin` custom claim). `from`/`to` (YYYY-MM-DD, UTC)
+// default to the last 7 days; `top` is how many users to list.
+exports.getUsageReport = functions.https.onCall(traced(async (data, context) => {
+  requireUid(context);
+  if (!isAdmin(context.auth.token)) {
+    throw new functions.https.HttpsError("permission-denied", "Admin access required", { code: 'permission_denied' });
+  }
+  let request;
+  try {
+    request = parseUsageReportRequest(data || {});
+  } catch (error) {
+    if (!(error instanceof UsageReportError)) throw error;
+    throw new functions.https.HttpsError("invalid-argument", error.message, { code: error.code });
+  }
+  return usageLedger.report(request);
+}));
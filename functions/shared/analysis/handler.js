@@ -0,0 +1,259 @@
+/**
+ * The analyze flow shared by the Express routes and the callable functions,
+ * so both answer the same request the same way:
+ *
+ *   validate the request -> check and downscale the image(s) -> answer from
+ *   the analysis cache, or charge the daily quota and call the provider ->
+ *   ground the dishes against the nutrition table -> optionally save the
+ *   meal to the food log
+ *
+ * Each method takes (uid, body, { endpoint }) and resolves with
+ * { data, cache, quota }, where `data` is the grounded analysis plus `prompt`
+ * (and `imageCount`, `mealId` when they apply). Failures are thrown as the
+ * modules' own errors; analysisErrorStatus() gives the HTTP status for the
+ * ones a client should hear about.
+ */
+
+const { AnalysisParseError, parseAnalysis } = require('./schema');
+const { PromptTemplateError, describePromptTemplate, getPromptTemplate } = require('./prompts');
+const { MultiImageRequestError, mergeMultiImageAnalysis, parseMultiImageRequest } = require('./multi');
+const { TextAnalysisRequestError, parseTextAnalysis, parseTextAnalysisRequest, textAnalysisPrompt } = require('./text');
+const { analysisCacheKey } = require('../cache');
+const { ImageValidationError } = require('../image/errors');
+const { MealLogError, parseMealOptions } = require('../meals');
+const { groundAnalysis } = require('../nutrition');
+const { QuotaExceededError } = require('../quota');
+const { VisionProviderError } = require('../vision/errors');
+
+// HTTP status for an error thrown by the handler, or null for an unexpected one
+function analysisErrorStatus(error) {
+  if (error instanceof ImageValidationError ||
+      error instanceof QuotaExceededError) return error.status;
+  if (error instanceof VisionProviderError) return error.status || 500;
+  if (error instanceof PromptTemplateError ||
+      error instanceof MultiImageRequestError ||
+      error instanceof TextAnalysisRequestError ||
+      error instanceof MealLogError) return 400;
+  // A description without any food is the caller's problem, not ours
+  if (error instanceof AnalysisParseError) return error.code === 'no_food_found' ? 422 : 502;
+  return null;
+}
+
+/**
+ * `mealLog` only needs saveMeal(); `debug` logs every provider answer (at
+ * debug level, so the logger's level must allow it too). `metrics`, when
+ * given, records token usage, parse outcomes and cache lookups;
+ * `usageLedger` (shared/usage) records each provider call's tokens and cost
+ * against the user and the `endpoint` they called, by default the method's
+ * name.
+ */
+function createAnalysisHandler({
+  provider,
+  imagePreprocessor,
+  analysisCache,
+  quota,
+  mealLog,
+  debug = false,
+  logger = console,
+  metrics = null,
+  usageLedger = null
+}) {
+  // Count the answer as ok, repaired or failed, so silent repairs and
+  // rejected answers show up in /metrics and not only in the logs
+  function parsed(kind, parse) {
+    const issues = [];
+    try {
+      const result = parse(issues);
+      if (metrics) metrics.recordParse({ kind, outcome: issues.length ? 'repaired' : 'ok' });
+      return result;
+    } catch (error) {
+      if (metrics) metrics.recordParse({ kind, outcome: error.code || 'error' });
+      throw error;
+    } finally {
+      if (issues.length) {
+        logger.warn('Analysis response repaired', { kind, issues });
+      }
+    }
+  }
+
+  // Token usage goes to the log too, for deployments without /metrics. The
+  // call is already paid for, so a failed ledger write is only logged.
+  async function answered(kind, result, caller) {
+    if (metrics) metrics.recordTokens({ model: result.model, kind, usage: result.usage });
+    logger.info('Provider answered', { kind, model: result.model, usage: result.usage });
+    if (debug) {
+      logger.debug('Provider response', { kind, content: result.content });
+    }
+    if (usageLedger) {
+      try {
+        await usageLedger.record({ ...caller, model: result.model, usage: result.usage });
+      } catch (error) {
+        logger.error('Failed to record usage', { error });
+      }
+    }
+  }
+
+  // Call the provider and parse its answer into the meal schema. `image` is
+  // an array for the multi-image modes, whose dishes are merged into one meal.
+  // `caller` ({ uid, endpoint }) is who the call is accounted to.
+  async function analyzeWithProvider(image, template, caller) {
+    logger.info('Calling vision provider', { provider: provider.name, model: provider.model, mode: template.mode });
+    const result = await provider.analyzeImage({
+      ...(Array.isArray(image) ? { images: image } : { image }),
+      systemPrompt: template.system,
+      userPrompt: template.user,
+      maxTokens: template.maxTokens,
+      temperature: template.temperature
+    });
+    await answered('imageAnalyses', result, caller);
+
+    return parsed('imageAnalyses', (issues) => {
+      const analysis = parseAnalysis(result.content, issues);
+      return template.multiImage ? mergeMultiImageAnalysis(analysis, template, issues) : analysis;
+    });
+  }
+
+  // Describe-a-meal counterpart of analyzeWithProvider: the description goes
+  // without an image and the answer is parsed into the same meal schema
+  async function analyzeTextWithProvider(text, template, caller) {
+    logger.info('Calling provider for a meal description', { provider: provider.name, model: provider.model });
+    const result = await provider.analyzeText({
+      systemPrompt: template.system,
+      userPrompt: textAnalysisPrompt(template, text),
+      maxTokens: template.maxTokens,
+      temperature: template.temperature
+    });
+    await answered('textAnalyses', result, caller);
+
+    return parsed('textAnalyses', (issues) => parseTextAnalysis(result.content, issues));
+  }
+
+  // Identical requests are answered from the cache or joined while in
+  // flight; only a fresh upstream call counts against the daily allowance.
+  // The allowance is checked up front but only charged once the answer has
+  // parsed, so a failed call or an unusable answer costs the user nothing.
+  async function cachedAnalysis(uid, key, kind, count, compute) {
+    let allowance = null;
+    const cached = await analysisCache.getOrCompute(key, async () => {
+      await quota.check(uid, kind, count);
+      const value = await compute();
+      try {
+        allowance = await quota.record(uid, kind, count);
+      } catch (error) {
+        logger.error('Failed to charge the quota', { error });
+      }
+      return value;
+    });
+    if (!allowance) {
+      allowance = await quota.status(uid, kind);
+    }
+    const lookup = cached.cache.hit ? cached.cache.source : 'miss';
+    if (metrics) metrics.recordCacheLookup({ kind, result: lookup });
+    logger.info('Analysis cache lookup', { kind, result: lookup });
+    return { value: cached.value, cache: cached.cache, quota: allowance };
+  }
+
+  // Ground the analysis and save it to the food log when asked to. The
+  // analysis itself succeeded, so a failed write is logged and reported as a
+  // null mealId instead of an error.
+  async function finish(uid, result, { template, mealOptions, extra = {}, entry = {} }) {
+    const analysis = groundAnalysis(result.value);
+    const prompt = describePromptTemplate(template);
+    const data = { ...analysis, prompt, ...extra };
+    if (mealOptions) {
+      try {
+        data.mealId = await mealLog.saveMeal(uid, { analysis, options: mealOptions, prompt, ...entry });
+      } catch (error) {
+        logger.error('Failed to save meal', { error });
+        data.mealId = null;
+      }
+    }
+    return { data, cache: result.cache, quota: result.quota };
+  }
+
+  // One photo: `image` (data URI or base64), optional `mode`,
+  // `promptVersion` and the food log fields (save, mealType, eatenAt)
+  async function analyzeImage(uid, body = {}, { endpoint = 'analyzeImage' } = {}) {
+    if (!body.image) {
+      throw new ImageValidationError('Image data is required', { code: 'missing_image' });
+    }
+    // Decode, verify and downscale the upload, dropping EXIF/GPS metadata
+    const prepared = await imagePreprocessor.preprocess(body.image);
+    logger.info('Prepared image', {
+      contentType: prepared.contentType,
+      width: prepared.width,
+      height: prepared.height,
+      originalBytes: prepared.originalBytes,
+      bytes: prepared.bytes
+    });
+    const template = getPromptTemplate(body.mode, body.promptVersion);
+    const mealOptions = parseMealOptions(body);
+
+    const result = await cachedAnalysis(
+      uid,
+      analysisCacheKey({ image: prepared.image, provider, template }),
+      'imageAnalyses',
+      1,
+      () => analyzeWithProvider(prepared.image, template, { uid, endpoint })
+    );
+    return finish(uid, result, { template, mealOptions, entry: { image: prepared.image } });
+  }
+
+  // Several photos of one meal (`images`), analysed together; each photo
+  // counts as one image analysis
+  async function analyzeMeal(uid, body = {}, { endpoint = 'analyzeMeal' } = {}) {
+    const request = parseMultiImageRequest(body);
+    const { template } = request;
+
+    // Every photo is checked, downscaled and stripped like a single upload
+    const images = [];
+    for (const [index, image] of request.images.entries()) {
+      try {
+        images.push((await imagePreprocessor.preprocess(image)).image);
+      } catch (error) {
+        if (!(error instanceof ImageValidationError)) throw error;
+        throw new ImageValidationError(`images[${index}]: ${error.message}`, {
+          status: error.status,
+          code: error.code,
+          details: { ...error.details, index }
+        });
+      }
+    }
+    logger.info('Prepared images', { count: images.length, mode: template.mode });
+    const mealOptions = parseMealOptions(body);
+
+    const result = await cachedAnalysis(
+      uid,
+      analysisCacheKey({ images, provider, template }),
+      'imageAnalyses',
+      images.length,
+      () => analyzeWithProvider(images, template, { uid, endpoint })
+    );
+    // The food log keeps the first photo (the "before" photo in before_after)
+    return finish(uid, result, {
+      template,
+      mealOptions,
+      extra: { imageCount: images.length },
+      entry: { image: images[0] }
+    });
+  }
+
+  // A written description (`text`), with its own daily allowance
+  async function analyzeText(uid, body = {}, { endpoint = 'analyzeText' } = {}) {
+    const { text, template } = parseTextAnalysisRequest(body);
+    const mealOptions = parseMealOptions(body);
+
+    const result = await cachedAnalysis(
+      uid,
+      analysisCacheKey({ text, provider, template }),
+      'textAnalyses',
+      1,
+      () => analyzeTextWithProvider(text, template, { uid, endpoint })
+    );
+    return finish(uid, result, { template, mealOptions, entry: { source: 'text' } });
+  }
+
+  return { analyzeImage, analyzeMeal, analyzeText };
+}
+
+module.exports = { analysisErrorStatus, createAnalysisHandler };
@@ -0,0 +1,7 @@
+module.exports = {
+  ...require('./schema'),
+  ...require('./prompts'),
+  ...require('./multi'),
+  ...require('./text'),
+  ...require('./handler')
+};
@@ -0,0 +1,118 @@
+/**
+ * Multi-image analysis: several photos of one meal in a single request.
+ *
+ *   multiview     1-4 photos from different angles, answered as one meal
+ *   before_after  exactly 2 photos, before and after eating
+ *
+ * The model is asked to list each item once, but the same dish can still
+ * come back twice (once per photo), so dishes with the same name are merged,
+ * keeping the more confident estimate. In before_after mode each dish is then
+ * scaled down to the share that was eaten: its calories, macros and
+ * ingredient weights describe what was consumed, and the served amounts are
+ * kept under `served`.
+ */
+
+const { getPromptTemplate } = require('./prompts');
+const { round } = require('./schema');
+
+const MAX_IMAGES = 4;
+const IMAGE_COUNTS = { before_after: { min: 2, max: 2 } };
+
+class MultiImageRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MultiImageRequestError';
+    this.code = 'invalid_images';
+  }
+}
+
+// Validate `images`, `mode` and `promptVersion`. Throws MultiImageRequestError
+// or PromptTemplateError, both with a `code`.
+function parseMultiImageRequest(input = {}) {
+  const template = getPromptTemplate(input.mode, input.promptVersion, { multiImage: true });
+  const { images } = input;
+  if (!Array.isArray(images) || images.length === 0) {
+    throw new MultiImageRequestError('An images array is required');
+  }
+
+  const { min, max } = IMAGE_COUNTS[template.mode] || { min: 1, max: MAX_IMAGES };
+  if (images.length < min || images.length > max) {
+    throw new MultiImageRequestError(min === max
+      ? `Analysis mode ${template.mode} needs exactly ${min} images`
+      : `Send between ${min} and ${max} images`);
+  }
+  images.forEach((image, index) => {
+    const empty = Buffer.isBuffer(image) ? image.length === 0 : typeof image !== 'string' || !image.trim();
+    if (empty) throw new MultiImageRequestError(`images[${index}] is empty`);
+  });
+
+  return { images, template };
+}
+
+function dishKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Keep one entry per dish name, preferring the higher confidence
+function mergeDuplicateDishes(meal, issues) {
+  const byKey = new Map();
+  meal.forEach((dish, index) => {
+    const key = dishKey(dish.dish);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, dish);
+      return;
+    }
+    issues.push(`meal[${index}] repeats "${dish.dish}" and was merged`);
+    if ((dish.confidence || 0) > (existing.confidence || 0)) byKey.set(key, dish);
+  });
+  return [...byKey.values()];
+}
+
+function scaleMacros(macronutrients, fraction) {
+  if (!macronutrients) return macronutrients;
+  return {
+    protein: round(macronutrients.protein * fraction),
+    carbohydrates: round(macronutrients.carbohydrates * fraction),
+    fat: round(macronutrients.fat * fraction)
+  };
+}
+
+// Scale a served dish to the part that was eaten. A missing fraction is
+// taken as the whole dish.
+function consumedDish(dish, issues) {
+  let fraction = dish.consumedFraction;
+  if (typeof fraction !== 'number') {
+    issues.push(`"${dish.dish}" has no consumedFraction, assuming the whole dish was eaten`);
+    fraction = 1;
+  }
+  return {
+    ...dish,
+    calories: round(dish.calories * fraction),
+    macronutrients: scaleMacros(dish.macronutrients, fraction),
+    ingredients: dish.ingredients.map((ingredient) => ({
+      ...ingredient,
+      grams: ingredient.grams === null ? null : round(ingredient.grams * fraction),
+      calories: ingredient.calories === null ? null : round(ingredient.calories * fraction),
+      macronutrients: scaleMacros(ingredient.macronutrients, fraction)
+    })),
+    consumedFraction: fraction,
+    served: { calories: dish.calories, macronutrients: dish.macronutrients }
+  };
+}
+
+// Turn a normalized multi-image analysis into one meal for `template`
+function mergeMultiImageAnalysis(analysis, template, issues = []) {
+  let meal = mergeDuplicateDishes(analysis.meal, issues);
+  if (template.mode === 'before_after') {
+    meal = meal.map((dish) => consumedDish(dish, issues));
+  }
+  return { ...analysis, meal };
+}
+
+module.exports = {
+  MAX_IMAGES,
+  MultiImageRequestError,
+  mergeMultiImageAnalysis,
+  parseMultiImageRequest
+};
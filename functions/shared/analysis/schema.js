@@ -0,0 +1,347 @@
+/**
+ * Food analysis response schema.
+ *
+ * Every entry point returns the model output in this shape:
+ *
+ * {
+ *   meal: [{
+ *     dish: string,
+ *     calories: number,
+ *     macronutrients: { protein: number, carbohydrates: number, fat: number },
+ *     ingredients: [{
+ *       name: string,
+ *       grams: number | null,
+ *       calories: number | null,
+ *       macronutrients: { protein, carbohydrates, fat } | null,
+ *       per100g: { calories, protein, carbohydrates, fat } | null
+ *     }],
+ *     totalsSource: 'ingredients' | 'model',
+ *     portion: string | null,
+ *     confidence: number | null,  // 0..1
+ *     consumedFraction?: number | null  // 0..1, only when the model reports it
+ *   }]
+ * }
+ *
+ * When every ingredient carries calories, the dish totals are the sum of its
+ * ingredients (totalsSource 'ingredients') and the model's own dish-level
+ * numbers are ignored. Plain string ingredients are still accepted and keep
+ * the model totals (totalsSource 'model').
+ *
+ * Numeric strings ("350 kcal", "27.3g") are coerced, percentages and
+ * "high"/"medium"/"low" confidences are mapped onto 0..1, and items that
+ * cannot be repaired are dropped. If nothing usable remains an
+ * AnalysisParseError is thrown instead of passing free text through.
+ */
+
+const MAX_CALORIES_PER_DISH = 10000;
+const MAX_MACRO_GRAMS = 2000;
+const MAX_INGREDIENT_GRAMS = 5000;
+
+const CONFIDENCE_WORDS = { high: 0.9, medium: 0.6, moderate: 0.6, low: 0.3 };
+
+class AnalysisParseError extends Error {
+  constructor(message, { code = 'invalid_analysis', issues = [], raw } = {}) {
+    super(message);
+    this.name = 'AnalysisParseError';
+    this.code = code;
+    this.issues = issues;
+    this.raw = raw;
+  }
+}
+
+// Pull a JSON value out of model output: bare JSON, a fenced block or the
+// outermost {...} span.
+function extractJson(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new AnalysisParseError('Empty response from vision provider', { code: 'empty_response' });
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    // fall through to the lenient strategies below
+  }
+
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidates = [];
+  if (fenced) candidates.push(fenced[1]);
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(content.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate.trim());
+    } catch (error) {
+      // try the next candidate
+    }
+  }
+
+  throw new AnalysisParseError('No JSON found in vision provider response', {
+    code: 'unparseable_response',
+    raw: content
+  });
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') {
+    const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+  return null;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function normalizeAmount(value, max, field, issues) {
+  const number = toNumber(value);
+  if (number === null) {
+    issues.push(`${field} is missing or not a number`);
+    return null;
+  }
+  if (number < 0 || number > max) {
+    issues.push(`${field} is out of range (${number})`);
+    return null;
+  }
+  return round(number);
+}
+
+function normalizeConfidence(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string' && CONFIDENCE_WORDS[value.trim().toLowerCase()] !== undefined) {
+    return CONFIDENCE_WORDS[value.trim().toLowerCase()];
+  }
+  let number = toNumber(value);
+  if (number === null || number < 0) return null;
+  if (number > 1) number = number / 100;
+  return number > 1 ? null : round(number, 2);
+}
+
+// Share of a dish that was eaten. Undefined when the model did not report
+// one, null (with an issue) when it reported something unusable.
+function normalizeFraction(value, field, issues) {
+  if (value === undefined) return undefined;
+  let number = toNumber(value);
+  if (number !== null && number > 1 && number <= 100) number = number / 100;
+  if (number === null || number < 0 || number > 1) {
+    issues.push(`${field} is not a fraction between 0 and 1`);
+    return null;
+  }
+  return round(number, 2);
+}
+
+// Like normalizeAmount, but a missing value is expected and not an issue
+function optionalAmount(value, max, field, issues) {
+  if (value === undefined || value === null || value === '') return null;
+  return normalizeAmount(value, max, field, issues);
+}
+
+function readMacros(source, field, issues, read = normalizeAmount) {
+  return {
+    protein: read(source.protein, MAX_MACRO_GRAMS, `${field}.protein`, issues),
+    carbohydrates: read(
+      source.carbohydrates !== undefined ? source.carbohydrates : source.carbs,
+      MAX_MACRO_GRAMS,
+      `${field}.carbohydrates`,
+      issues
+    ),
+    fat: read(source.fat, MAX_MACRO_GRAMS, `${field}.fat`, issues)
+  };
+}
+
+// Missing macros are repaired to 0 rather than dropping the whole item
+function fillMissing(macronutrients) {
+  const filled = {};
+  for (const key of Object.keys(macronutrients)) {
+    filled[key] = macronutrients[key] === null ? 0 : macronutrients[key];
+  }
+  return filled;
+}
+
+// Nutrient density of an ingredient, used to rescale it when its weight is edited
+function per100g(grams, calories, macronutrients) {
+  if (!grams || calories === null) return null;
+  const density = (value) => round((value / grams) * 100, 2);
+  return {
+    calories: density(calories),
+    protein: density(macronutrients ? macronutrients.protein : 0),
+    carbohydrates: density(macronutrients ? macronutrients.carbohydrates : 0),
+    fat: density(macronutrients ? macronutrients.fat : 0)
+  };
+}
+
+function normalizeIngredient(item, field, issues) {
+  if (typeof item === 'string') {
+    const name = item.trim();
+    return name
+      ? { name, grams: null, calories: null, macronutrients: null, per100g: null }
+      : null;
+  }
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    issues.push(`${field} is not an ingredient`);
+    return null;
+  }
+
+  const name = [item.name, item.ingredient, item.item]
+    .find((value) => typeof value === 'string' && value.trim());
+  if (!name) {
+    issues.push(`${field}.name is missing`);
+    return null;
+  }
+
+  const grams = optionalAmount(
+    item.grams !== undefined ? item.grams : item.weight,
+    MAX_INGREDIENT_GRAMS,
+    `${field}.grams`,
+    issues
+  );
+  const calories = optionalAmount(item.calories, MAX_CALORIES_PER_DISH, `${field}.calories`, issues);
+  const macros = readMacros(item.macronutrients || item.macros || item, `${field}.macronutrients`, issues, optionalAmount);
+  const macronutrients = Object.values(macros).some((value) => value !== null)
+    ? fillMissing(macros)
+    : null;
+
+  return {
+    name: name.trim(),
+    grams,
+    calories,
+    macronutrients,
+    per100g: per100g(grams, calories, macronutrients)
+  };
+}
+
+function normalizeIngredients(value, field, issues) {
+  if (typeof value === 'string') value = value.split(',');
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((item, index) => normalizeIngredient(item, `${field}[${index}]`, issues))
+    .filter(Boolean);
+}
+
+// Dish totals from its ingredients, or null unless every ingredient has calories
+function sumIngredients(ingredients) {
+  if (!ingredients.length || ingredients.some((ingredient) => ingredient.calories === null)) {
+    return null;
+  }
+  const totals = { calories: 0, protein: 0, carbohydrates: 0, fat: 0 };
+  for (const ingredient of ingredients) {
+    totals.calories += ingredient.calories;
+    if (ingredient.macronutrients) {
+      totals.protein += ingredient.macronutrients.protein;
+      totals.carbohydrates += ingredient.macronutrients.carbohydrates;
+      totals.fat += ingredient.macronutrients.fat;
+    }
+  }
+  return {
+    calories: round(totals.calories),
+    macronutrients: {
+      protein: round(totals.protein),
+      carbohydrates: round(totals.carbohydrates),
+      fat: round(totals.fat)
+    }
+  };
+}
+
+function normalizePortion(value) {
+  if (typeof value === 'string' && value.trim()) return value.trim();
+  if (typeof value === 'number' && Number.isFinite(value)) return `${value} g`;
+  return null;
+}
+
+// Normalize a single dish. Returns null (and records why) if it cannot be repaired.
+function normalizeDish(item, index, issues) {
+  const prefix = `meal[${index}]`;
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    issues.push(`${prefix} is not an object`);
+    return null;
+  }
+
+  const dish = typeof item.dish === 'string' && item.dish.trim()
+    ? item.dish.trim()
+    : (typeof item.name === 'string' && item.name.trim() ? item.name.trim() : null);
+  if (!dish) {
+    issues.push(`${prefix}.dish is missing`);
+    return null;
+  }
+
+  const ingredients = normalizeIngredients(item.ingredients, `${prefix}.ingredients`, issues);
+  const totals = sumIngredients(ingredients);
+  const shared = {
+    ingredients,
+    portion: normalizePortion(item.portion),
+    confidence: normalizeConfidence(item.confidence)
+  };
+  const consumedFraction = normalizeFraction(item.consumedFraction, `${prefix}.consumedFraction`, issues);
+  if (consumedFraction !== undefined) shared.consumedFraction = consumedFraction;
+
+  if (totals) {
+    return { dish, ...totals, ...shared, totalsSource: 'ingredients' };
+  }
+
+  const itemIssues = [];
+  const calories = normalizeAmount(item.calories, MAX_CALORIES_PER_DISH, `${prefix}.calories`, itemIssues);
+  const macronutrients = readMacros(item.macronutrients || item.macros || {}, `${prefix}.macronutrients`, itemIssues);
+  issues.push(...itemIssues);
+
+  if (calories === null) {
+    return null;
+  }
+
+  return {
+    dish,
+    calories,
+    macronutrients: fillMissing(macronutrients),
+    ...shared,
+    totalsSource: 'model'
+  };
+}
+
+// Locate the list of dishes in whatever shape the model produced
+function findDishes(raw) {
+  if (Array.isArray(raw)) return raw;
+  if (!raw || typeof raw !== 'object') return null;
+  if (Array.isArray(raw.meal)) return raw.meal;
+  if (Array.isArray(raw.meals)) return raw.meals;
+  if (Array.isArray(raw.dishes)) return raw.dishes;
+  if (raw.meal && typeof raw.meal === 'object') return [raw.meal];
+  if (raw.dish || raw.name) return [raw];
+  return null;
+}
+
+// Validate and normalize a parsed analysis object. Repairs and dropped
+// items are recorded in `issues` when the caller passes an array.
+function normalizeAnalysis(raw, issues = []) {
+  const dishes = findDishes(raw);
+  if (!dishes) {
+    throw new AnalysisParseError('Response does not contain a meal', { raw });
+  }
+
+  const meal = dishes
+    .map((item, index) => normalizeDish(item, index, issues))
+    .filter(Boolean);
+
+  if (meal.length === 0) {
+    throw new AnalysisParseError('Response does not contain any valid dishes', { issues, raw });
+  }
+
+  return { meal };
+}
+
+// Extract, validate and normalize model output in one step
+function parseAnalysis(content, issues = []) {
+  return normalizeAnalysis(extractJson(content), issues);
+}
+
+module.exports = {
+  AnalysisParseError,
+  extractJson,
+  normalizeAnalysis,
+  parseAnalysis,
+  round,
+  sumIngredients,
+  toNumber
+};
@@ -0,0 +1,60 @@
+/**
+ * Meal descriptions: "two eggs and toast with butter" analysed without a
+ * photo. The answer goes through the same schema as an image analysis, so
+ * the response and the food log entry look exactly like one.
+ */
+
+const { getTextPromptTemplate } = require('./prompts');
+const { AnalysisParseError, extractJson, normalizeAnalysis } = require('./schema');
+
+const MAX_TEXT_LENGTH = 1000;
+
+class TextAnalysisRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TextAnalysisRequestError';
+    this.code = 'invalid_text';
+  }
+}
+
+// Collapse whitespace so the same description always gives the same prompt
+function normalizeDescription(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+// Validate `text` and `promptVersion`. Throws TextAnalysisRequestError or
+// PromptTemplateError, both with a `code`.
+function parseTextAnalysisRequest(input = {}) {
+  const template = getTextPromptTemplate(input.promptVersion);
+  if (typeof input.text !== 'string' || !input.text.trim()) {
+    throw new TextAnalysisRequestError('A meal description is required');
+  }
+  const text = normalizeDescription(input.text);
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new TextAnalysisRequestError(`Meal description is too long (maximum ${MAX_TEXT_LENGTH} characters)`);
+  }
+  return { text, template };
+}
+
+// User prompt for a description; the description is quoted as data
+function textAnalysisPrompt(template, text) {
+  return `${template.user}\n\n"""${text.replace(/"""/g, '"')}"""`;
+}
+
+// Parse the model answer. A description without any food comes back as an
+// empty meal, reported with code `no_food_found` instead of `invalid_analysis`.
+function parseTextAnalysis(content, issues = []) {
+  const raw = extractJson(content);
+  if (raw && Array.isArray(raw.meal) && raw.meal.length === 0) {
+    throw new AnalysisParseError('No food found in the description', { code: 'no_food_found', raw });
+  }
+  return normalizeAnalysis(raw, issues);
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  TextAnalysisRequestError,
+  parseTextAnalysis,
+  parseTextAnalysisRequest,
+  textAnalysisPrompt
+};
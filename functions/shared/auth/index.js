@@ -0,0 +1,95 @@
+/**
+ * Firebase ID token checks shared by the Express servers and the HTTP
+ * Cloud Functions.
+ *
+ * `auth` is the caller's `admin.auth()` instance; this module never loads
+ * firebase-admin itself.
+ */
+
+class AuthError extends Error {
+  constructor(message, code = 'unauthenticated') {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = 401;
+  }
+}
+
+function bearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+// Resolve the decoded token for an `Authorization: Bearer <idToken>` header
+async function verifyBearerToken(auth, header) {
+  const token = bearerToken(header);
+  if (!token) {
+    throw new AuthError('Missing Firebase ID token');
+  }
+  try {
+    return await auth.verifyIdToken(token);
+  } catch (error) {
+    throw new AuthError('Invalid or expired Firebase ID token');
+  }
+}
+
+// Express middleware: sets req.user to the decoded token or answers 401
+function requireFirebaseAuth(auth) {
+  return async (req, res, next) => {
+    try {
+      req.user = await verifyBearerToken(auth, req.get('Authorization'));
+      next();
+    } catch (error) {
+      res.status(error.status || 401).json({
+        success: false,
+        error: error.message,
+        code: error.code || 'unauthenticated'
+      });
+    }
+  };
+}
+
+// Admin-only features check the `admin` custom claim on the ID token, set
+// with admin.auth().setCustomUserClaims(uid, { admin: true })
+function isAdmin(token) {
+  return Boolean(token && token.admin === true);
+}
+
+// Express middleware, after requireFirebaseAuth: answers 403 unless req.user
+// is an admin
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.user)) return next();
+  return res.status(403).json({
+    success: false,
+    error: 'Admin access required',
+    code: 'permission_denied'
+  });
+}
+
+// Options for admin.initializeApp() outside Cloud Functions: a service
+// account JSON in FIREBASE_SERVICE_ACCOUNT, otherwise application default
+// credentials (GOOGLE_APPLICATION_CREDENTIALS). FIREBASE_STORAGE_BUCKET sets
+// the default bucket used for meal photos.
+function firebaseAdminOptions(admin, env = process.env) {
+  const options = {};
+  if (env.FIREBASE_PROJECT_ID) {
+    options.projectId = env.FIREBASE_PROJECT_ID;
+  }
+  if (env.FIREBASE_STORAGE_BUCKET) {
+    options.storageBucket = env.FIREBASE_STORAGE_BUCKET;
+  }
+  if (env.FIREBASE_SERVICE_ACCOUNT) {
+    options.credential = admin.credential.cert(JSON.parse(env.FIREBASE_SERVICE_ACCOUNT));
+  }
+  return options;
+}
+
+module.exports = {
+  AuthError,
+  bearerToken,
+  firebaseAdminOptions,
+  isAdmin,
+  requireAdmin,
+  requireFirebaseAuth,
+  verifyBearerToken
+};
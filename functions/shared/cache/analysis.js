@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Hash the decoded image bytes, so the same photo matches whether or not it
+// was sent with a data URI prefix
+function imageHash(image) {
+  const text = String(image).trim();
+  const match = /^data:[^;,]*;base64,(.*)$/s.exec(text);
+  return sha256(Buffer.from(match ? match[1] : text, 'base64'));
+}
+
+// The same image only gives the same answer for the same model and prompt.
+// Multi-image requests pass `images`; their order is part of the key. Meal
+// descriptions pass `text` and are matched case-insensitively.
+function analysisCacheKey({ image, images, text, provider, template }) {
+  const hashes = text !== undefined
+    ? [sha256(`text:${text.toLowerCase()}`)]
+    : (images || [image]).map(imageHash);
+  return sha256([provider.name, provider.model, template.mode, template.version, ...hashes].join(':'));
+}
+
+/**
+ * Cache for parsed image analyses.
+ *
+ * getOrCompute(key, compute) resolves with { value, cache } where `cache` is
+ *   { hit: false, source: null }            compute() ran for this request
+ *   { hit: true, source: 'memory' }         local LRU
+ *   { hit: true, source: 'persistent' }     shared store (also copied to the LRU)
+ *   { hit: true, source: 'coalesced' }      joined an identical request in flight
+ *
+ * Only successful results are cached or shared. If the request being joined
+ * fails, each waiting request runs compute() itself, so one caller's error
+ * (e.g. its quota) is never handed to another.
+ */
+function createAnalysisCache({ memory, persistent = null, logger = console }) {
+  const inFlight = new Map();
+
+  async function lookup(key) {
+    const local = memory.get(key);
+    if (local !== undefined) return { value: local, cache: { hit: true, source: 'memory' } };
+    if (!persistent) return null;
+    try {
+      const stored = await persistent.get(key);
+      if (stored !== undefined) {
+        memory.set(key, stored);
+        return { value: stored, cache: { hit: true, source: 'persistent' } };
+      }
+    } catch (error) {
+      logger.error('Analysis cache read failed', { error });
+    }
+    return null;
+  }
+
+  async function store(key, value) {
+    memory.set(key, value);
+    if (!persistent) return;
+    try {
+      await persistent.set(key, value);
+    } catch (error) {
+      logger.error('Analysis cache write failed', { error });
+    }
+  }
+
+  async function getOrCompute(key, compute) {
+    const pending = inFlight.get(key);
+    if (pending) {
+      try {
+        return { value: await pending, cache: { hit: true, source: 'coalesced' } };
+      } catch (error) {
+        return { value: await compute(), cache: { hit: false, source: null } };
+      }
+    }
+
+    const run = (async () => {
+      const cached = await lookup(key);
+      if (cached) return cached;
+      const value = await compute();
+      await store(key, value);
+      return { value, cache: { hit: false, source: null } };
+    })();
+
+    const shared = run.then((result) => result.value);
+    shared.catch(() => {});
+    inFlight.set(key, shared);
+    try {
+      return await run;
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  return { getOrCompute };
+}
+
+module.exports = {
+  analysisCacheKey,
+  createAnalysisCache,
+  imageHash
+};
@@ -0,0 +1,44 @@
+/**
+ * Caching for repeated image analyses: a hash of the decoded image (plus
+ * provider, model and prompt version) is looked up in a local LRU, then in
+ * an optional persistent store, before any upstream call is made.
+ */
+
+const { createLruCache } = require('./lru');
+const { createFirestoreCache } = require('./persistent');
+const { analysisCacheKey, createAnalysisCache, imageHash } = require('./analysis');
+
+const DEFAULT_CACHE_SIZE = 500;
+const DEFAULT_CACHE_TTL_HOURS = 24;
+
+// Read ANALYSIS_CACHE_SIZE, ANALYSIS_CACHE_TTL_HOURS and ANALYSIS_CACHE_PERSISTENT
+function analysisCacheConfigFromEnv(env = process.env) {
+  return {
+    size: env.ANALYSIS_CACHE_SIZE,
+    ttlHours: env.ANALYSIS_CACHE_TTL_HOURS,
+    persistent: env.ANALYSIS_CACHE_PERSISTENT
+  };
+}
+
+// Build the analysis cache; `db` is only needed when `persistent` is enabled
+function createAnalysisCacheFromConfig({ size, ttlHours, persistent, db, logger } = {}) {
+  const maxEntries = Number(size) >= 0 && size !== undefined && size !== '' ? Number(size) : DEFAULT_CACHE_SIZE;
+  const hours = Number(ttlHours) > 0 ? Number(ttlHours) : DEFAULT_CACHE_TTL_HOURS;
+  const ttlMs = hours * 60 * 60 * 1000;
+  const usePersistent = persistent === true || persistent === 'true';
+  return createAnalysisCache({
+    memory: createLruCache({ maxEntries, ttlMs }),
+    persistent: usePersistent && db ? createFirestoreCache({ db, ttlMs }) : null,
+    logger
+  });
+}
+
+module.exports = {
+  analysisCacheConfigFromEnv,
+  analysisCacheKey,
+  createAnalysisCache,
+  createAnalysisCacheFromConfig,
+  createFirestoreCache,
+  createLruCache,
+  imageHash
+};
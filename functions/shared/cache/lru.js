@@ -0,0 +1,28 @@
+// In-memory LRU with a per-entry time to live. A Map keeps insertion order,
+// so re-inserting on read moves an entry to the most recently used end.
+function createLruCache({ maxEntries = 500, ttlMs = 24 * 60 * 60 * 1000, now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,29 @@
+// Firestore-backed cache shared by every server instance. `db` is the
+// caller's `admin.firestore()`. Entries carry `expiresAt`, which can also be
+// used as a Firestore TTL policy field so expired documents get deleted.
+function createFirestoreCache({ db, collection = 'analysisCache', ttlMs = 7 * 24 * 60 * 60 * 1000, now = () => new Date() }) {
+  const entries = db.collection(collection);
+
+  return {
+    async get(key) {
+      const snapshot = await entries.doc(key).get();
+      if (!snapshot.exists) return undefined;
+      const entry = snapshot.data();
+      const expiresAt = entry.expiresAt && typeof entry.expiresAt.toDate === 'function'
+        ? entry.expiresAt.toDate()
+        : new Date(entry.expiresAt);
+      if (expiresAt <= now()) return undefined;
+      return entry.value;
+    },
+    async set(key, value) {
+      const createdAt = now();
+      await entries.doc(key).set({
+        value,
+        createdAt,
+        expiresAt: new Date(createdAt.getTime() + ttlMs)
+      });
+    }
+  };
+}
+
+module.exports = { createFirestoreCache };
@@ -0,0 +1,65 @@
+const { ChatProviderError, chatProviderError } = require('./errors');
+const { createUpstreamClient } = require('../upstream');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Call the chat-completions API and wait for the whole reply.
+ *
+ * Resolves with { content, finishReason, usage, toolCalls }, the same shape
+ * as streamChatCompletion. `toolCalls` is empty unless `tools` were offered
+ * and the model chose to call them.
+ *
+ * Pass the process-wide `upstream` client so all OpenAI calls share one
+ * circuit breaker. Failures reject with ChatProviderError carrying one of
+ * the stable upstream_* codes.
+ */
+async function chatCompletion({
+  apiKey,
+  model = 'gpt-4o',
+  messages,
+  maxTokens = 2000,
+  tools,
+  toolChoice,
+  signal,
+  baseUrl = DEFAULT_BASE_URL,
+  fetch: fetchImpl = globalThis.fetch,
+  upstream = createUpstreamClient({ fetch: fetchImpl })
+}) {
+  let data;
+  try {
+    data = await upstream.requestJson(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        ...(tools && tools.length ? { tools, tool_choice: toolChoice || 'auto' } : {})
+      }),
+      signal
+    });
+  } catch (error) {
+    throw chatProviderError(error);
+  }
+
+  const choice = data.choices && data.choices[0];
+  if (!choice || !choice.message) {
+    throw new ChatProviderError('Invalid response from OpenAI', {
+      status: 502,
+      code: 'upstream_invalid_response',
+      details: data
+    });
+  }
+  return {
+    content: choice.message.content || '',
+    finishReason: choice.finish_reason || null,
+    usage: data.usage || null,
+    toolCalls: choice.message.tool_calls || []
+  };
+}
+
+module.exports = { chatCompletion };
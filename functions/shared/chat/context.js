@@ -0,0 +1,84 @@
+/**
+ * Prompt assembly for stored Coach conversations.
+ *
+ * The upstream conversation is the persona system prompt, the running
+ * summary of older turns (when there is one) and as many of the most recent
+ * turns as fit the token budget. Turns that fall out of the window are folded
+ * into the summary in batches, so one long conversation never grows the
+ * prompt without bound.
+ */
+
+const DEFAULT_CONTEXT_TOKENS = 6000;
+
+// Hard cap on forwarded turns, whatever their size
+const MAX_WINDOW_MESSAGES = 40;
+
+// Dropped turns are summarized once at least this many have piled up
+const SUMMARY_BATCH = 6;
+const SUMMARY_MAX_TOKENS = 400;
+
+const SUMMARY_PROMPT = 'You keep a running summary of a chat between a user and their fitness and nutrition coach. ' +
+  'Merge the previous summary with the new turns. Keep what the user said about themselves (goals, body stats, diet, ' +
+  'injuries, preferences, schedule), the plans and advice already given, and open questions. Drop greetings and small talk. ' +
+  'Reply with the summary only: plain sentences, at most 150 words, in the language of the conversation.';
+
+// Rough token count (~4 characters per token, plus per-message overhead)
+function estimateMessageTokens(text) {
+  return Math.ceil(text.length / 4) + 4;
+}
+
+// Keep the newest turns that fit `budget`. The latest turn is always kept,
+// and the window never opens on an assistant reply.
+function windowTurns(turns, budget) {
+  let start = turns.length;
+  let used = 0;
+  while (start > 0 && turns.length - start < MAX_WINDOW_MESSAGES) {
+    const cost = estimateMessageTokens(turns[start - 1].content);
+    if (start < turns.length && used + cost > budget) break;
+    used += cost;
+    start -= 1;
+  }
+  while (start < turns.length - 1 && turns[start].role === 'assistant') start += 1;
+  return { kept: turns.slice(start), dropped: turns.slice(0, start) };
+}
+
+/**
+ * Build the upstream messages for `turns` (oldest first, the new user message
+ * last). Resolves to { messages, dropped }, where `dropped` are the turns that
+ * did not fit.
+ */
+function assembleContext({ persona, summary, turns, budget = DEFAULT_CONTEXT_TOKENS }) {
+  const messages = [{ role: 'system', content: persona.system }];
+  let available = budget;
+  if (summary) {
+    const content = `Summary of the earlier conversation:\n${summary}`;
+    messages.push({ role: 'system', content });
+    available -= estimateMessageTokens(content);
+  }
+  const { kept, dropped } = windowTurns(turns, Math.max(available, 0));
+  return {
+    messages: [...messages, ...kept.map(({ role, content }) => ({ role, content }))],
+    dropped
+  };
+}
+
+// Messages asking the model to fold `turns` into the previous summary
+function summaryRequest(summary, turns) {
+  const transcript = turns
+    .map((turn) => `${turn.role === 'user' ? 'User' : 'Coach'}: ${turn.content}`)
+    .join('\n\n');
+  return [
+    { role: 'system', content: SUMMARY_PROMPT },
+    { role: 'user', content: `Previous summary:\n${summary || '(none)'}\n\nNew turns:\n${transcript}` }
+  ];
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_TOKENS,
+  SUMMARY_BATCH,
+  SUMMARY_MAX_TOKENS,
+  assembleContext,
+  estimateMessageTokens,
+  summaryRequest,
+  windowTurns
+};
@@ -0,0 +1,218 @@
+/**
+ * Coach conversations stored per user, so the app sends only the new message
+ * and history survives reinstalls:
+ *
+ *   users/{uid}/conversations/{conversationId}
+ *     title, persona { id, version }, messageCount, createdAt, updatedAt,
+ *     summary { content, throughSeq, updatedAt } | null
+ *   users/{uid}/conversations/{conversationId}/messages/{messageId}
+ *     role, content, seq (1, 2, ...), createdAt
+ *
+ * A conversation keeps the persona it was started with. `summarize` is called
+ * with chat messages and resolves to { content, usage }; without it, old
+ * turns are only trimmed.
+ */
+
+const { ChatRequestError, MAX_MESSAGE_LENGTH, describePersona, getPersona } = require('./personas');
+const { DEFAULT_CONTEXT_TOKENS, SUMMARY_BATCH, assembleContext, summaryRequest } = require('./context');
+
+// Turns after the summary that are read back per request; summarizing keeps
+// the real number well below this
+const MAX_TAIL_MESSAGES = 200;
+
+const MAX_TITLE_LENGTH = 60;
+const MAX_LIST = 50;
+const DEFAULT_PAGE = 50;
+const MAX_PAGE = 200;
+
+function toIso(value) {
+  if (!value) return null;
+  return (typeof value.toDate === 'function' ? value.toDate() : new Date(value)).toISOString();
+}
+
+function readMessage(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ChatRequestError('message is required');
+  }
+  if (value.length > MAX_MESSAGE_LENGTH) {
+    throw new ChatRequestError(`message is too long (maximum ${MAX_MESSAGE_LENGTH} characters)`);
+  }
+  return value.trim();
+}
+
+function readConversationId(value) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]{1,128}$/.test(value)) {
+    throw new ChatRequestError('conversationId must be a conversation id', 'invalid_conversation');
+  }
+  return value;
+}
+
+function conversationNotFound(id) {
+  return new ChatRequestError(`Conversation ${id} not found`, 'conversation_not_found');
+}
+
+// First line of the opening message, shortened on a word boundary
+function titleFrom(message) {
+  const line = message.split('\n')[0].trim();
+  if (line.length <= MAX_TITLE_LENGTH) return line;
+  const cut = line.slice(0, MAX_TITLE_LENGTH);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > MAX_TITLE_LENGTH / 2 ? cut.slice(0, space) : cut).trim()}…`;
+}
+
+function serializeConversation(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    title: data.title,
+    persona: data.persona,
+    messageCount: data.messageCount,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt)
+  };
+}
+
+function createCoachConversations({
+  db,
+  summarize = null,
+  contextTokens = DEFAULT_CONTEXT_TOKENS,
+  now = () => new Date(),
+  logger = console
+}) {
+  const budget = Number(contextTokens) > 0 ? Number(contextTokens) : DEFAULT_CONTEXT_TOKENS;
+
+  function conversations(uid) {
+    return db.collection('users').doc(uid).collection('conversations');
+  }
+
+  async function loadConversation(uid, id) {
+    const ref = conversations(uid).doc(readConversationId(id));
+    const snapshot = await ref.get();
+    if (!snapshot.exists) throw conversationNotFound(id);
+    return { ref, data: snapshot.data() };
+  }
+
+  // Stored turns after `throughSeq`, oldest first
+  async function loadTail(ref, throughSeq) {
+    const snapshot = await ref.collection('messages')
+      .where('seq', '>', throughSeq)
+      .orderBy('seq', 'desc')
+      .limit(MAX_TAIL_MESSAGES)
+      .get();
+    return snapshot.docs.map((doc) => doc.data()).reverse();
+  }
+
+  /**
+   * Validate `{ message, conversationId?, persona?, personaVersion? }` and
+   * assemble the upstream messages. Nothing is stored for a new conversation
+   * until `commit`, so a failed reply leaves no empty conversation behind.
+   * Resolves to { id, isNew, persona, message, messages, summaryUsage }.
+   */
+  async function prepare(uid, { message, conversationId, persona: personaId, personaVersion } = {}) {
+    const text = readMessage(message);
+
+    if (conversationId === undefined || conversationId === null) {
+      const persona = getPersona(personaId, personaVersion);
+      const ref = conversations(uid).doc();
+      const { messages } = assembleContext({ persona, turns: [{ role: 'user', content: text }], budget });
+      return { id: ref.id, ref, isNew: true, persona, message: text, messages, summaryUsage: null };
+    }
+
+    const { ref, data } = await loadConversation(uid, conversationId);
+    const persona = getPersona(data.persona.id, data.persona.version);
+    let summary = data.summary || null;
+    const turns = [...await loadTail(ref, summary ? summary.throughSeq : 0), { role: 'user', content: text }];
+    let context = assembleContext({ persona, summary: summary && summary.content, turns, budget });
+
+    // Fold the turns that no longer fit into the summary, once enough have piled up
+    let summaryUsage = null;
+    if (summarize && context.dropped.length >= SUMMARY_BATCH) {
+      const dropped = context.dropped;
+      try {
+        const result = await summarize(summaryRequest(summary && summary.content, dropped));
+        summaryUsage = result.usage;
+        if (result.content && result.content.trim()) {
+          summary = { content: result.content.trim(), throughSeq: dropped[dropped.length - 1].seq, updatedAt: now() };
+          await ref.set({ summary }, { merge: true });
+          context = assembleContext({ persona, summary: summary.content, turns: turns.slice(dropped.length), budget });
+        }
+      } catch (error) {
+        // The reply still works from the trimmed window; the next turn retries
+        logger.error('Conversation summary failed', { error });
+      }
+    }
+
+    return { id: ref.id, ref, isNew: false, persona, message: text, messages: context.messages, summaryUsage };
+  }
+
+  // Store the user's message and the reply as the next two turns
+  async function commit(uid, prepared, reply) {
+    await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(prepared.ref);
+      const seq = snapshot.exists ? snapshot.data().messageCount || 0 : 0;
+      const date = now();
+      transaction.set(prepared.ref, snapshot.exists
+        ? { messageCount: seq + 2, updatedAt: date }
+        : {
+          title: titleFrom(prepared.message),
+          persona: describePersona(prepared.persona),
+          summary: null,
+          messageCount: seq + 2,
+          createdAt: date,
+          updatedAt: date
+        }, { merge: true });
+      const messages = prepared.ref.collection('messages');
+      transaction.set(messages.doc(), { role: 'user', content: prepared.message, seq: seq + 1, createdAt: date });
+      transaction.set(messages.doc(), { role: 'assistant', content: reply, seq: seq + 2, createdAt: date });
+    });
+    return prepared.id;
+  }
+
+  // Most recently active first
+  async function list(uid) {
+    const snapshot = await conversations(uid).orderBy('updatedAt', 'desc').limit(MAX_LIST).get();
+    return snapshot.docs.map(serializeConversation);
+  }
+
+  // A conversation with its latest `limit` messages (oldest first); pass the
+  // `seq` of the first one as `beforeSeq` to page further back
+  async function get(uid, id, { limit = DEFAULT_PAGE, beforeSeq } = {}) {
+    const size = Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE) {
+      throw new ChatRequestError(`limit must be a whole number between 1 and ${MAX_PAGE}`, 'invalid_conversation');
+    }
+    const { ref } = await loadConversation(uid, id);
+    let query = ref.collection('messages');
+    if (beforeSeq !== undefined && beforeSeq !== null) {
+      if (!Number.isInteger(beforeSeq) || beforeSeq < 1) {
+        throw new ChatRequestError('beforeSeq must be a message seq', 'invalid_conversation');
+      }
+      query = query.where('seq', '<', beforeSeq);
+    }
+    const snapshot = await query.orderBy('seq', 'desc').limit(size + 1).get();
+    const docs = snapshot.docs.slice(0, size).reverse();
+    return {
+      ...serializeConversation(await ref.get()),
+      messages: docs.map((doc) => {
+        const { role, content, seq, createdAt } = doc.data();
+        return { role, content, seq, createdAt: toIso(createdAt) };
+      }),
+      hasMore: snapshot.docs.length > size
+    };
+  }
+
+  // Messages are deleted first, in pages, so a failure never orphans them
+  async function remove(uid, id) {
+    const { ref } = await loadConversation(uid, id);
+    for (;;) {
+      const snapshot = await ref.collection('messages').limit(MAX_TAIL_MESSAGES).get();
+      if (snapshot.empty) break;
+      await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+    }
+    await ref.delete();
+  }
+
+  return { commit, get, list, prepare, remove };
+}
+
+module.exports = { createCoachConversations };
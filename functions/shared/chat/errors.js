@@ -0,0 +1,31 @@
+const { UpstreamError } = require('../upstream');
+
+// Error raised by chat completions. `status` is the HTTP status to answer our
+// client with and `code` a stable reason such as upstream_timeout (see
+// shared/upstream/errors.js); the provider's own status is in `upstreamStatus`.
+class ChatProviderError extends Error {
+  constructor(message, { status = 500, code, upstreamStatus = null, retryAfter = null, details } = {}) {
+    super(message);
+    this.name = 'ChatProviderError';
+    this.status = status;
+    this.code = code;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+// ChatProviderError for a failed upstream call, keeping its code and status.
+// Anything else, such as the AbortError of a cancelled call, is returned as is.
+function chatProviderError(error) {
+  if (!(error instanceof UpstreamError)) return error;
+  return new ChatProviderError(error.message, {
+    status: error.status,
+    code: error.code,
+    upstreamStatus: error.upstreamStatus,
+    retryAfter: error.retryAfter,
+    details: error.details
+  });
+}
+
+module.exports = { ChatProviderError, chatProviderError };
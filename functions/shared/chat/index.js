@@ -0,0 +1,10 @@
+module.exports = {
+  ...require('./errors'),
+  ...require('./personas'),
+  ...require('./context'),
+  ...require('./conversations'),
+  ...require('./completion'),
+  ...require('./tools'),
+  ...require('./sse'),
+  ...require('./stream')
+};
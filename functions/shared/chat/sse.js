@@ -0,0 +1,26 @@
+// Minimal Server-Sent Events writer for Express-style responses.
+//
+// Events are written as `event: <name>` plus a single JSON `data:` line, so
+// clients can split the stream on blank lines and JSON-decode each payload.
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,109 @@
+const { chatProviderError } = require('./errors');
+const { createUpstreamClient } = require('../upstream');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Call the chat-completions API with `stream: true` and hand every content
+ * delta to `onDelta` as it arrives.
+ *
+ * Resolves with { content, finishReason, usage, toolCalls } once the upstream
+ * stream ends; tool calls arrive in fragments and are only returned whole.
+ * Works with both node-fetch (Node stream body) and the built-in fetch
+ * (web ReadableStream body), since both are async iterable.
+ *
+ * The `upstream` client retries until the first byte arrives; once deltas
+ * have been handed out the reply is never restarted.
+ */
+async function streamChatCompletion({
+  apiKey,
+  model = 'gpt-4o',
+  messages,
+  maxTokens = 2000,
+  tools,
+  toolChoice,
+  onDelta = () => {},
+  signal,
+  baseUrl = DEFAULT_BASE_URL,
+  fetch: fetchImpl = globalThis.fetch,
+  upstream = createUpstreamClient({ fetch: fetchImpl })
+}) {
+  let body;
+  try {
+    body = await upstream.requestStream(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(tools && tools.length ? { tools, tool_choice: toolChoice || 'auto' } : {})
+      }),
+      signal
+    });
+  } catch (error) {
+    throw chatProviderError(error);
+  }
+
+  const decoder = new TextDecoder();
+  const result = { content: '', finishReason: null, usage: null, toolCalls: [] };
+  let buffer = '';
+
+  // Merge a fragment of a tool call into the one at the same index
+  function addToolCall(fragment) {
+    const call = result.toolCalls[fragment.index] ||
+      (result.toolCalls[fragment.index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+    if (fragment.id) call.id = fragment.id;
+    if (fragment.function && fragment.function.name) call.function.name += fragment.function.name;
+    if (fragment.function && fragment.function.arguments) call.function.arguments += fragment.function.arguments;
+  }
+
+  // Chunks that stop arriving or a dropped connection end the reply with a
+  // ChatProviderError as well
+  try {
+    read: for await (const chunk of body) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') break read;
+
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch (error) {
+          continue;
+        }
+
+        if (event.usage) result.usage = event.usage;
+        const choice = event.choices && event.choices[0];
+        if (!choice) continue;
+        if (choice.finish_reason) result.finishReason = choice.finish_reason;
+
+        const delta = choice.delta && choice.delta.content;
+        if (delta) {
+          result.content += delta;
+          onDelta(delta);
+        }
+        if (choice.delta && choice.delta.tool_calls) choice.delta.tool_calls.forEach(addToolCall);
+      }
+    }
+  } catch (error) {
+    throw chatProviderError(error);
+  }
+
+  result.toolCalls = result.toolCalls.filter(Boolean);
+  return result;
+}
+
+module.exports = { streamChatCompletion };
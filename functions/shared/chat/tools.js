@@ -0,0 +1,279 @@
+/**
+ * Tools the Coach model can call to ground its answers in the user's own
+ * data: today's meals, the weekly nutrition summary, recent workouts, daily
+ * targets and lifting progress. Tools only ever read the signed-in user's
+ * documents and answer with compact JSON.
+ *
+ * runWithTools() drives the exchange: it offers the tools, executes the calls
+ * the model makes, feeds the results back and repeats until the model
+ * answers, for at most MAX_TOOL_ROUNDS rounds.
+ */
+
+const { ChatRequestError } = require('./personas');
+const { SummaryRequestError, getNutritionTargets, parseSummaryRequest, storedMealTotals, summarizeNutrition } = require('../meals/summary');
+const { WorkoutError } = require('../workouts/validate');
+const { createWorkoutStore } = require('../workouts/store');
+
+const MAX_TOOL_ROUNDS = 3;
+const MAX_MEALS = 20;
+const DEFAULT_WORKOUTS = 5;
+const MAX_WORKOUTS = 10;
+
+const NO_PARAMETERS = { type: 'object', properties: {}, additionalProperties: false };
+
+const COACH_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'get_todays_meals',
+      description: 'Meals the user has logged today, with today\'s calorie and macro totals, their daily targets and what is left.',
+      parameters: NO_PARAMETERS
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_weekly_nutrition_summary',
+      description: 'Calories and macros per day for one week (Monday to Sunday), with weekly totals, daily averages and targets.',
+      parameters: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', description: 'Any day of the week to summarize, YYYY-MM-DD. Defaults to the current week.' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_recent_workouts',
+      description: 'The user\'s most recent completed workouts, newest first, with duration, distance, calories and lifted sets.',
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: MAX_WORKOUTS, description: `How many workouts, default ${DEFAULT_WORKOUTS}.` },
+          activity: { type: 'string', description: 'Only this activity, e.g. running or weightlifting.' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_goals',
+      description: 'The user\'s daily nutrition targets: calories, protein, carbohydrates and fat. Null when they have not set any.',
+      parameters: NO_PARAMETERS
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_training_progress',
+      description: 'Lifting progress: best estimated one-rep max and heaviest set per exercise, recent personal records, weekly volume and training streaks.',
+      parameters: NO_PARAMETERS
+    }
+  }
+];
+
+function toIso(value) {
+  if (!value) return null;
+  return (typeof value.toDate === 'function' ? value.toDate() : new Date(value)).toISOString();
+}
+
+// "3 x 8 @ 60 kg" style rows keep workout results small
+function describeSets(sets) {
+  return sets
+    .filter((set) => set.completed !== false)
+    .map((set) => {
+      const amount = set.reps ? `${set.reps} reps` : `${set.durationSeconds} s`;
+      return set.weightKg ? `${amount} @ ${set.weightKg} kg` : amount;
+    });
+}
+
+// Arguments arrive as a JSON string written by the model
+function parseArguments(call) {
+  try {
+    const args = JSON.parse(call.function.arguments || '{}');
+    return args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Tool executor for one deployment. `execute(uid, call, { timeZone })`
+ * resolves with the tool message content; failures are reported to the model
+ * as `{ "error": ... }` rather than thrown, so one bad call never breaks the
+ * reply.
+ */
+function createCoachTools({ db, now = () => new Date(), logger = console }) {
+  const workouts = createWorkoutStore({ db, now });
+
+  const handlers = {
+    async get_todays_meals(uid, args, { timeZone }) {
+      const request = parseSummaryRequest({ period: 'day', timeZone }, now());
+      const [snapshot, summary] = await Promise.all([
+        db.collection('users').doc(uid).collection('meals')
+          .where('eatenAt', '>=', request.start)
+          .where('eatenAt', '<', request.end)
+          .orderBy('eatenAt')
+          .limit(MAX_MEALS)
+          .get(),
+        summarizeNutrition(db, uid, request)
+      ]);
+      return {
+        date: summary.from,
+        timeZone: summary.timeZone,
+        meals: snapshot.docs.map((doc) => {
+          const meal = doc.data();
+          return {
+            eatenAt: toIso(meal.eatenAt),
+            mealType: meal.mealType || null,
+            dishes: (meal.meal || []).map((dish) => dish.dish),
+            totals: storedMealTotals(meal)
+          };
+        }),
+        totals: summary.totals,
+        targets: summary.targets,
+        remaining: summary.remaining
+      };
+    },
+
+    async get_weekly_nutrition_summary(uid, args, { timeZone }) {
+      const request = parseSummaryRequest({ period: 'week', date: args.date, timeZone }, now());
+      const { period, ...summary } = await summarizeNutrition(db, uid, request);
+      return summary;
+    },
+
+    async get_recent_workouts(uid, args) {
+      const limit = Math.min(Math.max(Number.parseInt(args.limit, 10) || DEFAULT_WORKOUTS, 1), MAX_WORKOUTS);
+      const { workouts: sessions } = await workouts.listWorkouts(uid, {
+        limit,
+        activity: typeof args.activity === 'string' ? args.activity : undefined
+      });
+      return {
+        workouts: sessions.map((session) => ({
+          title: session.title,
+          activity: session.activity,
+          completedAt: session.completedAt,
+          durationMinutes: session.durationMinutes,
+          distanceKm: session.distanceKm,
+          calories: session.calories,
+          exercises: session.exercises.map((exercise) => ({ name: exercise.name, sets: describeSets(exercise.sets) })),
+          totals: session.totals
+        }))
+      };
+    },
+
+    async get_goals(uid) {
+      return { nutritionTargets: await getNutritionTargets(db, uid) };
+    },
+
+    async get_training_progress(uid) {
+      const progress = await workouts.getProgress(uid);
+      return {
+        sessionCount: progress.sessionCount,
+        lastCompletedAt: progress.lastCompletedAt,
+        exercises: Object.values(progress.exercises).map((exercise) => ({
+          name: exercise.name,
+          muscleGroup: exercise.muscleGroup,
+          sessions: exercise.sessions,
+          bestOneRepMaxKg: exercise.bestOneRepMaxKg,
+          lastOneRepMaxKg: exercise.lastOneRepMaxKg,
+          heaviestWeightKg: exercise.heaviestWeightKg,
+          lastPerformedAt: exercise.lastPerformedAt
+        })),
+        records: progress.records,
+        weeks: progress.weeks,
+        streak: progress.streak
+      };
+    }
+  };
+
+  async function execute(uid, call, context = {}) {
+    const name = call.function && call.function.name;
+    const handler = Object.prototype.hasOwnProperty.call(handlers, name) ? handlers[name] : null;
+    if (!handler) return JSON.stringify({ error: `Unknown tool: ${name}` });
+    try {
+      return JSON.stringify(await handler(uid, parseArguments(call), context));
+    } catch (error) {
+      // Bad arguments are explained to the model so it can retry; anything
+      // else stays in the logs
+      if (error instanceof SummaryRequestError || error instanceof WorkoutError) {
+        return JSON.stringify({ error: error.message });
+      }
+      logger.error('Coach tool failed', { tool: name, error });
+      return JSON.stringify({ error: 'Lookup failed' });
+    }
+  }
+
+  return { definitions: COACH_TOOLS, execute };
+}
+
+/**
+ * System message telling the model the user's date, which "today" and "this
+ * week" in the tools refer to. Throws ChatRequestError for an unknown
+ * `timeZone`.
+ */
+function toolContextMessage(timeZone = 'UTC', now = new Date()) {
+  let request;
+  try {
+    request = parseSummaryRequest({ period: 'day', timeZone }, now);
+  } catch (error) {
+    throw new ChatRequestError(error.message, 'invalid_time_zone');
+  }
+  return {
+    role: 'system',
+    content: `Today is ${request.from} (${request.timeZone}). When a question depends on what the user ate, ` +
+      'their workouts, targets or progress, look it up with the tools instead of guessing, and quote their real numbers.'
+  };
+}
+
+/**
+ * Run a chat with tools. `complete({ messages, tools, toolChoice })` performs
+ * one model call and resolves like chatCompletion; `execute(call)` resolves
+ * with the tool message content. The last round sets `toolChoice: 'none'`,
+ * so the model has to answer.
+ *
+ * Resolves with the final { content, finishReason, usage, toolCalls }, where
+ * `usage` adds up the prompt, completion and total tokens of every round
+ * and `toolCalls` lists the names of the tools that were used.
+ */
+async function runWithTools({ messages, tools, complete, execute, maxRounds = MAX_TOOL_ROUNDS }) {
+  const conversation = [...messages];
+  const used = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+  for (let round = 0; ; round += 1) {
+    const last = round >= maxRounds;
+    const result = await complete({ messages: conversation, tools, toolChoice: last ? 'none' : 'auto' });
+    if (result.usage) {
+      for (const field of Object.keys(usage)) usage[field] += result.usage[field] || 0;
+    }
+
+    if (last || !result.toolCalls || !result.toolCalls.length) {
+      return {
+        content: result.content,
+        finishReason: result.finishReason,
+        usage,
+        toolCalls: used
+      };
+    }
+
+    conversation.push({ role: 'assistant', content: result.content || null, tool_calls: result.toolCalls });
+    for (const call of result.toolCalls) {
+      used.push(call.function.name);
+      conversation.push({ role: 'tool', tool_call_id: call.id, content: await execute(call) });
+    }
+  }
+}
+
+module.exports = {
+  COACH_TOOLS,
+  MAX_TOOL_ROUNDS,
+  createCoachTools,
+  runWithTools,
+  toolContextMessage
+};
@@ -0,0 +1,147 @@
+// MET (metabolic equivalent) values per activity and intensity, rounded from
+// the Compendium of Physical Activities. Energy burned is
+// MET x body weight (kg) x duration (h).
+//
+// Running, walking and cycling also have speed tables (km/h -> MET), used
+// when both distance and duration are known.
+
+const INTENSITIES = ['light', 'moderate', 'vigorous'];
+
+const ACTIVITIES = {
+  running: {
+    label: 'Running',
+    aliases: ['run', 'running', 'ran', 'jog', 'jogging', 'jogged', 'sprint', 'sprints', 'treadmill run'],
+    met: { light: 7.0, moderate: 8.0, vigorous: 11.0 },
+    speeds: [[6.4, 6.0], [8.0, 8.3], [9.7, 9.8], [10.8, 10.5], [12.1, 11.5], [12.9, 11.8], [14.5, 12.8], [16.1, 14.5], [17.7, 16.0], [19.3, 19.0], [22.5, 23.0]]
+  },
+  walking: {
+    label: 'Walking',
+    aliases: ['walk', 'walking', 'walked', 'brisk walk'],
+    met: { light: 2.8, moderate: 3.5, vigorous: 5.0 },
+    speeds: [[3.2, 2.8], [4.0, 3.0], [4.8, 3.5], [5.6, 4.3], [6.4, 5.0], [7.2, 7.0]]
+  },
+  cycling: {
+    label: 'Cycling',
+    aliases: ['cycle', 'cycling', 'cycled', 'bike', 'biking', 'biked', 'bicycle', 'spin', 'spinning'],
+    met: { light: 4.0, moderate: 6.8, vigorous: 10.0 },
+    speeds: [[10, 3.5], [16, 6.8], [20.5, 8.0], [24, 10.0], [28, 12.0], [32, 15.8]]
+  },
+  swimming: {
+    label: 'Swimming',
+    aliases: ['swim', 'swimming', 'swam', 'laps'],
+    met: { light: 5.8, moderate: 7.0, vigorous: 9.8 }
+  },
+  weightlifting: {
+    label: 'Weight lifting',
+    aliases: ['weight lifting', 'weightlifting', 'weights', 'lifting', 'lifted', 'strength training', 'resistance training', 'gym'],
+    met: { light: 3.5, moderate: 5.0, vigorous: 6.0 }
+  },
+  football: {
+    label: 'Football (soccer)',
+    aliases: ['football', 'soccer', 'futsal'],
+    met: { light: 7.0, moderate: 7.0, vigorous: 10.0 }
+  },
+  basketball: {
+    label: 'Basketball',
+    aliases: ['basketball', 'hoops'],
+    met: { light: 4.5, moderate: 6.5, vigorous: 8.0 }
+  },
+  tennis: {
+    label: 'Tennis',
+    aliases: ['tennis', 'padel', 'squash', 'badminton'],
+    met: { light: 5.0, moderate: 7.3, vigorous: 8.0 }
+  },
+  hiking: {
+    label: 'Hiking',
+    aliases: ['hike', 'hiking', 'hiked', 'trekking'],
+    met: { light: 5.3, moderate: 6.0, vigorous: 7.8 }
+  },
+  rowing: {
+    label: 'Rowing',
+    aliases: ['row', 'rowing', 'rowed', 'rower', 'erg'],
+    met: { light: 4.8, moderate: 7.0, vigorous: 8.5 }
+  },
+  elliptical: {
+    label: 'Elliptical trainer',
+    aliases: ['elliptical', 'cross trainer', 'crosstrainer'],
+    met: { light: 4.6, moderate: 5.0, vigorous: 6.0 }
+  },
+  jump_rope: {
+    label: 'Jump rope',
+    aliases: ['jump rope', 'jumping rope', 'skipping', 'skipping rope'],
+    met: { light: 8.8, moderate: 11.8, vigorous: 12.3 }
+  },
+  dancing: {
+    label: 'Dancing',
+    aliases: ['dance', 'dancing', 'danced', 'zumba'],
+    met: { light: 4.5, moderate: 5.5, vigorous: 7.3 }
+  },
+  boxing: {
+    label: 'Boxing',
+    aliases: ['boxing', 'kickboxing', 'punching bag', 'sparring'],
+    met: { light: 5.5, moderate: 7.8, vigorous: 12.8 }
+  },
+  circuit: {
+    label: 'Circuit training / HIIT',
+    aliases: ['hiit', 'circuit', 'circuit training', 'crossfit', 'bootcamp', 'calisthenics', 'burpees'],
+    met: { light: 4.3, moderate: 6.0, vigorous: 8.0 }
+  },
+  climbing: {
+    label: 'Climbing',
+    aliases: ['climbing', 'climbed', 'bouldering', 'rock climbing'],
+    met: { light: 5.8, moderate: 7.5, vigorous: 8.0 }
+  },
+  yoga: {
+    label: 'Yoga',
+    aliases: ['yoga', 'vinyasa', 'power yoga'],
+    met: { light: 2.5, moderate: 3.0, vigorous: 4.0 }
+  },
+  pilates: {
+    label: 'Pilates',
+    aliases: ['pilates', 'barre'],
+    met: { light: 3.0, moderate: 3.0, vigorous: 3.8 }
+  },
+  stretching: {
+    label: 'Stretching',
+    aliases: ['stretch', 'stretching', 'mobility', 'foam rolling'],
+    met: { light: 2.3, moderate: 2.3, vigorous: 2.8 }
+  }
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every activity whose name or alias appears as a whole word in `text`
+function findActivities(text) {
+  const lower = String(text).toLowerCase().replace(/_/g, ' ');
+  return Object.keys(ACTIVITIES).filter((key) => [key.replace(/_/g, ' '), ...ACTIVITIES[key].aliases]
+    .some((alias) => new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(lower)));
+}
+
+// Resolve an activity name to its table key, or null when it is unknown or ambiguous
+function matchActivity(name) {
+  const matches = findActivities(name);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Linear interpolation over a speed table, clamped to its ends
+function metForSpeed(speeds, speedKmh) {
+  if (speedKmh <= speeds[0][0]) return speeds[0][1];
+  for (let i = 1; i < speeds.length; i += 1) {
+    const [speed, met] = speeds[i];
+    if (speedKmh <= speed) {
+      const [previousSpeed, previousMet] = speeds[i - 1];
+      return previousMet + ((speedKmh - previousSpeed) / (speed - previousSpeed)) * (met - previousMet);
+    }
+  }
+  return speeds[speeds.length - 1][1];
+}
+
+module.exports = {
+  ACTIVITIES,
+  INTENSITIES,
+  findActivities,
+  matchActivity,
+  metForSpeed
+};
@@ -0,0 +1,63 @@
+const { ImageValidationError } = require('./errors');
+
+const HEIC_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1']);
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+
+// Identify an image from its leading bytes; the declared MIME type is never trusted
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'image/gif';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (HEIC_BRANDS.has(brand)) return 'image/heic';
+    if (AVIF_BRANDS.has(brand)) return 'image/avif';
+  }
+  return null;
+}
+
+function isImageUrl(image) {
+  return typeof image === 'string' && /^https?:\/\//i.test(image.trim());
+}
+
+// Decode a data URI or bare base64 string into bytes. Binary uploads
+// (multipart or raw bodies) arrive as a Buffer and are used as they are.
+function decodeImageInput(image) {
+  if (Buffer.isBuffer(image)) {
+    if (!image.length) throw new ImageValidationError('Image is empty');
+    return { buffer: image, declaredType: null };
+  }
+  if (typeof image !== 'string' || !image.trim()) {
+    throw new ImageValidationError('Image must be a base64 string or data URI');
+  }
+  const text = image.trim();
+  let base64 = text;
+  let declaredType = null;
+
+  if (text.startsWith('data:')) {
+    const match = /^data:([^;,]*)(;[^,]*)?,(.*)$/s.exec(text);
+    if (!match || !/;base64$/i.test(match[2] || '')) {
+      throw new ImageValidationError('Image data URI must be base64 encoded');
+    }
+    declaredType = match[1].toLowerCase() || null;
+    base64 = match[3];
+  }
+
+  base64 = base64.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(base64)) {
+    throw new ImageValidationError('Image is not valid base64');
+  }
+  const buffer = Buffer.from(base64, 'base64');
+  if (!buffer.length) {
+    throw new ImageValidationError('Image is empty');
+  }
+  return { buffer, declaredType };
+}
+
+module.exports = {
+  decodeImageInput,
+  isImageUrl,
+  sniffImageType
+};
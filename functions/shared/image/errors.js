@@ -0,0 +1,13 @@
+// Rejected image uploads. `status` is the HTTP status the Express servers
+// answer with; `code` is stable for clients.
+class ImageValidationError extends Error {
+  constructor(message, { status = 400, code = 'invalid_image', details } = {}) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { ImageValidationError };
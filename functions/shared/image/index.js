@@ -0,0 +1,42 @@
+/**
+ * Server-side handling of uploaded food photos: decode, check the real type
+ * from magic bytes, downscale, re-encode and strip metadata.
+ */
+
+const { ImageValidationError } = require('./errors');
+const { decodeImageInput, isImageUrl, sniffImageType } = require('./detect');
+const { ACCEPTED_TYPES, createImagePreprocessor } = require('./preprocess');
+const { createImageUploadMiddleware } = require('./upload');
+
+// Read IMAGE_MAX_BYTES, IMAGE_MAX_DIMENSION and IMAGE_JPEG_QUALITY; unset or
+// invalid values keep the defaults
+function imageConfigFromEnv(env = process.env) {
+  return imageConfig({
+    maxBytes: env.IMAGE_MAX_BYTES,
+    maxDimension: env.IMAGE_MAX_DIMENSION,
+    jpegQuality: env.IMAGE_JPEG_QUALITY
+  });
+}
+
+function imageConfig(values = {}) {
+  const config = {};
+  for (const [key, value] of Object.entries(values)) {
+    const number = Number(value);
+    if (value !== undefined && value !== '' && Number.isFinite(number) && number > 0) {
+      config[key] = number;
+    }
+  }
+  return config;
+}
+
+module.exports = {
+  ACCEPTED_TYPES,
+  ImageValidationError,
+  createImagePreprocessor,
+  createImageUploadMiddleware,
+  decodeImageInput,
+  imageConfig,
+  imageConfigFromEnv,
+  isImageUrl,
+  sniffImageType
+};
@@ -0,0 +1,116 @@
+const { ImageValidationError } = require('./errors');
+const { decodeImageInput, isImageUrl, sniffImageType } = require('./detect');
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic'];
+
+const DEFAULT_MAX_BYTES = 8 * 1024 * 1024;
+const DEFAULT_MAX_DIMENSION = 1536;
+const DEFAULT_JPEG_QUALITY = 85;
+// Refuse decompression bombs before sharp allocates the full bitmap
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// PNG and WebP keep their format (transparency); everything else becomes JPEG
+const OUTPUT_FORMATS = {
+  'image/png': { format: 'png', contentType: 'image/png' },
+  'image/webp': { format: 'webp', contentType: 'image/webp' }
+};
+const JPEG_OUTPUT = { format: 'jpeg', contentType: 'image/jpeg' };
+
+/**
+ * Validate and normalise an uploaded image before it is sent anywhere.
+ *
+ * `sharp` is passed in by the caller (shared modules do not load npm
+ * packages). preprocess(image) resolves with
+ *   { image, contentType, width, height, bytes, originalBytes, resized }
+ * where `image` is a data URI of the re-encoded picture: orientation applied,
+ * longest side at most `maxDimension`, and all EXIF/GPS/ICC metadata dropped.
+ *
+ * Throws ImageValidationError with status 413 (too large), 415 (not a
+ * supported image) or 400 (not decodable, or an image URL: its bytes would
+ * reach the model without any of these checks).
+ */
+function createImagePreprocessor({
+  sharp,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxDimension = DEFAULT_MAX_DIMENSION,
+  jpegQuality = DEFAULT_JPEG_QUALITY
+}) {
+  async function preprocess(image) {
+    if (isImageUrl(image)) {
+      throw new ImageValidationError('Image URLs are not accepted; upload the photo itself', { code: 'image_url_not_supported' });
+    }
+
+    const { buffer } = decodeImageInput(image);
+    if (buffer.length > maxBytes) {
+      throw new ImageValidationError(
+        `Image is ${(buffer.length / 1024 / 1024).toFixed(1)} MB; the maximum is ${(maxBytes / 1024 / 1024).toFixed(1)} MB`,
+        { status: 413, code: 'image_too_large', details: { bytes: buffer.length, maxBytes } }
+      );
+    }
+
+    const detectedType = sniffImageType(buffer);
+    if (!ACCEPTED_TYPES.includes(detectedType)) {
+      throw new ImageValidationError(
+        detectedType
+          ? `Unsupported image type ${detectedType}; send JPEG, PNG, WebP or HEIC`
+          : 'Upload is not a recognised image; send JPEG, PNG, WebP or HEIC',
+        { status: 415, code: 'unsupported_media_type', details: { detectedType } }
+      );
+    }
+
+    const output = OUTPUT_FORMATS[detectedType] || JPEG_OUTPUT;
+    let metadata;
+    let result;
+    try {
+      const input = { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' };
+      metadata = await sharp(buffer, input).metadata();
+      // rotate() bakes in the EXIF orientation; sharp writes no metadata by default
+      const pipeline = sharp(buffer, input)
+        .rotate()
+        .resize({
+          width: maxDimension,
+          height: maxDimension,
+          fit: 'inside',
+          withoutEnlargement: true
+        });
+      if (output.format === 'jpeg') pipeline.jpeg({ quality: jpegQuality, mozjpeg: true });
+      else if (output.format === 'webp') pipeline.webp({ quality: jpegQuality });
+      else pipeline.png({ compressionLevel: 9 });
+      result = await pipeline.toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      if (detectedType === 'image/heic') {
+        throw new ImageValidationError('HEIC image could not be decoded on this server; send JPEG instead', {
+          status: 415,
+          code: 'unsupported_media_type',
+          details: { detectedType }
+        });
+      }
+      if (/pixel limit|pixels/i.test(error.message)) {
+        throw new ImageValidationError('Image dimensions are too large', {
+          status: 413,
+          code: 'image_too_large',
+          details: { maxPixels: MAX_INPUT_PIXELS }
+        });
+      }
+      throw new ImageValidationError(`Image could not be decoded: ${error.message}`, { details: { detectedType } });
+    }
+
+    const { data, info } = result;
+    return {
+      image: `data:${output.contentType};base64,${data.toString('base64')}`,
+      contentType: output.contentType,
+      width: info.width,
+      height: info.height,
+      bytes: data.length,
+      originalBytes: buffer.length,
+      resized: Math.max(metadata.width || 0, metadata.height || 0) > maxDimension
+    };
+  }
+
+  return { preprocess, maxBytes, maxDimension };
+}
+
+module.exports = {
+  ACCEPTED_TYPES,
+  createImagePreprocessor
+};
@@ -0,0 +1,83 @@
+const MAX_TEXT_FIELDS = 20;
+const MAX_FIELD_BYTES = 64 * 1024;
+
+function reject(res, status, error, code) {
+  return res.status(status).json({ success: false, error, code });
+}
+
+// Form fields and query parameters are strings; `save` is a boolean in JSON
+function normalizeOptions(body) {
+  if (typeof body.save === 'string') {
+    body.save = ['true', '1', 'yes', 'on'].includes(body.save.toLowerCase());
+  }
+  return body;
+}
+
+/**
+ * Middleware chain that lets an image route accept, next to the JSON
+ * `{ "image": "<base64>" }` body:
+ *
+ *   multipart/form-data  file in the `image` field, other options as fields
+ *   image/*              the raw bytes, options in the query string
+ *
+ * Binary uploads are counted while they stream in and cut off at `maxBytes`
+ * (413), and end up in req.body.image as a Buffer. Any other content type
+ * gets a 415. `express` and `multer` are passed in by the caller.
+ *
+ * With `maxFiles` above 1 the route takes several files in the `images`
+ * field instead (req.body.images, an array of Buffers, in upload order) and
+ * raw image/* bodies are not accepted.
+ */
+function createImageUploadMiddleware({ express, multer, maxBytes, maxFiles = 1 }) {
+  const multiple = maxFiles > 1;
+  const parseRawBody = express.raw({ type: 'image/*', limit: maxBytes });
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles, fields: MAX_TEXT_FIELDS, fieldSize: MAX_FIELD_BYTES }
+  });
+  const parseMultipartBody = multiple ? upload.array('images', maxFiles) : upload.single('image');
+  const tooLarge = `Image is larger than ${(maxBytes / 1024 / 1024).toFixed(1)} MB`;
+
+  function uploadedImages(req) {
+    if (multiple) return { images: req.files && req.files.length ? req.files.map((file) => file.buffer) : undefined };
+    return { image: req.file ? req.file.buffer : undefined };
+  }
+
+  function multipart(req, res, next) {
+    if (!req.is('multipart/form-data')) return next();
+    parseMultipartBody(req, res, (error) => {
+      if (!error) {
+        req.body = normalizeOptions({ ...req.body, ...uploadedImages(req) });
+        return next();
+      }
+      if (error.code === 'LIMIT_FILE_SIZE') return reject(res, 413, tooLarge, 'image_too_large');
+      if (error.code === 'LIMIT_FILE_COUNT') {
+        return reject(res, 400, `Send at most ${maxFiles} images`, 'invalid_images');
+      }
+      return reject(res, 400, `Invalid multipart upload: ${error.message}`, 'invalid_upload');
+    });
+  }
+
+  function raw(req, res, next) {
+    if (!req.is('image/*')) return next();
+    parseRawBody(req, res, (error) => {
+      if (!error) {
+        req.body = normalizeOptions({ ...req.query, image: req.body });
+        return next();
+      }
+      if (error.type === 'entity.too.large') return reject(res, 413, tooLarge, 'image_too_large');
+      return next(error);
+    });
+  }
+
+  function requireKnownType(req, res, next) {
+    if (req.is('application/json') || req.is('multipart/form-data')) return next();
+    if (!multiple && req.is('image/*')) return next();
+    const accepted = multiple ? 'JSON or multipart/form-data' : 'JSON, multipart/form-data or an image/* body';
+    return reject(res, 415, `Send the ${multiple ? 'images' : 'image'} as ${accepted}`, 'unsupported_media_type');
+  }
+
+  return multiple ? [requireKnownType, multipart] : [requireKnownType, multipart, raw];
+}
+
+module.exports = { createImageUploadMiddleware };
@@ -0,0 +1,28 @@
+// Per-request log context. The request ID (and anything else set here) is
+// added to every line logged while the request is handled, including from
+// shared modules that never see the request.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// A caller's own ID is kept when it looks like one; anything else is replaced
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+function requestIdFrom(value) {
+  return typeof value === 'string' && REQUEST_ID.test(value) ? value : randomUUID();
+}
+
+function currentLogContext() {
+  return storage.getStore() || {};
+}
+
+// Run `fn` with `fields` added to the current context
+function runWithLogContext(fields, fn) {
+  return storage.run({ ...currentLogContext(), ...fields }, fn);
+}
+
+module.exports = { REQUEST_ID_HEADER, currentLogContext, requestIdFrom, runWithLogContext };
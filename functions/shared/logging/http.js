@@ -0,0 +1,46 @@
+const { REQUEST_ID_HEADER, requestIdFrom, runWithLogContext } = require('./context');
+
+// Route pattern rather than path, so IDs in URLs don't each become a label
+function routeLabel(req) {
+  if (req.route && req.route.path) return `${req.baseUrl || ''}${req.route.path}`;
+  return 'unmatched';
+}
+
+/**
+ * Express middleware, first in the chain: gives every request an ID (the
+ * caller's X-Request-Id when it sends a usable one), returns it in the same
+ * header, runs the rest of the request in that log context and logs one
+ * line when the response is finished. `metrics`, when given, hears about
+ * every finished request through observeRequest().
+ */
+function requestLogging({ logger, metrics = null, header = REQUEST_ID_HEADER }) {
+  return (req, res, next) => {
+    const requestId = requestIdFrom(req.get(header));
+    const started = process.hrtime.bigint();
+    req.id = requestId;
+    res.set(header, requestId);
+
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = routeLabel(req);
+      if (metrics) {
+        metrics.observeRequest({ method: req.method, route, status: res.statusCode, seconds });
+      }
+      const fields = {
+        requestId,
+        method: req.method,
+        route,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        ...(req.user ? { uid: req.user.uid } : {})
+      };
+      if (res.statusCode >= 500) logger.error('Request failed', fields);
+      else logger.info('Request completed', fields);
+    });
+
+    runWithLogContext({ requestId }, next);
+  };
+}
+
+module.exports = { requestLogging, routeLabel };
@@ -0,0 +1,45 @@
+/**
+ * Structured logging shared by the Express server and the Cloud Functions:
+ * JSON lines with a severity, a per-request ID carried through async calls,
+ * and redaction of image data and personal details (see redact.js).
+ *
+ * Shared modules take a `logger` option; anything with debug/info/warn/error
+ * works, so `console` is their default.
+ */
+
+const { LEVELS, createLogger, serializeError } = require('./logger');
+const { LoggingConfigError, REDACTIONS, createRedactor, parseRedactions } = require('./redact');
+const { REQUEST_ID_HEADER, currentLogContext, requestIdFrom, runWithLogContext } = require('./context');
+const { requestLogging, routeLabel } = require('./http');
+
+// Validate a level / redaction pair from either configuration source
+function loggingConfig({ level, redact, defaultLevel = 'info' } = {}) {
+  const name = (level || defaultLevel).toLowerCase();
+  if (!LEVELS[name]) {
+    throw new LoggingConfigError(`Unknown log level: ${name} (use ${Object.keys(LEVELS).join(', ')})`);
+  }
+  return { level: name, redact: parseRedactions(redact) };
+}
+
+// Read LOG_LEVEL and LOG_REDACT (Express server)
+function loggingConfigFromEnv(env = process.env, defaultLevel = 'info') {
+  return loggingConfig({ level: env.LOG_LEVEL, redact: env.LOG_REDACT, defaultLevel });
+}
+
+module.exports = {
+  LEVELS,
+  LoggingConfigError,
+  REDACTIONS,
+  REQUEST_ID_HEADER,
+  createLogger,
+  createRedactor,
+  currentLogContext,
+  loggingConfig,
+  loggingConfigFromEnv,
+  parseRedactions,
+  requestIdFrom,
+  requestLogging,
+  routeLabel,
+  runWithLogContext,
+  serializeError
+};
@@ -0,0 +1,81 @@
+const { currentLogContext } = require('./context');
+const { createRedactor } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Cloud Logging reads `severity` and `message` from JSON lines on stdout
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    ...(error.upstreamStatus ? { upstreamStatus: error.upstreamStatus } : {}),
+    ...(error.details !== undefined ? { details: error.details } : {}),
+    stack: error.stack
+  };
+}
+
+// Errors anywhere at the top level of the fields are serialized; an Error
+// passed instead of fields is logged as `error`
+function normalizeFields(fields) {
+  if (fields instanceof Error) return { error: serializeError(fields) };
+  if (!fields || typeof fields !== 'object') return fields === undefined ? {} : { value: fields };
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return result;
+}
+
+/**
+ * One JSON object per line:
+ *
+ *   {"time":"...","severity":"INFO","message":"Request completed","requestId":"...",...}
+ *
+ * Call as logger.info(message, fields). `fields` are redacted (see redact.js)
+ * and merged with the logger's own fields and the request context. Lines
+ * below `level` are dropped.
+ */
+function createLogger({
+  level = 'info',
+  redact = undefined,
+  fields = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+  now = () => new Date()
+} = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+  const redactFields = createRedactor(redact);
+
+  function log(name, message, extra) {
+    if (LEVELS[name] < threshold) return;
+    const entry = {
+      time: now().toISOString(),
+      severity: SEVERITY[name],
+      message: String(message),
+      ...redactFields({ ...fields, ...currentLogContext(), ...normalizeFields(extra) })
+    };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      // Circular fields; keep the line rather than lose it
+      line = JSON.stringify({ time: entry.time, severity: entry.severity, message: entry.message, logError: error.message });
+    }
+    write(line);
+  }
+
+  return {
+    level,
+    debug: (message, extra) => log('debug', message, extra),
+    info: (message, extra) => log('info', message, extra),
+    warn: (message, extra) => log('warn', message, extra),
+    error: (message, extra) => log('error', message, extra),
+    // Logger with extra fields on every line, e.g. child({ component: 'cache' })
+    child: (more) => createLogger({ level, redact, fields: { ...fields, ...more }, write, now })
+  };
+}
+
+module.exports = { LEVELS, createLogger, serializeError };
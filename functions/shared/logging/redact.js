@@ -0,0 +1,96 @@
+// Redaction of log fields before they are written. Two kinds, both on by
+// default and chosen with LOG_REDACT / logging.redact:
+//
+//   images  data URIs, long base64 strings and Buffers become a size note
+//   pii     credentials, e-mail addresses and free text the user wrote or
+//           the model answered (meal descriptions, Coach messages)
+//
+// Redaction works on a copy; the values passed in are never changed.
+
+const REDACTIONS = ['images', 'pii'];
+
+const DATA_URI = /data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g;
+const BASE64 = /^[A-Za-z0-9+/\r\n]{256,}={0,2}$/;
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+// Keys whose values are personal or secret, compared lower-cased
+const PII_KEYS = new Set([
+  'authorization',
+  'cookie',
+  'idtoken',
+  'token',
+  'apikey',
+  'api_key',
+  'password',
+  'email',
+  'phone',
+  'phonenumber',
+  'displayname',
+  'text',
+  'description',
+  'content',
+  'messages'
+]);
+
+const MAX_DEPTH = 6;
+
+class LoggingConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LoggingConfigError';
+  }
+}
+
+// 'images,pii' (the default), 'none', or any comma-separated subset
+function parseRedactions(value) {
+  if (value === undefined || value === null || value === '') return [...REDACTIONS];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const names = list.map((name) => String(name).trim().toLowerCase()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') return [];
+  for (const name of names) {
+    if (!REDACTIONS.includes(name)) {
+      throw new LoggingConfigError(`Unknown log redaction: ${name} (use ${REDACTIONS.join(', ')} or none)`);
+    }
+  }
+  return [...new Set(names)];
+}
+
+function imageNote(bytes) {
+  return `[image: ${bytes} bytes]`;
+}
+
+function createRedactor(redactions = REDACTIONS) {
+  const images = redactions.includes('images');
+  const pii = redactions.includes('pii');
+
+  function redactString(value) {
+    let result = value;
+    if (images) {
+      if (BASE64.test(result)) return imageNote(Math.floor(result.length * 3 / 4));
+      result = result.replace(DATA_URI, (uri) => imageNote(Math.floor((uri.length - uri.indexOf(',') - 1) * 3 / 4)));
+    }
+    if (pii) result = result.replace(EMAIL, '[email]');
+    return result;
+  }
+
+  function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (Buffer.isBuffer(value)) return images ? imageNote(value.length) : `[buffer: ${value.length} bytes]`;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = pii && PII_KEYS.has(key.toLowerCase()) && item !== undefined && item !== null
+        ? '[redacted]'
+        : redact(item, depth + 1);
+    }
+    return copy;
+  }
+
+  return redact;
+}
+
+module.exports = { LoggingConfigError, REDACTIONS, createRedactor, parseRedactions };
@@ -0,0 +1,142 @@
+/**
+ * Food log: analysed meals stored at users/{uid}/meals/{mealId}.
+ *
+ * `db` is the caller's `admin.firestore()` instance and `bucket` an optional
+ * Cloud Storage bucket (`admin.storage().bucket()`) for the meal photo. As
+ * with the other shared modules, nothing here loads firebase-admin itself.
+ *
+ * Stored document:
+ *   eatenAt, createdAt   Date
+ *   mealType             'breakfast' | 'lunch' | 'dinner' | 'snack' | null
+ *   meal                 normalized, grounded dishes as returned to the client
+ *   totals               { calories, macronutrients } summed over the dishes
+ *   prompt               { mode, version } that produced the analysis, or null
+ *   source               'photo' | 'text' | 'barcode'
+ *   image                { path, contentType } in Storage, or null
+ */
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// How far ahead of the server clock a client-supplied eatenAt may be
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic'
+};
+
+class MealLogError extends Error {
+  constructor(message, code = 'invalid_meal') {
+    super(message);
+    this.name = 'MealLogError';
+    this.code = code;
+  }
+}
+
+// Validate the optional food-log fields of an analysis request before any
+// quota is spent. Returns null when the caller did not ask to save.
+function parseMealOptions(input, now = new Date()) {
+  if (!input || !input.save) return null;
+
+  let mealType = null;
+  if (input.mealType !== undefined && input.mealType !== null && input.mealType !== '') {
+    mealType = String(input.mealType).toLowerCase();
+    if (!MEAL_TYPES.includes(mealType)) {
+      throw new MealLogError(`mealType must be one of ${MEAL_TYPES.join(', ')}`);
+    }
+  }
+
+  let eatenAt = now;
+  if (input.eatenAt !== undefined && input.eatenAt !== null && input.eatenAt !== '') {
+    eatenAt = new Date(input.eatenAt);
+    if (Number.isNaN(eatenAt.getTime())) {
+      throw new MealLogError('eatenAt must be an ISO 8601 date');
+    }
+    if (eatenAt.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) {
+      throw new MealLogError('eatenAt cannot be in the future');
+    }
+  }
+
+  return { mealType, eatenAt };
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Sum the dish totals of a normalized analysis, in the dish shape
+function mealTotals(meal) {
+  const totals = { calories: 0, macronutrients: { protein: 0, carbohydrates: 0, fat: 0 } };
+  for (const dish of meal) {
+    totals.calories += dish.calories || 0;
+    for (const key of Object.keys(totals.macronutrients)) {
+      totals.macronutrients[key] += (dish.macronutrients && dish.macronutrients[key]) || 0;
+    }
+  }
+  return roundTotals(totals);
+}
+
+function roundTotals(totals) {
+  return {
+    calories: round1(totals.calories),
+    macronutrients: {
+      protein: round1(totals.macronutrients.protein),
+      carbohydrates: round1(totals.macronutrients.carbohydrates),
+      fat: round1(totals.macronutrients.fat)
+    }
+  };
+}
+
+function decodeDataUri(image) {
+  const match = /^data:([\w/+.-]+);base64,(.+)$/s.exec(image);
+  if (match) return { contentType: match[1].toLowerCase(), data: Buffer.from(match[2], 'base64') };
+  return { contentType: 'image/jpeg', data: Buffer.from(image, 'base64') };
+}
+
+function createMealLog({ db, bucket = null, now = () => new Date() }) {
+  function mealsRef(uid) {
+    return db.collection('users').doc(uid).collection('meals');
+  }
+
+  // Upload the photo next to the meal
+  async function storeImage(uid, mealId, image) {
+    if (typeof image !== 'string' || !image) return null;
+    if (!bucket) return null;
+
+    const { contentType, data } = decodeDataUri(image);
+    const path = `users/${uid}/meals/${mealId}.${IMAGE_EXTENSIONS[contentType] || 'jpg'}`;
+    await bucket.file(path).save(data, { contentType, resumable: false });
+    return { path, contentType };
+  }
+
+  // Write one analysed meal and resolve with its id
+  async function saveMeal(uid, { analysis, options, image, prompt, source = 'photo' }) {
+    const ref = mealsRef(uid).doc();
+    const record = {
+      eatenAt: options.eatenAt,
+      createdAt: now(),
+      mealType: options.mealType,
+      meal: analysis.meal,
+      totals: mealTotals(analysis.meal),
+      prompt: prompt || null,
+      source,
+      image: await storeImage(uid, ref.id, image)
+    };
+    await ref.set(record);
+    return ref.id;
+  }
+
+  return { saveMeal };
+}
+
+module.exports = {
+  MEAL_TYPES,
+  MealLogError,
+  createMealLog,
+  mealTotals,
+  parseMealOptions,
+  roundTotals
+};
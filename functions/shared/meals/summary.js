@@ -0,0 +1,299 @@
+/**
+ * Nutrition summaries over the food log for a day, a week or a custom range,
+ * compared against the user's daily targets.
+ *
+ * Targets live at users/{uid}/settings/nutritionTargets in the dish shape:
+ *   { calories, macronutrients: { protein, carbohydrates, fat } }
+ * Any of them may be missing, in which case the matching `remaining` value
+ * is null.
+ *
+ * Days are calendar days in the caller's IANA time zone (default UTC), so a
+ * late dinner is counted on the day the user ate it.
+ */
+
+const { roundTotals } = require('./log');
+
+const PERIODS = ['day', 'week', 'range'];
+const MAX_RANGE_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MACROS = ['protein', 'carbohydrates', 'fat'];
+
+class SummaryRequestError extends Error {
+  constructor(message, code = 'invalid_summary') {
+    super(message);
+    this.name = 'SummaryRequestError';
+    this.code = code;
+  }
+}
+
+function emptyTotals() {
+  return { calories: 0, macronutrients: { protein: 0, carbohydrates: 0, fat: 0 } };
+}
+
+function addTotals(target, totals) {
+  if (!totals) return target;
+  target.calories += Number(totals.calories) || 0;
+  const macros = totals.macronutrients || {};
+  for (const key of MACROS) target.macronutrients[key] += Number(macros[key]) || 0;
+  return target;
+}
+
+// Totals of a stored meal, summed from its dishes. Owners may correct the
+// dishes of a logged meal, so the stored `totals` can be out of date.
+function storedMealTotals(meal) {
+  const dishes = Array.isArray(meal.meal) ? meal.meal : [];
+  return roundTotals(dishes.reduce((totals, dish) => addTotals(totals, dish && typeof dish === 'object' ? dish : null), emptyTotals()));
+}
+
+function validTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in a time zone
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+// Milliseconds the zone is ahead of UTC at a given instant
+function zoneOffset(date, timeZone) {
+  const parts = {};
+  for (const part of new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date)) {
+    parts[part.type] = Number(part.value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a local calendar day starts
+function startOfDay(day, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, date);
+  let start = guess - zoneOffset(new Date(guess), timeZone);
+  // Correct once when a DST change falls between the guess and the result
+  const corrected = guess - zoneOffset(new Date(start), timeZone);
+  if (corrected !== start) start = corrected;
+  return new Date(start);
+}
+
+function parseDay(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new SummaryRequestError(`${field} must be a date in YYYY-MM-DD format`);
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new SummaryRequestError(`${field} is not a valid date`);
+  }
+  return date;
+}
+
+function shiftDay(day, days) {
+  return new Date(parseDay(day, 'date').getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function listDays(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = shiftDay(day, 1)) days.push(day);
+  return days;
+}
+
+/**
+ * Validate a summary request and resolve its calendar days.
+ *
+ *   period    'day' (default), 'week' (Monday to Sunday) or 'range'
+ *   date      day or week anchor, YYYY-MM-DD; defaults to today
+ *   from, to  inclusive bounds for 'range', at most MAX_RANGE_DAYS apart
+ *   timeZone  IANA zone used for day boundaries; defaults to UTC
+ */
+function parseSummaryRequest(input = {}, now = new Date()) {
+  const period = input.period || 'day';
+  if (!PERIODS.includes(period)) {
+    throw new SummaryRequestError(`period must be one of ${PERIODS.join(', ')}`);
+  }
+
+  const timeZone = input.timeZone || 'UTC';
+  if (typeof timeZone !== 'string' || !validTimeZone(timeZone)) {
+    throw new SummaryRequestError(`Unknown time zone: ${timeZone}`);
+  }
+
+  let from;
+  let to;
+  if (period === 'range') {
+    if (!input.from || !input.to) {
+      throw new SummaryRequestError('from and to are required for a range');
+    }
+    parseDay(input.from, 'from');
+    parseDay(input.to, 'to');
+    from = input.from;
+    to = input.to;
+    if (from > to) {
+      throw new SummaryRequestError('from must not be after to');
+    }
+  } else {
+    const anchor = input.date || localDate(now, timeZone);
+    parseDay(anchor, 'date');
+    if (period === 'day') {
+      from = anchor;
+      to = anchor;
+    } else {
+      const weekday = (parseDay(anchor, 'date').getUTCDay() + 6) % 7;
+      from = shiftDay(anchor, -weekday);
+      to = shiftDay(from, 6);
+    }
+  }
+
+  if ((parseDay(to, 'to') - parseDay(from, 'from')) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new SummaryRequestError(`A summary can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+  const days = listDays(from, to);
+
+  return {
+    period,
+    timeZone,
+    from,
+    to,
+    days,
+    start: startOfDay(from, timeZone),
+    end: startOfDay(shiftDay(to, 1), timeZone)
+  };
+}
+
+function normalizeTargets(data) {
+  if (!data) return null;
+  const number = (value) => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null);
+  const macros = data.macronutrients || {};
+  const targets = {
+    calories: number(data.calories),
+    macronutrients: {
+      protein: number(macros.protein),
+      carbohydrates: number(macros.carbohydrates),
+      fat: number(macros.fat)
+    }
+  };
+  const hasAny = targets.calories !== null || MACROS.some((key) => targets.macronutrients[key] !== null);
+  return hasAny ? targets : null;
+}
+
+// Target minus consumed, per nutrient; negative when over budget
+function remainingBudget(targets, totals, days) {
+  if (!targets) return null;
+  const left = (target, used) => (target === null ? null : Math.round((target * days - used) * 10) / 10);
+  return {
+    calories: left(targets.calories, totals.calories),
+    macronutrients: {
+      protein: left(targets.macronutrients.protein, totals.macronutrients.protein),
+      carbohydrates: left(targets.macronutrients.carbohydrates, totals.macronutrients.carbohydrates),
+      fat: left(targets.macronutrients.fat, totals.macronutrients.fat)
+    }
+  };
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return new Date(value);
+}
+
+/**
+ * Build a summary for `uid`. `db` is the caller's `admin.firestore()`.
+ *
+ * Resolves with:
+ *   period, timeZone, from, to, mealCount
+ *   totals     consumed over the whole period
+ *   average    per-day average over the period
+ *   targets    daily targets, or null if none are stored
+ *   remaining  targets for the period minus totals (null without targets)
+ *   days       [{ date, mealCount, totals, remaining }] for every day
+ */
+async function summarizeNutrition(db, uid, request) {
+  const userRef = db.collection('users').doc(uid);
+  const [mealsSnapshot, targetsSnapshot] = await Promise.all([
+    userRef.collection('meals')
+      .where('eatenAt', '>=', request.start)
+      .where('eatenAt', '<', request.end)
+      .orderBy('eatenAt')
+      .get(),
+    userRef.collection('settings').doc('nutritionTargets').get()
+  ]);
+
+  const targets = normalizeTargets(targetsSnapshot.exists ? targetsSnapshot.data() : null);
+  const byDay = new Map(request.days.map((day) => [day, { mealCount: 0, totals: emptyTotals() }]));
+  const totals = emptyTotals();
+  let mealCount = 0;
+
+  mealsSnapshot.forEach((doc) => {
+    const meal = doc.data();
+    const day = byDay.get(localDate(toDate(meal.eatenAt), request.timeZone));
+    if (!day) return;
+    const mealTotals = storedMealTotals(meal);
+    day.mealCount += 1;
+    addTotals(day.totals, mealTotals);
+    addTotals(totals, mealTotals);
+    mealCount += 1;
+  });
+
+  const dayCount = request.days.length;
+  const average = {
+    calories: totals.calories / dayCount,
+    macronutrients: {
+      protein: totals.macronutrients.protein / dayCount,
+      carbohydrates: totals.macronutrients.carbohydrates / dayCount,
+      fat: totals.macronutrients.fat / dayCount
+    }
+  };
+
+  return {
+    period: request.period,
+    timeZone: request.timeZone,
+    from: request.from,
+    to: request.to,
+    mealCount,
+    totals: roundTotals(totals),
+    average: roundTotals(average),
+    targets,
+    remaining: remainingBudget(targets, totals, dayCount),
+    days: request.days.map((date) => {
+      const day = byDay.get(date);
+      return {
+        date,
+        mealCount: day.mealCount,
+        totals: roundTotals(day.totals),
+        remaining: remainingBudget(targets, day.totals, 1)
+      };
+    })
+  };
+}
+
+// The user's daily targets, or null when none are stored
+async function getNutritionTargets(db, uid) {
+  const snapshot = await db.collection('users').doc(uid).collection('settings').doc('nutritionTargets').get();
+  return normalizeTargets(snapshot.exists ? snapshot.data() : null);
+}
+
+module.exports = {
+  SummaryRequestError,
+  getNutritionTargets,
+  localDate,
+  parseSummaryRequest,
+  storedMealTotals,
+  summarizeNutrition,
+  validTimeZone
+};
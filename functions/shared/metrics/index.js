@@ -0,0 +1,20 @@
+/**
+ * Prometheus-style metrics for the Express server's /metrics route: a small
+ * registry (no prom-client, like the rest of shared/ no npm packages) and
+ * the service's own request, upstream, token and parse metrics.
+ *
+ * Shared modules take an optional `metrics` (from createServiceMetrics) and
+ * skip recording without one.
+ */
+
+const { DEFAULT_BUCKETS, createMetricsRegistry } = require('./registry');
+const { createServiceMetrics } = require('./service');
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  METRICS_CONTENT_TYPE,
+  createMetricsRegistry,
+  createServiceMetrics
+};
@@ -0,0 +1,110 @@
+// Counters and histograms in the Prometheus text exposition format (0.0.4).
+// Just enough of prom-client for our own metrics, without the package.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(names, values, extra = '') {
+  const parts = names.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values, in `labels` order; missing
+  // labels are exported as ""
+  function series(labels, values) {
+    return labels.map((name) => (values[name] === undefined || values[name] === null ? '' : String(values[name])));
+  }
+
+  function register(metric) {
+    if (metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter({ name, help, labels = [] }) {
+    const values = new Map();
+    return register({
+      name,
+      inc(labelValues = {}, amount = 1) {
+        if (!(amount >= 0)) return;
+        const key = series(labels, labelValues);
+        const id = JSON.stringify(key);
+        const current = values.get(id);
+        values.set(id, { key, value: (current ? current.value : 0) + amount });
+      },
+      get(labelValues = {}) {
+        const current = values.get(JSON.stringify(series(labels, labelValues)));
+        return current ? current.value : 0;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { key, value } of values.values()) {
+          lines.push(`${name}${labelText(labels, key)} ${formatNumber(value)}`);
+        }
+        return lines;
+      }
+    });
+  }
+
+  function histogram({ name, help, labels = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const values = new Map();
+    return register({
+      name,
+      observe(labelValues = {}, value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) return;
+        const key = series(labels, labelValues);
+        const id = JSON.stringify(key);
+        let current = values.get(id);
+        if (!current) {
+          current = { key, counts: bounds.map(() => 0), sum: 0, count: 0 };
+          values.set(id, current);
+        }
+        bounds.forEach((bound, index) => {
+          if (value <= bound) current.counts[index] += 1;
+        });
+        current.sum += value;
+        current.count += 1;
+      },
+      count(labelValues = {}) {
+        const current = values.get(JSON.stringify(series(labels, labelValues)));
+        return current ? current.count : 0;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { key, counts, sum, count } of values.values()) {
+          bounds.forEach((bound, index) => {
+            lines.push(`${name}_bucket${labelText(labels, key, `le="${formatNumber(bound)}"`)} ${counts[index]}`);
+          });
+          lines.push(`${name}_bucket${labelText(labels, key, 'le="+Inf"')} ${count}`);
+          lines.push(`${name}_sum${labelText(labels, key)} ${sum}`);
+          lines.push(`${name}_count${labelText(labels, key)} ${count}`);
+        }
+        return lines;
+      }
+    });
+  }
+
+  // The whole registry, ready to serve as text/plain; version=0.0.4
+  function render() {
+    return metrics.map((metric) => metric.render().join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, histogram, render };
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetricsRegistry };
@@ -0,0 +1,78 @@
+const { createMetricsRegistry } = require('./registry');
+
+const TOKEN_TYPES = ['prompt', 'completion'];
+
+/**
+ * The service's own metrics:
+ *
+ *   http_requests_total{method,route,status}
+ *   http_request_duration_seconds{method,route}
+ *   upstream_request_duration_seconds{provider,outcome}   one per attempt;
+ *                                                         outcome is ok or an upstream_* code
+ *   model_tokens_total{model,kind,type}                   type is prompt or completion
+ *   analysis_parses_total{kind,outcome}                   ok, repaired or the parse error code
+ *   analysis_cache_lookups_total{kind,result}             memory, persistent, coalesced or miss
+ *
+ * `kind` is the quota kind: imageAnalyses, textAnalyses or coachTokens.
+ */
+function createServiceMetrics({ registry = createMetricsRegistry() } = {}) {
+  const httpRequests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status.',
+    labels: ['method', 'route', 'status']
+  });
+  const httpDuration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds.',
+    labels: ['method', 'route']
+  });
+  const upstreamDuration = registry.histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Latency of each model provider attempt in seconds, by outcome.',
+    labels: ['provider', 'outcome'],
+    buckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60]
+  });
+  const tokens = registry.counter({
+    name: 'model_tokens_total',
+    help: 'Model tokens used, by model, quota kind and token type.',
+    labels: ['model', 'kind', 'type']
+  });
+  const parses = registry.counter({
+    name: 'analysis_parses_total',
+    help: 'Model answers parsed into meals: ok, repaired, or the parse error code.',
+    labels: ['kind', 'outcome']
+  });
+  const cacheLookups = registry.counter({
+    name: 'analysis_cache_lookups_total',
+    help: 'Analysis cache lookups by where they were answered from.',
+    labels: ['kind', 'result']
+  });
+
+  return {
+    registry,
+    observeRequest({ method, route, status, seconds }) {
+      httpRequests.inc({ method, route, status });
+      httpDuration.observe({ method, route }, seconds);
+    },
+    observeUpstream({ provider, outcome, seconds }) {
+      upstreamDuration.observe({ provider, outcome }, seconds);
+    },
+    // `usage` as OpenAI reports it; null when the provider doesn't say
+    recordTokens({ model, kind, usage }) {
+      if (!usage) return;
+      for (const type of TOKEN_TYPES) {
+        const count = usage[`${type}_tokens`];
+        if (count > 0) tokens.inc({ model, kind, type }, count);
+      }
+    },
+    recordParse({ kind, outcome }) {
+      parses.inc({ kind, outcome });
+    },
+    recordCacheLookup({ kind, result }) {
+      cacheLookups.inc({ kind, result });
+    },
+    render: () => registry.render()
+  };
+}
+
+module.exports = { createServiceMetrics };
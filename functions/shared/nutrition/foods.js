@@ -0,0 +1,111 @@
+// Bundled food composition table (foods.csv) and fuzzy name matching.
+// Values are approximate USDA FoodData Central figures per 100 g.
+
+const fs = require('fs');
+const path = require('path');
+
+const FOOD_TABLE_PATH = path.join(__dirname, 'foods.csv');
+const MIN_MATCH_CONFIDENCE = 0.7;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'of', 'the', 'with', 'in', 'on', 'side', 'served', 'fresh', 'plain',
+  'one', 'two', 'three', 'four', 'half', 'slice', 'piece', 'bowl', 'plate', 'serving'
+]);
+
+let foodTable = null;
+
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !STOPWORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+function parseFoodTable(csv) {
+  const [header, ...rows] = csv.trim().split(/\r?\n/);
+  const columns = header.split(',');
+  return rows.map((row) => {
+    const values = row.split(',');
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = values[index];
+    });
+    const names = [record.name, ...(record.aliases ? record.aliases.split('|') : [])];
+    return {
+      name: record.name,
+      per100g: {
+        calories: parseFloat(record.kcal),
+        protein: parseFloat(record.protein),
+        carbohydrates: parseFloat(record.carbohydrates),
+        fat: parseFloat(record.fat)
+      },
+      servingGrams: parseFloat(record.serving_g),
+      tokenSets: names.map((name) => tokenize(name))
+    };
+  });
+}
+
+function loadFoodTable() {
+  if (!foodTable) {
+    foodTable = parseFoodTable(fs.readFileSync(FOOD_TABLE_PATH, 'utf8'));
+  }
+  return foodTable;
+}
+
+// Dice coefficient between two token lists
+function similarity(a, b) {
+  if (!a.length || !b.length) return 0;
+  const setB = new Set(b);
+  const shared = new Set(a.filter((token) => setB.has(token))).size;
+  return (2 * shared) / (new Set(a).size + setB.size);
+}
+
+// Share of the name covered by the longest run of candidate tokens in the
+// same order, so "fried rice" covers more of "chicken fried rice" than
+// "fried chicken" does
+function coverage(tokens, candidate) {
+  let longest = 0;
+  for (let start = 0; start < tokens.length; start += 1) {
+    let length = 0;
+    while (start + length < tokens.length && candidate[length] === tokens[start + length]) length += 1;
+    longest = Math.max(longest, length);
+  }
+  return longest / tokens.length;
+}
+
+// Dice similarity, already lowered by tokens either side leaves unmatched.
+// An unmatched last word of the name, usually what the dish is ("salad" in
+// "grilled chicken salad"), costs another fifth.
+function matchScore(tokens, candidate) {
+  const score = similarity(tokens, candidate);
+  return candidate.includes(tokens[tokens.length - 1]) ? score : score * 0.8;
+}
+
+// Find the closest food for a dish name. Returns { food, confidence } or null.
+// Equal scores go to the candidate covering more of the name in order.
+function matchFood(name, table = loadFoodTable()) {
+  const tokens = tokenize(name);
+  if (!tokens.length) return null;
+  let best = null;
+  for (const food of table) {
+    for (const candidate of food.tokenSets) {
+      const score = matchScore(tokens, candidate);
+      if (!score) continue;
+      const covered = coverage(tokens, candidate);
+      if (!best || score > best.confidence || (score === best.confidence && covered > best.coverage)) {
+        best = { food, confidence: score, coverage: covered };
+      }
+    }
+  }
+  if (!best || best.confidence < MIN_MATCH_CONFIDENCE) return null;
+  return { food: best.food, confidence: Math.round(best.confidence * 100) / 100 };
+}
+
+module.exports = {
+  loadFoodTable,
+  matchFood,
+  parseFoodTable
+};
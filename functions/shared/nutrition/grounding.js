@@ -0,0 +1,150 @@
+/**
+ * Grounds model nutrition estimates against the bundled food composition
+ * table (foods.csv, approximate USDA FoodData Central values per 100 g).
+ *
+ * Each dish keeps the model's own numbers and gains a `grounded` block with
+ * the matched food, the portion weight the values were scaled to and a match
+ * confidence, or `grounded: null` when nothing in the table is close enough.
+ * Ingredients with a weight in grams are grounded the same way, and a dish
+ * whose ingredients all ground is the sum of them (`basis: 'ingredients'`)
+ * rather than its own name scaled up (`basis: 'dish'`).
+ */
+
+const { loadFoodTable, matchFood } = require('./foods');
+
+// Grams per unit for portions stated by weight. Volumes other than ml are
+// left to the serving count, since their weight depends on the food.
+const UNIT_GRAMS = {
+  g: 1, gram: 1, grams: 1,
+  kg: 1000,
+  oz: 28.35, ounce: 28.35, ounces: 28.35,
+  lb: 453.6, lbs: 453.6, pound: 453.6, pounds: 453.6,
+  ml: 1
+};
+
+// Estimate the portion weight in grams from the model's portion description.
+// Falls back to a count of servings, then to one standard serving.
+function estimatePortionGrams(portion, food) {
+  const text = typeof portion === 'string' ? portion.toLowerCase() : '';
+
+  const measured = text.match(/(\d+(?:\.\d+)?)\s*(kg|g|grams?|oz|ounces?|lbs?|pounds?|ml)\b/);
+  if (measured) {
+    return { grams: parseFloat(measured[1]) * UNIT_GRAMS[measured[2]], source: 'portion' };
+  }
+
+  const counted = text.match(/(\d+(?:\.\d+)?|half|one|two|three|four)\b/);
+  if (counted) {
+    const words = { half: 0.5, one: 1, two: 2, three: 3, four: 4 };
+    const count = words[counted[1]] !== undefined ? words[counted[1]] : parseFloat(counted[1]);
+    return { grams: count * food.servingGrams, source: 'servings' };
+  }
+
+  return { grams: food.servingGrams, source: 'default' };
+}
+
+function scale(per100g, grams) {
+  const factor = grams / 100;
+  const round = (value) => Math.round(value * factor * 10) / 10;
+  return {
+    calories: round(per100g.calories),
+    macronutrients: {
+      protein: round(per100g.protein),
+      carbohydrates: round(per100g.carbohydrates),
+      fat: round(per100g.fat)
+    }
+  };
+}
+
+// Sum of ingredient weights, or 0 unless every ingredient has one
+function totalIngredientGrams(ingredients) {
+  if (!Array.isArray(ingredients) || !ingredients.length) return 0;
+  if (ingredients.some((ingredient) => !ingredient || typeof ingredient.grams !== 'number')) return 0;
+  return ingredients.reduce((sum, ingredient) => sum + ingredient.grams, 0);
+}
+
+// Ground one ingredient at its stated weight, or null without one
+function groundIngredient(ingredient, table) {
+  if (!ingredient || typeof ingredient.grams !== 'number') return null;
+  const match = matchFood(ingredient.name || '', table);
+  if (!match) return null;
+  return {
+    food: match.food.name,
+    matchConfidence: match.confidence,
+    grams: Math.round(ingredient.grams),
+    ...scale(match.food.per100g, ingredient.grams)
+  };
+}
+
+// The sum of the grounded ingredients, or null unless every one grounded
+function sumIngredients(ingredients) {
+  if (!ingredients.length || ingredients.some((ingredient) => !ingredient || !ingredient.grounded)) return null;
+  const round = (value) => Math.round(value * 10) / 10;
+  const total = (pick) => round(ingredients.reduce((sum, ingredient) => sum + pick(ingredient.grounded), 0));
+  return {
+    basis: 'ingredients',
+    food: null,
+    matchConfidence: Math.min(...ingredients.map((ingredient) => ingredient.grounded.matchConfidence)),
+    grams: Math.round(totalIngredientGrams(ingredients)),
+    gramsSource: 'ingredients',
+    calories: total((values) => values.calories),
+    macronutrients: {
+      protein: total((values) => values.macronutrients.protein),
+      carbohydrates: total((values) => values.macronutrients.carbohydrates),
+      fat: total((values) => values.macronutrients.fat)
+    }
+  };
+}
+
+// Ground the dish as a whole from its own name
+function groundByName(dish, table) {
+  const match = matchFood(dish.dish, table);
+  if (!match) return null;
+
+  // Ingredient weights are the most specific estimate we have
+  const ingredientGrams = totalIngredientGrams(dish.ingredients);
+  const portion = ingredientGrams
+    ? { grams: ingredientGrams, source: 'ingredients' }
+    : estimatePortionGrams(dish.portion, match.food);
+  return {
+    basis: 'dish',
+    food: match.food.name,
+    matchConfidence: match.confidence,
+    grams: Math.round(portion.grams),
+    gramsSource: portion.source,
+    ...scale(match.food.per100g, portion.grams)
+  };
+}
+
+// Ground a single normalized dish and each of its weighed ingredients.
+// Returns { grounded, ingredients }.
+function groundDishAndIngredients(dish, table) {
+  if (!Array.isArray(dish.ingredients)) {
+    return { grounded: groundByName(dish, table), ingredients: dish.ingredients };
+  }
+  const ingredients = dish.ingredients.map((ingredient) => (ingredient && typeof ingredient === 'object'
+    ? { ...ingredient, grounded: groundIngredient(ingredient, table) }
+    : ingredient));
+  return { grounded: sumIngredients(ingredients) || groundByName(dish, table), ingredients };
+}
+
+// Ground a single normalized dish
+function groundDish(dish, table = loadFoodTable()) {
+  return groundDishAndIngredients(dish, table).grounded;
+}
+
+// Add database-grounded values to every dish of a normalized analysis
+function groundAnalysis(analysis, table = loadFoodTable()) {
+  return {
+    ...analysis,
+    meal: analysis.meal.map((dish) => {
+      const { grounded, ingredients } = groundDishAndIngredients(dish, table);
+      return Array.isArray(ingredients) ? { ...dish, ingredients, grounded } : { ...dish, grounded };
+    })
+  };
+}
+
+module.exports = {
+  estimatePortionGrams,
+  groundAnalysis,
+  groundDish
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  ...require('./foods'),
+  ...require('./grounding'),
+  ...require('./products'),
+  ...require('./recompute')
+};
@@ -0,0 +1,157 @@
+// Bundled packaged-product table (products.csv) for barcode lookups.
+// Barcodes are stored as EAN-13 (UPC-A codes with a leading 0) or EAN-8,
+// with nutrition per 100 g (or 100 ml) as printed on the label and the
+// label's serving size. Extend the CSV to cover more products.
+
+const fs = require('fs');
+const path = require('path');
+
+const PRODUCT_TABLE_PATH = path.join(__dirname, 'products.csv');
+const MAX_SERVINGS = 20;
+const MAX_GRAMS = 5000;
+
+let productTable = null;
+
+class ProductLookupError extends Error {
+  constructor(message, code = 'invalid_barcode') {
+    super(message);
+    this.name = 'ProductLookupError';
+    this.code = code;
+  }
+}
+
+// GS1 check digit: weights 3 and 1 alternate from the rightmost data digit
+function validCheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i -= 1, weight = 4 - weight) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// Accept EAN-8, UPC-A, EAN-13 or GTIN-14 (spaces and dashes allowed) and
+// return the code in the form used by the table
+function normalizeBarcode(value) {
+  const digits = String(value === undefined || value === null ? '' : value).replace(/[\s-]/g, '');
+  if (!/^(\d{8}|\d{12,14})$/.test(digits)) {
+    throw new ProductLookupError('Barcode must be an 8, 12, 13 or 14 digit UPC/EAN code');
+  }
+  if (!validCheckDigit(digits)) {
+    throw new ProductLookupError(`Barcode ${digits} has an invalid check digit`);
+  }
+  if (digits.length === 12) return `0${digits}`;
+  if (digits.length === 14 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+}
+
+function parseProductTable(csv) {
+  const [header, ...rows] = csv.trim().split(/\r?\n/);
+  const columns = header.split(',');
+  const table = new Map();
+  for (const row of rows) {
+    const values = row.split(',');
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = values[index];
+    });
+    const barcode = normalizeBarcode(record.barcode);
+    table.set(barcode, {
+      barcode,
+      name: record.name,
+      brand: record.brand || null,
+      per100g: {
+        calories: parseFloat(record.kcal),
+        protein: parseFloat(record.protein),
+        carbohydrates: parseFloat(record.carbohydrates),
+        fat: parseFloat(record.fat)
+      },
+      servingGrams: parseFloat(record.serving_g)
+    });
+  }
+  return table;
+}
+
+function loadProductTable() {
+  if (!productTable) {
+    productTable = parseProductTable(fs.readFileSync(PRODUCT_TABLE_PATH, 'utf8'));
+  }
+  return productTable;
+}
+
+function optionalPositive(value, max, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > max) {
+    throw new ProductLookupError(`${field} must be a number between 0 and ${max}`, 'invalid_amount');
+  }
+  return number;
+}
+
+// Validate `barcode` plus an optional amount: `grams`, or `servings` of the
+// label serving size (default 1 serving)
+function parseBarcodeRequest(input = {}) {
+  const barcode = normalizeBarcode(input.barcode);
+  const grams = optionalPositive(input.grams, MAX_GRAMS, 'grams');
+  const servings = optionalPositive(input.servings, MAX_SERVINGS, 'servings');
+  if (grams !== null && servings !== null) {
+    throw new ProductLookupError('Send either grams or servings, not both', 'invalid_amount');
+  }
+  return { barcode, grams, servings };
+}
+
+// Resolve with the product for a normalized barcode, or null
+function lookupProduct(barcode, table = loadProductTable()) {
+  return table.get(barcode) || null;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// The eaten amount of a product as a one-dish analysis, in the same shape as
+// an image analysis so it can be shown, edited and logged the same way
+function productMeal(product, { grams = null, servings = null } = {}) {
+  const weight = grams !== null ? grams : (servings !== null ? servings : 1) * product.servingGrams;
+  const factor = weight / 100;
+  const macronutrients = {
+    protein: round(product.per100g.protein * factor),
+    carbohydrates: round(product.per100g.carbohydrates * factor),
+    fat: round(product.per100g.fat * factor)
+  };
+  const calories = round(product.per100g.calories * factor);
+  const count = servings !== null ? servings : 1;
+  const portion = grams !== null
+    ? `${round(weight)} g`
+    : `${count} serving${count === 1 ? '' : 's'} (${round(weight)} g)`;
+  const name = product.brand && !product.name.includes(product.brand)
+    ? `${product.brand} ${product.name}`
+    : product.name;
+
+  return {
+    meal: [{
+      dish: name,
+      calories,
+      macronutrients,
+      ingredients: [{
+        name,
+        grams: round(weight),
+        calories,
+        macronutrients,
+        per100g: { ...product.per100g }
+      }],
+      portion,
+      confidence: 1,
+      totalsSource: 'ingredients'
+    }]
+  };
+}
+
+module.exports = {
+  ProductLookupError,
+  loadProductTable,
+  lookupProduct,
+  normalizeBarcode,
+  parseBarcodeRequest,
+  parseProductTable,
+  productMeal
+};
@@ -0,0 +1,74 @@
+const { AnalysisParseError, normalizeAnalysis, toNumber } = require('../analysis/schema');
+const { matchFood } = require('./foods');
+
+const MAX_CALORIES_PER_100G = 1000;
+
+function validDensity(density) {
+  if (!density || typeof density !== 'object') return null;
+  const values = {
+    calories: toNumber(density.calories),
+    protein: toNumber(density.protein),
+    carbohydrates: toNumber(density.carbohydrates),
+    fat: toNumber(density.fat)
+  };
+  if (values.calories === null || values.calories < 0 || values.calories > MAX_CALORIES_PER_100G) return null;
+  for (const key of ['protein', 'carbohydrates', 'fat']) {
+    if (values[key] === null || values[key] < 0 || values[key] > 100) values[key] = 0;
+  }
+  return values;
+}
+
+// Rescale one raw ingredient to its (possibly edited) weight
+function rescaleIngredient(ingredient, field, issues) {
+  if (!ingredient || typeof ingredient !== 'object') return ingredient;
+
+  const grams = toNumber(ingredient.grams);
+  if (grams === null) return ingredient;
+
+  let density = validDensity(ingredient.per100g);
+  if (!density) {
+    const match = matchFood(ingredient.name || '');
+    density = match ? match.food.per100g : null;
+  }
+  if (!density) {
+    issues.push(`${field} has no nutrient density; kept its calories unchanged`);
+    return ingredient;
+  }
+
+  const factor = grams / 100;
+  return {
+    ...ingredient,
+    grams,
+    calories: density.calories * factor,
+    macronutrients: {
+      protein: density.protein * factor,
+      carbohydrates: density.carbohydrates * factor,
+      fat: density.fat * factor
+    }
+  };
+}
+
+/**
+ * Recompute a meal after ingredient weights were edited on the client,
+ * without another image analysis. Each ingredient is rescaled from its
+ * per100g density (falling back to the food table by name) and the dish
+ * totals are summed again through the normal schema.
+ */
+function recomputeMeal(input, issues = []) {
+  if (!input || !Array.isArray(input.meal)) {
+    throw new AnalysisParseError('Request does not contain a meal');
+  }
+
+  const meal = input.meal.map((dish, index) => {
+    if (!dish || !Array.isArray(dish.ingredients)) return dish;
+    return {
+      ...dish,
+      ingredients: dish.ingredients.map((ingredient, ingredientIndex) =>
+        rescaleIngredient(ingredient, `meal[${index}].ingredients[${ingredientIndex}]`, issues))
+    };
+  });
+
+  return normalizeAnalysis({ meal }, issues);
+}
+
+module.exports = { recomputeMeal };
@@ -0,0 +1,141 @@
+/**
+ * Per-user daily quotas, stored in Firestore at users/{uid}/usage/{YYYY-MM-DD}
+ * (UTC day). Each counter in DEFAULT_LIMITS is a field on that document.
+ *
+ * `db` is the caller's `admin.firestore()` instance. Updates run in a
+ * transaction so concurrent requests cannot both spend the last unit.
+ */
+
+const DEFAULT_LIMITS = {
+  imageAnalyses: 30,
+  textAnalyses: 100,
+  coachTokens: 50000
+};
+
+const QUOTA_LABELS = {
+  imageAnalyses: 'image analysis',
+  textAnalyses: 'meal description',
+  coachTokens: 'Coach token'
+};
+
+class QuotaExceededError extends Error {
+  constructor(allowance) {
+    super(`Daily ${QUOTA_LABELS[allowance.kind] || allowance.kind} quota used up ` +
+      `(${allowance.limit} per day); it resets at ${allowance.resetsAt}`);
+    this.name = 'QuotaExceededError';
+    this.code = 'quota_exceeded';
+    this.status = 429;
+    this.quota = allowance;
+  }
+}
+
+function usageDay(now) {
+  return now.toISOString().slice(0, 10);
+}
+
+function nextReset(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+}
+
+// Merge numeric overrides (env vars, functions config) over the defaults
+function quotaLimits(overrides = {}) {
+  const limits = { ...DEFAULT_LIMITS };
+  for (const kind of Object.keys(DEFAULT_LIMITS)) {
+    const value = Number(overrides[kind]);
+    if (overrides[kind] !== undefined && overrides[kind] !== '' && Number.isFinite(value) && value >= 0) {
+      limits[kind] = value;
+    }
+  }
+  return limits;
+}
+
+// Read limits from QUOTA_IMAGE_ANALYSES_PER_DAY / QUOTA_TEXT_ANALYSES_PER_DAY /
+// QUOTA_COACH_TOKENS_PER_DAY
+function quotaLimitsFromEnv(env = process.env) {
+  return quotaLimits({
+    imageAnalyses: env.QUOTA_IMAGE_ANALYSES_PER_DAY,
+    textAnalyses: env.QUOTA_TEXT_ANALYSES_PER_DAY,
+    coachTokens: env.QUOTA_COACH_TOKENS_PER_DAY
+  });
+}
+
+function createQuota({ db, limits = DEFAULT_LIMITS, now = () => new Date() }) {
+  function usageRef(uid, date) {
+    return db.collection('users').doc(uid).collection('usage').doc(usageDay(date));
+  }
+
+  function allowance(kind, used, date) {
+    const limit = limits[kind];
+    return {
+      kind,
+      limit,
+      used,
+      remaining: Math.max(0, limit - used),
+      resetsAt: nextReset(date)
+    };
+  }
+
+  function assertKind(kind) {
+    if (!Object.prototype.hasOwnProperty.call(limits, kind)) {
+      throw new Error(`Unknown quota: ${kind}`);
+    }
+  }
+
+  async function readUsed(uid, kind, date, tx) {
+    const ref = usageRef(uid, date);
+    const snapshot = tx ? await tx.get(ref) : await ref.get();
+    const data = snapshot.exists ? snapshot.data() : {};
+    return { ref, used: Number(data[kind]) || 0 };
+  }
+
+  // Report the allowance without spending anything
+  async function status(uid, kind) {
+    assertKind(kind);
+    const date = now();
+    const { used } = await readUsed(uid, kind, date);
+    return allowance(kind, used, date);
+  }
+
+  // Throw QuotaExceededError if less than `amount` is left; otherwise report the allowance
+  async function check(uid, kind, amount = 1) {
+    const current = await status(uid, kind);
+    if (current.remaining < amount) throw new QuotaExceededError(current);
+    return current;
+  }
+
+  // Spend `amount` up front, refusing if it would go over the limit
+  async function consume(uid, kind, amount = 1) {
+    assertKind(kind);
+    const date = now();
+    return db.runTransaction(async (tx) => {
+      const { ref, used } = await readUsed(uid, kind, date, tx);
+      if (used + amount > limits[kind]) {
+        throw new QuotaExceededError(allowance(kind, used, date));
+      }
+      tx.set(ref, { [kind]: used + amount, updatedAt: date }, { merge: true });
+      return allowance(kind, used + amount, date);
+    });
+  }
+
+  // Add usage that is only known afterwards (e.g. tokens); may overshoot the limit once
+  async function record(uid, kind, amount) {
+    assertKind(kind);
+    const date = now();
+    return db.runTransaction(async (tx) => {
+      const { ref, used } = await readUsed(uid, kind, date, tx);
+      const total = used + Math.max(0, Number(amount) || 0);
+      tx.set(ref, { [kind]: total, updatedAt: date }, { merge: true });
+      return allowance(kind, total, date);
+    });
+  }
+
+  return { check, consume, record, status, limits };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  QuotaExceededError,
+  createQuota,
+  quotaLimits,
+  quotaLimitsFromEnv
+};
@@ -0,0 +1,51 @@
+/**
+ * Circuit breaker for one upstream. After `failureThreshold` consecutive
+ * failures it opens and calls fail fast for `resetMs`; then a single trial
+ * call is let through (half-open), and its outcome closes or reopens it.
+ */
+function createCircuitBreaker({ failureThreshold = 5, resetMs = 30000, now = () => Date.now() } = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function state() {
+    if (openedAt === null) return 'closed';
+    return now() - openedAt >= resetMs ? 'half-open' : 'open';
+  }
+
+  // Whether a call may go out now; claims the trial slot when half-open
+  function allow() {
+    const current = state();
+    if (current === 'closed') return true;
+    if (current === 'open' || trialInFlight) return false;
+    trialInFlight = true;
+    return true;
+  }
+
+  function success() {
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  }
+
+  function failure() {
+    failures += 1;
+    if (trialInFlight || failures >= failureThreshold) openedAt = now();
+    trialInFlight = false;
+  }
+
+  // A call that ended without telling us anything about the upstream, such as
+  // one the caller cancelled, gives the trial slot back
+  function release() {
+    trialInFlight = false;
+  }
+
+  // Milliseconds until the next trial call is allowed
+  function retryInMs() {
+    return openedAt === null ? 0 : Math.max(0, resetMs - (now() - openedAt));
+  }
+
+  return { allow, failure, release, retryInMs, state, success };
+}
+
+module.exports = { createCircuitBreaker };
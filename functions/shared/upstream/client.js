@@ -0,0 +1,340 @@
+const { UpstreamError } = require('./errors');
+const { createCircuitBreaker } = require('./breaker');
+
+const DEFAULT_TIMEOUT_MS = 25000;
+// Below the app's 30 s request timeout, so the client hears why we gave up
+const DEFAULT_DEADLINE_MS = 28000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 4000;
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_RESET_MS = 30000;
+
+// A retry is only worth starting with at least this much of the deadline left
+const MIN_ATTEMPT_MS = 1000;
+
+function positive(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && number > 0 ? number : fallback;
+}
+
+function nonNegative(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && number >= 0 ? Math.floor(number) : fallback;
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function seconds(ms) {
+  return Math.max(1, Math.ceil(ms / 1000));
+}
+
+// Retry-After is seconds or an HTTP date; OpenAI also sends retry-after-ms
+function parseRetryAfter(headers, nowMs) {
+  if (!headers || typeof headers.get !== 'function') return null;
+  const ms = Number(headers.get('retry-after-ms'));
+  if (ms > 0) return ms;
+  const value = headers.get('retry-after');
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - nowMs);
+}
+
+// What a non-2xx answer means for us: our error code and status, whether
+// trying again can help and whether it counts against the circuit breaker
+function classifyStatus(status, body) {
+  if (status === 429 && /insufficient_quota/.test(body)) {
+    return { code: 'upstream_quota_exceeded', status: 503, retryable: false, failure: true };
+  }
+  if (status === 429) return { code: 'upstream_rate_limited', status: 503, retryable: true, failure: true };
+  if (status >= 500 || status === 408) return { code: 'upstream_unavailable', status: 502, retryable: true, failure: true };
+  if (status === 401 || status === 403) return { code: 'upstream_auth_failed', status: 502, retryable: false, failure: false };
+  return { code: 'upstream_rejected', status: 502, retryable: false, failure: false };
+}
+
+function describeStatus(name, code, upstreamStatus, retryAfterMs) {
+  switch (code) {
+    case 'upstream_quota_exceeded':
+      return `${name} quota exhausted; contact support`;
+    case 'upstream_rate_limited':
+      return `${name} is busy; try again in ${seconds(retryAfterMs || 0)} s`;
+    case 'upstream_unavailable':
+      return `${name} is unavailable (HTTP ${upstreamStatus}); try again shortly`;
+    case 'upstream_auth_failed':
+      return `${name} rejected the server's API key`;
+    default:
+      return `${name} rejected the request (HTTP ${upstreamStatus})`;
+  }
+}
+
+/**
+ * HTTP client for one model provider, shared by every call to it in the
+ * process so the circuit breaker sees all of them:
+ *
+ *   - every attempt is aborted after `timeoutMs`, and the whole call,
+ *     retries included, gives up after `deadlineMs`
+ *   - 429s, 5xx and network failures are retried up to `retries` times with
+ *     jittered exponential backoff, or after the provider's Retry-After when
+ *     it sends one no longer than `maxDelayMs`
+ *   - after `breakerThreshold` consecutive failures, calls fail fast with
+ *     upstream_circuit_open for `breakerResetMs`
+ *
+ * Failures are thrown as UpstreamError with our own codes. A call cancelled
+ * through its `signal` rejects with the fetch AbortError as before.
+ *
+ * `onAttempt({ provider, outcome, upstreamStatus, seconds })` hears about
+ * every attempt, with `outcome` 'ok' or the attempt's upstream_* code; retries
+ * are logged to `logger`.
+ */
+function createUpstreamClient({
+  fetch: fetchImpl = globalThis.fetch,
+  name = 'OpenAI',
+  timeoutMs,
+  deadlineMs,
+  retries,
+  baseDelayMs,
+  maxDelayMs,
+  breakerThreshold,
+  breakerResetMs,
+  breaker,
+  now = () => Date.now(),
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  random = Math.random,
+  logger = console,
+  onAttempt = null
+} = {}) {
+  const timeout = positive(timeoutMs, DEFAULT_TIMEOUT_MS);
+  const deadline = positive(deadlineMs, DEFAULT_DEADLINE_MS);
+  const maxRetries = nonNegative(retries, DEFAULT_RETRIES);
+  const baseDelay = positive(baseDelayMs, DEFAULT_BASE_DELAY_MS);
+  const maxDelay = positive(maxDelayMs, DEFAULT_MAX_DELAY_MS);
+  const circuit = breaker || createCircuitBreaker({
+    failureThreshold: positive(breakerThreshold, DEFAULT_BREAKER_THRESHOLD),
+    resetMs: positive(breakerResetMs, DEFAULT_BREAKER_RESET_MS),
+    now
+  });
+  const provider = name.toLowerCase();
+
+  function timeoutError(ms) {
+    return new UpstreamError(`${name} did not respond within ${seconds(ms)} s`, {
+      code: 'upstream_timeout',
+      status: 504,
+      provider
+    });
+  }
+
+  function backoff(attempt) {
+    const cap = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.round(cap / 2 + random() * cap / 2);
+  }
+
+  // Every chunk must arrive within `timeout` of the previous one. The wait is
+  // raced rather than left to the abort, which not every fetch body honors.
+  async function* readWithIdleTimeout(body, controller, done) {
+    const iterator = body[Symbol.asyncIterator]();
+    try {
+      for (;;) {
+        let timer = null;
+        const pending = iterator.next();
+        pending.catch(() => {});
+        let next;
+        try {
+          next = await Promise.race([pending, new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              controller.abort();
+              reject(timeoutError(timeout));
+            }, timeout);
+          })]);
+        } catch (error) {
+          if (error instanceof UpstreamError || controller.signal.aborted) throw error;
+          throw new UpstreamError(`${name} stream was interrupted`, {
+            code: 'upstream_unavailable',
+            status: 502,
+            provider,
+            details: error.message
+          });
+        } finally {
+          clearTimeout(timer);
+        }
+        if (next.done) return;
+        yield next.value;
+      }
+    } finally {
+      done();
+      // Stop reading when the caller is done early
+      if (typeof iterator.return === 'function') Promise.resolve(iterator.return()).catch(() => {});
+    }
+  }
+
+  // One attempt. Resolves with { response, text } for a finished answer,
+  // { response, body } for an open stream or { error, timedOut } when no
+  // answer arrived; rejects only when the caller cancelled.
+  async function attempt(url, init, attemptTimeout, stream) {
+    const controller = new AbortController();
+    const callerSignal = init.signal;
+    const onAbort = () => controller.abort();
+    if (callerSignal) callerSignal.addEventListener('abort', onAbort);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, attemptTimeout);
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (callerSignal) callerSignal.removeEventListener('abort', onAbort);
+    };
+
+    try {
+      const response = await fetchImpl(url, { ...init, signal: controller.signal });
+      if (stream && response.ok) {
+        clearTimeout(timer);
+        return { response, body: readWithIdleTimeout(response.body, controller, cleanup) };
+      }
+      const text = await response.text();
+      cleanup();
+      return { response, text };
+    } catch (error) {
+      cleanup();
+      if (callerSignal && callerSignal.aborted) throw error;
+      return { error, timedOut };
+    }
+  }
+
+  async function send(url, init = {}, { stream = false } = {}) {
+    if (init.signal && init.signal.aborted) throw abortError();
+    const started = now();
+
+    for (let attemptNumber = 0; ; attemptNumber += 1) {
+      if (!circuit.allow()) {
+        const waitMs = circuit.retryInMs();
+        throw new UpstreamError(`${name} is unavailable; requests are paused for ${seconds(waitMs)} s after repeated failures`, {
+          code: 'upstream_circuit_open',
+          status: 503,
+          retryAfter: seconds(waitMs),
+          provider
+        });
+      }
+
+      const attemptTimeout = Math.max(1, Math.min(timeout, deadline - (now() - started)));
+      const attemptStarted = now();
+      const report = (outcome, upstreamStatus = null) => {
+        if (onAttempt) onAttempt({ provider, outcome, upstreamStatus, seconds: (now() - attemptStarted) / 1000 });
+      };
+      let result;
+      try {
+        result = await attempt(url, init, attemptTimeout, stream);
+      } catch (error) {
+        circuit.release();
+        throw error;
+      }
+
+      let failure;
+      let retryable;
+      let retryAfterMs = null;
+      if (result.error) {
+        circuit.failure();
+        // A timed-out call already used most of the deadline; don't repeat it
+        retryable = !result.timedOut;
+        failure = result.timedOut
+          ? timeoutError(attemptTimeout)
+          : new UpstreamError(`${name} is unreachable; try again shortly`, {
+            code: 'upstream_unavailable',
+            status: 502,
+            provider,
+            details: result.error.message
+          });
+      } else if (result.response.ok) {
+        circuit.success();
+        let data;
+        try {
+          data = stream ? result.body : JSON.parse(result.text);
+        } catch (error) {
+          report('upstream_invalid_response', result.response.status);
+          throw new UpstreamError(`Invalid response from ${name}`, {
+            code: 'upstream_invalid_response',
+            status: 502,
+            upstreamStatus: result.response.status,
+            provider,
+            details: result.text.slice(0, 500)
+          });
+        }
+        report('ok', result.response.status);
+        return data;
+      } else {
+        const upstreamStatus = result.response.status;
+        const verdict = classifyStatus(upstreamStatus, result.text);
+        // Any answer, even a 4xx, shows the provider is up
+        if (verdict.failure) circuit.failure();
+        else circuit.success();
+        retryable = verdict.retryable;
+        retryAfterMs = parseRetryAfter(result.response.headers, now());
+        failure = new UpstreamError(describeStatus(name, verdict.code, upstreamStatus, retryAfterMs), {
+          code: verdict.code,
+          status: verdict.status,
+          upstreamStatus,
+          retryAfter: retryAfterMs !== null ? seconds(retryAfterMs) : null,
+          provider,
+          details: result.text
+        });
+      }
+
+      report(failure.code, failure.upstreamStatus);
+
+      const waitMs = retryAfterMs !== null ? retryAfterMs : backoff(attemptNumber);
+      const remaining = deadline - (now() - started);
+      if (!retryable ||
+          attemptNumber >= maxRetries ||
+          circuit.state() !== 'closed' ||
+          (retryAfterMs !== null && retryAfterMs > maxDelay) ||
+          remaining - waitMs < MIN_ATTEMPT_MS) {
+        throw failure;
+      }
+
+      logger.warn(`${name} ${failure.code}, retry ${attemptNumber + 1}/${maxRetries} in ${waitMs} ms`, {
+        provider,
+        code: failure.code,
+        upstreamStatus: failure.upstreamStatus,
+        details: failure.details
+      });
+      await sleep(waitMs);
+      if (init.signal && init.signal.aborted) throw abortError();
+    }
+  }
+
+  return {
+    name,
+    breaker: circuit,
+    // POST/GET that resolves with the parsed JSON body
+    requestJson: (url, init) => send(url, init),
+    // Resolves with the response body as an async iterable of chunks once
+    // the provider starts answering; retries only happen before that point
+    requestStream: (url, init) => send(url, init, { stream: true })
+  };
+}
+
+// Read UPSTREAM_TIMEOUT_MS, UPSTREAM_DEADLINE_MS, UPSTREAM_RETRIES,
+// UPSTREAM_BREAKER_THRESHOLD and UPSTREAM_BREAKER_RESET_MS
+function upstreamConfigFromEnv(env = process.env) {
+  return {
+    timeoutMs: env.UPSTREAM_TIMEOUT_MS,
+    deadlineMs: env.UPSTREAM_DEADLINE_MS,
+    retries: env.UPSTREAM_RETRIES,
+    breakerThreshold: env.UPSTREAM_BREAKER_THRESHOLD,
+    breakerResetMs: env.UPSTREAM_BREAKER_RESET_MS
+  };
+}
+
+module.exports = {
+  DEFAULT_DEADLINE_MS,
+  DEFAULT_RETRIES,
+  DEFAULT_TIMEOUT_MS,
+  classifyStatus,
+  createUpstreamClient,
+  parseRetryAfter,
+  upstreamConfigFromEnv
+};
@@ -0,0 +1,28 @@
+// Error raised by the upstream client. `code` is one of our own stable codes
+// and `status` the HTTP status to answer our client with; the provider's own
+// status is kept in `upstreamStatus` for the logs, so an upstream 401 or 429
+// is never mistaken for the caller's sign-in or daily quota.
+//
+//   upstream_timeout           504  no answer within the timeout
+//   upstream_rate_limited      503  429 from the provider, still limited after retries
+//   upstream_quota_exceeded    503  the provider account is out of credit
+//   upstream_unavailable       502  5xx or network failure, after retries
+//   upstream_circuit_open      503  failing fast after repeated failures
+//   upstream_auth_failed       502  the provider rejected our API key
+//   upstream_rejected          502  any other 4xx from the provider
+//   upstream_invalid_response  502  a 2xx body that could not be read
+//   upstream_not_configured    500  no API key (raised by the providers)
+class UpstreamError extends Error {
+  constructor(message, { code, status = 502, upstreamStatus = null, retryAfter = null, provider, details } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+    this.provider = provider;
+    this.details = details;
+  }
+}
+
+module.exports = { UpstreamError };
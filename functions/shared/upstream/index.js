@@ -0,0 +1,21 @@
+/**
+ * Resilient calls to model providers (OpenAI today): request timeouts,
+ * jittered retries on 429/5xx that honor Retry-After, a circuit breaker that
+ * fails fast while the provider is down, and stable error codes of our own
+ * instead of the provider's status codes.
+ *
+ * Like the rest of shared/, no npm packages: the caller passes `fetch`.
+ */
+
+const { UpstreamError } = require('./errors');
+const { createCircuitBreaker } = require('./breaker');
+const { classifyStatus, createUpstreamClient, parseRetryAfter, upstreamConfigFromEnv } = require('./client');
+
+module.exports = {
+  UpstreamError,
+  classifyStatus,
+  createCircuitBreaker,
+  createUpstreamClient,
+  parseRetryAfter,
+  upstreamConfigFromEnv
+};
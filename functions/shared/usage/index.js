@@ -0,0 +1,13 @@
+/**
+ * Token and cost accounting: every upstream model call is recorded per
+ * user, day and endpoint with its estimated cost (pricing.js), and the
+ * admin usage report summarizes spend and the biggest consumers (ledger.js).
+ *
+ * Recording happens after the call has been paid for, so callers log a
+ * failed write instead of failing the request.
+ */
+
+module.exports = {
+  ...require('./pricing'),
+  ...require('./ledger')
+};
@@ -0,0 +1,210 @@
+/**
+ * Token and cost ledger: every upstream model call is added to one document
+ * per user and UTC day, at usageLedger/{YYYY-MM-DD}_{uid}:
+ *
+ *   { day, uid, calls, promptTokens, completionTokens, costUsd,
+ *     endpoints: { [endpoint]: { calls, promptTokens, completionTokens, costUsd } },
+ *     models: { [model]: { ... } }, updatedAt }
+ *
+ * `endpoint` is what the client called: the callable's name, or the Express
+ * route. Costs are estimated from the price table when the call is recorded,
+ * so later price changes don't rewrite history.
+ *
+ * `db` is the caller's `admin.firestore()` instance. The report reads every
+ * document in its range, which is fine for an admin tool but not for a
+ * request path.
+ */
+
+const { estimateCost, priceFor, priceTable } = require('./pricing');
+
+const MAX_RANGE_DAYS = 92;
+const DEFAULT_RANGE_DAYS = 7;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UsageReportError extends Error {
+  constructor(message, code = 'invalid_usage_report') {
+    super(message);
+    this.name = 'UsageReportError';
+    this.code = code;
+    this.status = 400;
+  }
+}
+
+function usageDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDay(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new UsageReportError(`${field} must be a date in YYYY-MM-DD format`);
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || usageDay(date) !== value) {
+    throw new UsageReportError(`${field} is not a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Validate a report request (query string or callable data):
+ *
+ *   from, to  UTC days, YYYY-MM-DD; default the last 7 days up to today
+ *   top       how many of the biggest spenders to list (1-100, default 10)
+ */
+function parseUsageReportRequest(input = {}, now = new Date()) {
+  const to = input.to || usageDay(now);
+  const toDate = parseDay(to, 'to');
+  const from = input.from || usageDay(new Date(toDate.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+  const fromDate = parseDay(from, 'from');
+  if (from > to) {
+    throw new UsageReportError('from must not be after to');
+  }
+  if ((toDate - fromDate) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new UsageReportError(`A usage report can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  let top = DEFAULT_TOP;
+  if (input.top !== undefined && input.top !== '') {
+    top = Number(input.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+      throw new UsageReportError(`top must be a whole number from 1 to ${MAX_TOP}`);
+    }
+  }
+  return { from, to, top };
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, totals) {
+  target.calls += Number(totals.calls) || 0;
+  target.promptTokens += Number(totals.promptTokens) || 0;
+  target.completionTokens += Number(totals.completionTokens) || 0;
+  target.costUsd += Number(totals.costUsd) || 0;
+  return target;
+}
+
+// Totals as reported: tokens added up and cost rounded to a millionth of a dollar
+function reportTotals(totals) {
+  return {
+    calls: totals.calls,
+    promptTokens: totals.promptTokens,
+    completionTokens: totals.completionTokens,
+    totalTokens: totals.promptTokens + totals.completionTokens,
+    costUsd: Math.round(totals.costUsd * 1e6) / 1e6
+  };
+}
+
+// Add `totals` to `name`'s running totals in `map`
+function addTo(map, name, totals) {
+  if (!map.has(name)) map.set(name, emptyTotals());
+  addTotals(map.get(name), totals);
+}
+
+// Biggest spend first; tokens break ties (e.g. between unpriced models)
+function bySpend(field, map, extra = () => ({})) {
+  return [...map.entries()]
+    .map(([name, totals]) => ({ [field]: name, ...reportTotals(totals), ...extra(name) }))
+    .sort((a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens);
+}
+
+function createUsageLedger({
+  db,
+  prices = priceTable(),
+  collection = 'usageLedger',
+  now = () => new Date(),
+  logger = console
+}) {
+  const entries = db.collection(collection);
+  const unpriced = new Set();
+
+  /**
+   * Add one call's `usage` (as OpenAI reports it) to the user's day.
+   * Calls without usage are skipped; models without a price are counted
+   * at no cost, with a warning the first time each one is seen.
+   */
+  async function record({ uid, endpoint, model, usage }) {
+    if (!uid || !usage) return null;
+    const call = {
+      calls: 1,
+      promptTokens: Math.max(0, Number(usage.prompt_tokens) || 0),
+      completionTokens: Math.max(0, Number(usage.completion_tokens) || 0),
+      costUsd: estimateCost(prices, model, usage)
+    };
+    if (!call.promptTokens && !call.completionTokens) return null;
+    if (model && !priceFor(prices, model) && !unpriced.has(model)) {
+      unpriced.add(model);
+      logger.warn('No price for model; its tokens are recorded at no cost', { model });
+    }
+
+    const date = now();
+    const day = usageDay(date);
+    const ref = entries.doc(`${day}_${uid}`);
+    const endpointName = endpoint || 'unknown';
+    const modelName = model || 'unknown';
+    await db.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const data = snapshot.exists ? snapshot.data() : {};
+      const endpoints = { ...(data.endpoints || {}) };
+      const models = { ...(data.models || {}) };
+      endpoints[endpointName] = addTotals(addTotals(emptyTotals(), endpoints[endpointName] || {}), call);
+      models[modelName] = addTotals(addTotals(emptyTotals(), models[modelName] || {}), call);
+      tx.set(ref, {
+        day,
+        uid,
+        ...addTotals(addTotals(emptyTotals(), data), call),
+        endpoints,
+        models,
+        updatedAt: date
+      });
+    });
+    return call;
+  }
+
+  /**
+   * Spend between `from` and `to` (see parseUsageReportRequest): totals,
+   * then per day, per endpoint, per model and the `top` users, biggest
+   * spend first.
+   */
+  async function report({ from, to, top = DEFAULT_TOP }) {
+    const snapshot = await entries.where('day', '>=', from).where('day', '<=', to).get();
+    const totals = emptyTotals();
+    const days = new Map();
+    const endpoints = new Map();
+    const models = new Map();
+    const users = new Map();
+
+    snapshot.forEach((doc) => {
+      const data = doc.data();
+      addTotals(totals, data);
+      addTo(days, data.day, data);
+      addTo(users, data.uid, data);
+      for (const [name, entry] of Object.entries(data.endpoints || {})) addTo(endpoints, name, entry);
+      for (const [name, entry] of Object.entries(data.models || {})) addTo(models, name, entry);
+    });
+
+    return {
+      from,
+      to,
+      currency: 'USD',
+      totals: { ...reportTotals(totals), users: users.size },
+      days: [...days.entries()]
+        .map(([day, dayTotals]) => ({ day, ...reportTotals(dayTotals) }))
+        .sort((a, b) => (a.day < b.day ? -1 : 1)),
+      endpoints: bySpend('endpoint', endpoints),
+      models: bySpend('model', models, (name) => ({ priced: Boolean(priceFor(prices, name)) })),
+      topUsers: bySpend('uid', users).slice(0, top)
+    };
+  }
+
+  return { record, report, prices };
+}
+
+module.exports = {
+  UsageReportError,
+  createUsageLedger,
+  parseUsageReportRequest
+};
@@ -0,0 +1,80 @@
+// Model prices for the usage ledger, in US dollars per million tokens.
+// Defaults are OpenAI's list prices; deployments override them with a JSON
+// table (MODEL_PRICES / usage.model_prices) when prices change or another
+// OpenAI-compatible endpoint is used:
+//
+//   {"gpt-4o": {"prompt": 2.5, "completion": 10}}
+
+const DEFAULT_PRICES = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 }
+};
+
+const TOKENS_PER_PRICE = 1e6;
+
+class UsageConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageConfigError';
+  }
+}
+
+// Merge a price table (object or JSON string) over the defaults
+function priceTable(overrides) {
+  const table = { ...DEFAULT_PRICES };
+  if (overrides === undefined || overrides === null || overrides === '') return table;
+
+  let parsed = overrides;
+  if (typeof overrides === 'string') {
+    try {
+      parsed = JSON.parse(overrides);
+    } catch (error) {
+      throw new UsageConfigError(`Model prices are not valid JSON: ${error.message}`);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new UsageConfigError('Model prices must map model names to { prompt, completion }');
+  }
+  for (const [model, price] of Object.entries(parsed)) {
+    const prompt = Number(price && price.prompt);
+    const completion = Number(price && price.completion);
+    if (!(prompt >= 0) || !(completion >= 0)) {
+      throw new UsageConfigError(`Price for ${model} needs non-negative prompt and completion prices`);
+    }
+    table[model] = { prompt, completion };
+  }
+  return table;
+}
+
+// Read MODEL_PRICES (Express server)
+function priceTableFromEnv(env = process.env) {
+  return priceTable(env.MODEL_PRICES);
+}
+
+// The price for `model`, also matching dated snapshots such as
+// gpt-4o-2024-08-06 to their base model; null for unknown models
+function priceFor(prices, model) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+  const base = Object.keys(prices)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? prices[base] : null;
+}
+
+// Estimated cost in dollars of one call's `usage`; 0 when the model has no price
+function estimateCost(prices, model, usage) {
+  const price = priceFor(prices, model);
+  if (!price || !usage) return 0;
+  return ((Number(usage.prompt_tokens) || 0) * price.prompt +
+    (Number(usage.completion_tokens) || 0) * price.completion) / TOKENS_PER_PRICE;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  UsageConfigError,
+  estimateCost,
+  priceFor,
+  priceTable,
+  priceTableFromEnv
+};
@@ -0,0 +1,17 @@
+// Error raised by vision providers. `status` is the HTTP status to answer
+// our client with and `code` a stable reason such as upstream_timeout (see
+// shared/upstream/errors.js); the provider's own status is in `upstreamStatus`.
+class VisionProviderError extends Error {
+  constructor(message, { status = 500, code, upstreamStatus = null, retryAfter = null, provider, details } = {}) {
+    super(message);
+    this.name = 'VisionProviderError';
+    this.status = status;
+    this.code = code;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+    this.provider = provider;
+    this.details = details;
+  }
+}
+
+module.exports = { VisionProviderError };
@@ -0,0 +1,58 @@
+/**
+ * Vision provider layer shared by the Express servers and the Cloud Functions.
+ *
+ * Modules under shared/ must not require npm packages: the Express servers
+ * load them from outside their own node_modules, so anything like `fetch` is
+ * passed in by the caller.
+ *
+ * A provider is an object with:
+ *   name, model
+ *   isConfigured()  -> boolean
+ *   analyzeImage({ image, systemPrompt, userPrompt, maxTokens, temperature })
+ *     -> Promise<{ content, model, usage }>
+ *     Multi-image requests pass `images` (an array, in order) instead of `image`.
+ *   analyzeText({ systemPrompt, userPrompt, maxTokens, temperature })
+ *     -> Promise<{ content, model, usage }>  (meal descriptions, no image)
+ */
+
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { VisionProviderError } = require('./errors');
+
+const DEFAULT_PROVIDER = 'openai';
+
+const factories = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+// Register an additional backend, e.g. registerVisionProvider('gemini', createGeminiProvider)
+function registerVisionProvider(name, factory) {
+  factories[name.toLowerCase()] = factory;
+}
+
+function createVisionProvider(options = {}) {
+  const name = (options.provider || DEFAULT_PROVIDER).toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new VisionProviderError(`Unknown vision provider: ${name}`);
+  }
+  return factory(options);
+}
+
+// Build provider options from environment variables (Express servers)
+function visionConfigFromEnv(env = process.env) {
+  return {
+    provider: env.VISION_PROVIDER || DEFAULT_PROVIDER,
+    model: env.VISION_MODEL,
+    apiKey: env.OPENAI_API_KEY,
+    baseUrl: env.OPENAI_BASE_URL
+  };
+}
+
+module.exports = {
+  createVisionProvider,
+  registerVisionProvider,
+  visionConfigFromEnv,
+  VisionProviderError
+};
@@ -0,0 +1,36 @@
+// Local provider that never leaves the process. Used for development and for
+// exercising the endpoints without an API key.
+const SAMPLE_RESPONSE = {
+  meal: [
+    {
+      dish: 'Grilled Chicken Salad',
+      ingredients: [
+        { name: 'grilled chicken breast', grams: 120, calories: 198, macronutrients: { protein: 37, carbohydrates: 0, fat: 4 } },
+        { name: 'romaine lettuce', grams: 100, calories: 17, macronutrients: { protein: 1, carbohydrates: 3, fat: 0 } },
+        { name: 'cherry tomatoes', grams: 70, calories: 13, macronutrients: { protein: 1, carbohydrates: 3, fat: 0 } },
+        { name: 'olive oil', grams: 10, calories: 88, macronutrients: { protein: 0, carbohydrates: 0, fat: 10 } }
+      ],
+      portion: '1 bowl (about 300 g)',
+      confidence: 0.8
+    }
+  ]
+};
+
+function createMockProvider(options = {}) {
+  const model = options.model || 'mock';
+  const content = options.mockResponse || JSON.stringify(SAMPLE_RESPONSE);
+
+  async function analyzeImage() {
+    return { content, model, usage: null };
+  }
+
+  return {
+    name: 'mock',
+    model,
+    isConfigured: () => true,
+    analyzeImage,
+    analyzeText: analyzeImage
+  };
+}
+
+module.exports = { createMockProvider, SAMPLE_RESPONSE };
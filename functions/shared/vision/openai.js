@@ -0,0 +1,97 @@
+const { VisionProviderError } = require('./errors');
+const { UpstreamError, createUpstreamClient } = require('../upstream');
+
+const DEFAULT_MODEL = 'gpt-4o';
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// OpenAI chat-completions adapter. Pass the process-wide `upstream` client
+// so every OpenAI call shares one circuit breaker; without it the provider
+// gets its own client around `fetch`.
+function createOpenAIProvider(options = {}) {
+  const apiKey = options.apiKey;
+  const model = options.model || DEFAULT_MODEL;
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const upstream = options.upstream || createUpstreamClient({ fetch: options.fetch || globalThis.fetch });
+
+  // One chat completion with the given user message content
+  async function complete({ systemPrompt, userContent, maxTokens, temperature }) {
+    if (!apiKey) {
+      throw new VisionProviderError('OpenAI API key not set', { code: 'upstream_not_configured', provider: 'openai' });
+    }
+
+    let data;
+    try {
+      data = await upstream.requestJson(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userContent }
+          ],
+          max_tokens: maxTokens,
+          ...(temperature !== undefined ? { temperature } : {})
+        })
+      });
+    } catch (error) {
+      if (!(error instanceof UpstreamError)) throw error;
+      throw new VisionProviderError(error.message, {
+        status: error.status,
+        code: error.code,
+        upstreamStatus: error.upstreamStatus,
+        retryAfter: error.retryAfter,
+        provider: 'openai',
+        details: error.details
+      });
+    }
+
+    if (!data.choices ||
+        !data.choices[0] ||
+        !data.choices[0].message ||
+        !data.choices[0].message.content) {
+      throw new VisionProviderError('Invalid response from OpenAI', {
+        status: 502,
+        code: 'upstream_invalid_response',
+        provider: 'openai',
+        details: data
+      });
+    }
+
+    return {
+      content: data.choices[0].message.content,
+      model: data.model || model,
+      usage: data.usage || null
+    };
+  }
+
+  async function analyzeImage({ image, images, systemPrompt, userPrompt, maxTokens = 1000, temperature }) {
+    return complete({
+      systemPrompt,
+      userContent: [
+        { type: 'text', text: userPrompt },
+        // One part per photo, in the order the prompt refers to them
+        ...(images || [image]).map((url) => ({ type: 'image_url', image_url: { url } }))
+      ],
+      maxTokens,
+      temperature
+    });
+  }
+
+  async function analyzeText({ systemPrompt, userPrompt, maxTokens = 1000, temperature }) {
+    return complete({ systemPrompt, userContent: userPrompt, maxTokens, temperature });
+  }
+
+  return {
+    name: 'openai',
+    model,
+    isConfigured: () => Boolean(apiKey),
+    analyzeImage,
+    analyzeText
+  };
+}
+
+module.exports = { createOpenAIProvider, DEFAULT_MODEL };
@@ -0,0 +1,7 @@
+module.exports = {
+  ...require('./validate'),
+  ...require('./muscles'),
+  ...require('./progress'),
+  ...require('./store'),
+  ...require('./routes')
+};
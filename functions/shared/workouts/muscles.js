@@ -0,0 +1,24 @@
+// Muscle groups for lifting exercises, matching the categories of the app's
+// exercise picker. Exercises the app sends without a group are classified by
+// name; the first matching rule wins, so specific names come before generic
+// ones ("leg curl" before "curl").
+
+const MUSCLE_GROUPS = ['chest', 'back', 'legs', 'shoulders', 'arms', 'core', 'other'];
+
+const RULES = [
+  [/close[\s-]*grip bench|tricep|skull ?crusher|dip/, 'arms'],
+  [/romanian deadlift|\brdl\b|leg (curl|extension|press)|calf|squat|lunge|hip thrust|glute/, 'legs'],
+  [/back extension|leg raise|crunch|plank|sit[\s-]*up|russian twist|\bab(s|dominal)?\b|core/, 'core'],
+  [/rear delt|lateral raise|front raise|shoulder|overhead press|military press|arnold|shrug|\bohp\b/, 'shoulders'],
+  [/bench|chest|incline|\bfly\b|flye|crossover|pec deck|push[\s-]*up/, 'chest'],
+  [/deadlift|pull[\s-]*up|chin[\s-]*up|pulldown|\brow\b|rows|lat\b/, 'back'],
+  [/curl|bicep/, 'arms']
+];
+
+function muscleGroupFor(name) {
+  const text = String(name || '').toLowerCase();
+  const rule = RULES.find(([pattern]) => pattern.test(text));
+  return rule ? rule[1] : 'other';
+}
+
+module.exports = { MUSCLE_GROUPS, muscleGroupFor };
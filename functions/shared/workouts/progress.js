@@ -0,0 +1,277 @@
+/**
+ * Lifting progression, precomputed from a user's completed sessions so the
+ * app never has to scan their history:
+ *
+ *   - per exercise: estimated one-rep max (Epley), heaviest set, best session
+ *     volume, running totals and the latest estimate for trend lines
+ *   - per week (from Monday): sessions, minutes, sets and volume, split by
+ *     muscle group
+ *   - personal records: each time a session beats an exercise's previous best
+ *   - streaks of consecutive training days and weeks
+ *
+ * Days and weeks are those of the session's `timeZone` (UTC when it has
+ * none), the same way the nutrition summary buckets meals.
+ *
+ * The summary lives at users/{uid}/stats/progress. New sessions are applied
+ * to it incrementally; edits, deletions and back-dated sessions replay the
+ * whole history so records and streaks stay in chronological order.
+ */
+
+const { localDate } = require('../meals/summary');
+const { muscleGroupFor } = require('./muscles');
+
+// Bump when the summary shape changes; older summaries are rebuilt on the next write
+const PROGRESS_VERSION = 2;
+
+// Epley's formula overestimates badly past this many reps
+const MAX_ONE_REP_MAX_REPS = 12;
+
+const WEEKS_KEPT = 26;
+const RECORDS_KEPT = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+function dayKey(date, timeZone) {
+  return localDate(date, timeZone);
+}
+
+// Monday of the week in `timeZone`, as YYYY-MM-DD
+function weekKey(date, timeZone) {
+  const day = new Date(`${dayKey(date, timeZone)}T00:00:00Z`);
+  const weekday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - weekday * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+// Firestore map key for an exercise: "Bench Press (Barbell)" -> "bench-press-barbell"
+function exerciseKey(name) {
+  return String(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'exercise';
+}
+
+function estimateOneRepMax(weightKg, reps) {
+  if (!(weightKg > 0) || !Number.isInteger(reps) || reps < 1 || reps > MAX_ONE_REP_MAX_REPS) return null;
+  return reps === 1 ? weightKg : round(weightKg * (1 + reps / 30));
+}
+
+function emptyProgress() {
+  return {
+    version: PROGRESS_VERSION,
+    sessionCount: 0,
+    lastCompletedAt: null,
+    lastWorkoutId: null,
+    exercises: {},
+    weeks: {},
+    records: [],
+    streak: {
+      currentDays: 0,
+      longestDays: 0,
+      lastWorkoutDate: null,
+      currentWeeks: 0,
+      longestWeeks: 0,
+      lastWorkoutWeek: null
+    }
+  };
+}
+
+// Incremental updates only work for sessions newer than everything applied so far
+function canApply(progress, session) {
+  if (!progress || progress.version !== PROGRESS_VERSION) return false;
+  const last = toDate(progress.lastCompletedAt);
+  return !last || toDate(session.completedAt) >= last;
+}
+
+function updateStreak(streak, date, timeZone) {
+  const day = dayKey(date, timeZone);
+  if (streak.lastWorkoutDate !== day) {
+    const continues = streak.lastWorkoutDate && daysBetween(streak.lastWorkoutDate, day) === 1;
+    streak.currentDays = continues ? streak.currentDays + 1 : 1;
+    streak.longestDays = Math.max(streak.longestDays, streak.currentDays);
+    streak.lastWorkoutDate = day;
+  }
+  const week = weekKey(date, timeZone);
+  if (streak.lastWorkoutWeek !== week) {
+    const continues = streak.lastWorkoutWeek && daysBetween(streak.lastWorkoutWeek, week) === 7;
+    streak.currentWeeks = continues ? streak.currentWeeks + 1 : 1;
+    streak.longestWeeks = Math.max(streak.longestWeeks, streak.currentWeeks);
+    streak.lastWorkoutWeek = week;
+  }
+}
+
+// Compare a session's best against the exercise's; returns the record when beaten
+function checkRecord(stats, field, value, record) {
+  if (value === null) return null;
+  const previous = stats[field];
+  if (previous === null || value > previous) stats[field] = value;
+  return previous !== null && value > previous
+    ? { ...record, valueKg: value, previousKg: previous }
+    : null;
+}
+
+/**
+ * Add one session (with its workout `id`) to `progress`, in place. Sessions
+ * must be applied oldest first. Returns the personal records it set.
+ */
+function applySession(progress, workout) {
+  const completedAt = toDate(workout.completedAt);
+  const timeZone = workout.timeZone || 'UTC';
+  const week = weekKey(completedAt, timeZone);
+  const weekStats = progress.weeks[week] || (progress.weeks[week] = {
+    sessions: 0, durationMinutes: 0, sets: 0, volumeKg: 0, muscleGroups: {}
+  });
+  weekStats.sessions += 1;
+  weekStats.durationMinutes = round(weekStats.durationMinutes + (workout.durationMinutes || 0));
+
+  const records = [];
+  for (const exercise of workout.exercises || []) {
+    const sets = (exercise.sets || []).filter((set) => set.completed !== false && set.reps);
+    if (!sets.length) continue;
+
+    const key = exerciseKey(exercise.name);
+    const muscleGroup = exercise.muscleGroup || muscleGroupFor(exercise.name);
+    const stats = progress.exercises[key] || (progress.exercises[key] = {
+      name: exercise.name,
+      muscleGroup,
+      sessions: 0,
+      sets: 0,
+      reps: 0,
+      volumeKg: 0,
+      bestOneRepMaxKg: null,
+      heaviestWeightKg: null,
+      bestSessionVolumeKg: null,
+      lastOneRepMaxKg: null,
+      lastPerformedAt: null
+    });
+
+    let volumeKg = 0;
+    let reps = 0;
+    let oneRepMaxKg = null;
+    let heaviestKg = null;
+    for (const set of sets) {
+      const weightKg = set.weightKg || 0;
+      reps += set.reps;
+      volumeKg += set.reps * weightKg;
+      if (weightKg > 0) heaviestKg = Math.max(heaviestKg || 0, weightKg);
+      const estimate = estimateOneRepMax(weightKg, set.reps);
+      if (estimate !== null) oneRepMaxKg = Math.max(oneRepMaxKg || 0, estimate);
+    }
+    volumeKg = round(volumeKg);
+
+    const record = { workoutId: workout.id, exercise: exercise.name, exerciseKey: key, achievedAt: completedAt };
+    records.push(...[
+      checkRecord(stats, 'bestOneRepMaxKg', oneRepMaxKg, { ...record, type: 'oneRepMax' }),
+      checkRecord(stats, 'heaviestWeightKg', heaviestKg, { ...record, type: 'weight' }),
+      checkRecord(stats, 'bestSessionVolumeKg', volumeKg || null, { ...record, type: 'volume' })
+    ].filter(Boolean));
+
+    stats.name = exercise.name;
+    stats.sessions += 1;
+    stats.sets += sets.length;
+    stats.reps += reps;
+    stats.volumeKg = round(stats.volumeKg + volumeKg);
+    if (oneRepMaxKg !== null) stats.lastOneRepMaxKg = oneRepMaxKg;
+    stats.lastPerformedAt = completedAt;
+
+    const group = weekStats.muscleGroups[muscleGroup] || (weekStats.muscleGroups[muscleGroup] = { sets: 0, volumeKg: 0 });
+    group.sets += sets.length;
+    group.volumeKg = round(group.volumeKg + volumeKg);
+    weekStats.sets += sets.length;
+    weekStats.volumeKg = round(weekStats.volumeKg + volumeKg);
+  }
+
+  // Only the most recent weeks and records are kept
+  const weeks = Object.keys(progress.weeks).sort();
+  for (const old of weeks.slice(0, Math.max(0, weeks.length - WEEKS_KEPT))) delete progress.weeks[old];
+  progress.records = [...progress.records, ...records].slice(-RECORDS_KEPT);
+
+  updateStreak(progress.streak, completedAt, timeZone);
+  progress.sessionCount += 1;
+  progress.lastCompletedAt = completedAt;
+  progress.lastWorkoutId = workout.id;
+  return records;
+}
+
+// Replay a whole history, in any order
+function buildProgress(workouts) {
+  const progress = emptyProgress();
+  const ordered = [...workouts].sort((a, b) => toDate(a.completedAt) - toDate(b.completedAt));
+  for (const workout of ordered) applySession(progress, workout);
+  return progress;
+}
+
+// Stored summary -> API object: timestamps become ISO 8601 strings and the
+// trigger's bookkeeping fields are dropped
+function serializeProgress(progress) {
+  const { lastEventId, version, ...rest } = progress;
+  const convert = (value) => {
+    if (value && (value instanceof Date || typeof value.toDate === 'function')) return toDate(value).toISOString();
+    if (Array.isArray(value)) return value.map(convert);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, convert(item)]));
+    }
+    return value;
+  };
+  return convert(rest);
+}
+
+/**
+ * Keeps users/{uid}/stats/progress in step with users/{uid}/workouts. Call
+ * `workoutWritten` from a Firestore onWrite trigger with the document data
+ * before and after the write (null when missing) and the event id, which
+ * makes redelivered events harmless.
+ */
+function createProgressTracker({ db, now = () => new Date() }) {
+  function progressRef(uid) {
+    return db.collection('users').doc(uid).collection('stats').doc('progress');
+  }
+
+  async function rebuild(uid, eventId = null) {
+    const workouts = db.collection('users').doc(uid).collection('workouts');
+    return db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(workouts.orderBy('completedAt', 'asc'));
+      const progress = buildProgress(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+      transaction.set(progressRef(uid), { ...progress, lastEventId: eventId, updatedAt: now() });
+      return progress;
+    });
+  }
+
+  async function workoutWritten(uid, workoutId, { before, after, eventId }) {
+    if (!before && after) {
+      const applied = await db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(progressRef(uid));
+        const progress = snapshot.exists ? snapshot.data() : emptyProgress();
+        // Redelivered event: the session is already counted
+        if ((eventId && progress.lastEventId === eventId) || progress.lastWorkoutId === workoutId) return true;
+        if (!canApply(progress, after)) return false;
+        applySession(progress, { id: workoutId, ...after });
+        transaction.set(progressRef(uid), { ...progress, lastEventId: eventId || null, updatedAt: now() });
+        return true;
+      });
+      if (applied) return;
+    }
+    await rebuild(uid, eventId || null);
+  }
+
+  return { rebuild, workoutWritten };
+}
+
+module.exports = {
+  PROGRESS_VERSION,
+  applySession,
+  buildProgress,
+  createProgressTracker,
+  emptyProgress,
+  estimateOneRepMax,
+  exerciseKey,
+  serializeProgress
+};
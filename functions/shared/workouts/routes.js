@@ -0,0 +1,92 @@
+/**
+ * REST routes for workout routines and session history, mounted by the
+ * Express server; `requireAuth` runs first on every route so handlers
+ * only ever see the signed-in user's documents.
+ *
+ *   GET    /api/routines           list routines, most recently edited first
+ *   POST   /api/routines           create a routine
+ *   GET    /api/routines/:id       read one routine
+ *   PUT    /api/routines/:id       replace a routine
+ *   DELETE /api/routines/:id       delete a routine
+ *   GET    /api/workouts           session history (paginated, see parseHistoryQuery)
+ *   POST   /api/workouts           record a completed session
+ *   GET    /api/workouts/progress  precomputed records, weekly volume and streaks
+ *   GET    /api/workouts/:id       read one session
+ *   DELETE /api/workouts/:id       delete a session
+ */
+
+const { WorkoutError } = require('./validate');
+
+function createWorkoutRouter({ express, store, middleware = [], logger = console }) {
+  const router = express.Router();
+
+  // Wrap a handler so validation and not-found errors become JSON responses
+  function handle(label, fn) {
+    return async (req, res) => {
+      try {
+        await fn(req, res);
+      } catch (error) {
+        if (error instanceof WorkoutError) {
+          return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code
+          });
+        }
+        logger.error(`${label} error`, { error });
+        return res.status(500).json({
+          success: false,
+          error: 'Server error processing request'
+        });
+      }
+    };
+  }
+
+  router.get('/api/routines', ...middleware, handle('List routines', async (req, res) => {
+    res.json({ success: true, data: await store.listRoutines(req.user.uid) });
+  }));
+
+  router.post('/api/routines', ...middleware, handle('Create routine', async (req, res) => {
+    res.status(201).json({ success: true, data: await store.createRoutine(req.user.uid, req.body) });
+  }));
+
+  router.get('/api/routines/:id', ...middleware, handle('Get routine', async (req, res) => {
+    res.json({ success: true, data: await store.getRoutine(req.user.uid, req.params.id) });
+  }));
+
+  router.put('/api/routines/:id', ...middleware, handle('Update routine', async (req, res) => {
+    res.json({ success: true, data: await store.updateRoutine(req.user.uid, req.params.id, req.body) });
+  }));
+
+  router.delete('/api/routines/:id', ...middleware, handle('Delete routine', async (req, res) => {
+    await store.deleteRoutine(req.user.uid, req.params.id);
+    res.json({ success: true });
+  }));
+
+  router.get('/api/workouts', ...middleware, handle('Workout history', async (req, res) => {
+    const { workouts, nextCursor } = await store.listWorkouts(req.user.uid, req.query);
+    res.json({ success: true, data: workouts, nextCursor });
+  }));
+
+  router.post('/api/workouts', ...middleware, handle('Record workout', async (req, res) => {
+    res.status(201).json({ success: true, data: await store.recordWorkout(req.user.uid, req.body) });
+  }));
+
+  // Registered before /:id so "progress" is not read as a workout id
+  router.get('/api/workouts/progress', ...middleware, handle('Workout progress', async (req, res) => {
+    res.json({ success: true, data: await store.getProgress(req.user.uid) });
+  }));
+
+  router.get('/api/workouts/:id', ...middleware, handle('Get workout', async (req, res) => {
+    res.json({ success: true, data: await store.getWorkout(req.user.uid, req.params.id) });
+  }));
+
+  router.delete('/api/workouts/:id', ...middleware, handle('Delete workout', async (req, res) => {
+    await store.deleteWorkout(req.user.uid, req.params.id);
+    res.json({ success: true });
+  }));
+
+  return router;
+}
+
+module.exports = { createWorkoutRouter };
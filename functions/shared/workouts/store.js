@@ -0,0 +1,181 @@
+/**
+ * Workout storage, scoped to one user:
+ *
+ *   users/{uid}/routines/{routineId}   name, description, exercises,
+ *                                      createdAt, updatedAt
+ *   users/{uid}/workouts/{workoutId}   a completed session (see parseSession)
+ *                                      plus createdAt
+ *   users/{uid}/stats/progress         maintained by the progress trigger
+ *                                      (see progress.js); read-only here
+ *
+ * `db` is the caller's `admin.firestore()` instance. Documents come back as
+ * plain objects with their `id` and ISO 8601 dates.
+ */
+
+const { WorkoutError, parseHistoryQuery, parseRoutine, parseSession } = require('./validate');
+const { emptyProgress, serializeProgress } = require('./progress');
+const { estimateExercise } = require('../exercise/estimate');
+
+const MAX_ROUTINES = 100;
+
+function toDate(value) {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+// Firestore document -> API object
+function serialize(doc, dateFields) {
+  const data = { id: doc.id, ...doc.data() };
+  for (const field of dateFields) {
+    if (data[field]) data[field] = toDate(data[field]).toISOString();
+  }
+  return data;
+}
+
+const ROUTINE_DATES = ['createdAt', 'updatedAt'];
+const WORKOUT_DATES = ['startedAt', 'completedAt', 'createdAt'];
+
+function notFound(kind, id) {
+  return new WorkoutError(`${kind} ${id} not found`, 'not_found', 404);
+}
+
+// Energy estimate for sessions sent without calories, when the body weight is known
+function estimateSessionCalories(session, bodyWeightKg) {
+  if (session.calories !== null || !session.activity || !bodyWeightKg) return session.calories;
+  if (session.durationMinutes === null && !session.totals.sets) return null;
+  try {
+    const sets = session.exercises.flatMap((exercise) => exercise.sets.filter((set) => set.completed && set.reps));
+    return estimateExercise({
+      weightKg: Number(bodyWeightKg),
+      workouts: [{
+        activity: session.activity,
+        durationMinutes: session.durationMinutes,
+        distanceKm: session.distanceKm,
+        intensity: null,
+        sets: sets.map((set) => ({ reps: set.reps, weightKg: set.weightKg || 0 }))
+      }]
+    }).calories;
+  } catch (error) {
+    return null;
+  }
+}
+
+function createWorkoutStore({ db, now = () => new Date() }) {
+  function userRef(uid) {
+    return db.collection('users').doc(uid);
+  }
+
+  async function getOwned(collection, uid, id, kind) {
+    const ref = userRef(uid).collection(collection).doc(id);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) throw notFound(kind, id);
+    return { ref, snapshot };
+  }
+
+  async function listRoutines(uid) {
+    const snapshot = await userRef(uid).collection('routines')
+      .orderBy('updatedAt', 'desc')
+      .limit(MAX_ROUTINES)
+      .get();
+    return snapshot.docs.map((doc) => serialize(doc, ROUTINE_DATES));
+  }
+
+  async function getRoutine(uid, id) {
+    const { snapshot } = await getOwned('routines', uid, id, 'Routine');
+    return serialize(snapshot, ROUTINE_DATES);
+  }
+
+  async function createRoutine(uid, input) {
+    const routine = parseRoutine(input);
+    const date = now();
+    const ref = userRef(uid).collection('routines').doc();
+    await ref.set({ ...routine, createdAt: date, updatedAt: date });
+    return getRoutine(uid, ref.id);
+  }
+
+  // Replace the name, description and exercises of an existing routine
+  async function updateRoutine(uid, id, input) {
+    const routine = parseRoutine(input);
+    const { ref } = await getOwned('routines', uid, id, 'Routine');
+    await ref.set({ ...routine, updatedAt: now() }, { merge: true });
+    return getRoutine(uid, id);
+  }
+
+  async function deleteRoutine(uid, id) {
+    const { ref } = await getOwned('routines', uid, id, 'Routine');
+    await ref.delete();
+  }
+
+  // Record a completed session. `bodyWeightKg`, when given, is only used to
+  // estimate calories for sessions sent without them.
+  async function recordWorkout(uid, input) {
+    const session = parseSession(input, now());
+    if (session.routineId) {
+      await getOwned('routines', uid, session.routineId, 'Routine');
+    }
+    session.calories = estimateSessionCalories(session, input && input.bodyWeightKg);
+    const ref = userRef(uid).collection('workouts').doc();
+    await ref.set({ ...session, createdAt: now() });
+    return getWorkout(uid, ref.id);
+  }
+
+  async function getWorkout(uid, id) {
+    const { snapshot } = await getOwned('workouts', uid, id, 'Workout');
+    return serialize(snapshot, WORKOUT_DATES);
+  }
+
+  async function deleteWorkout(uid, id) {
+    const { ref } = await getOwned('workouts', uid, id, 'Workout');
+    await ref.delete();
+  }
+
+  // Newest first. Resolves to { workouts, nextCursor }; nextCursor is null on
+  // the last page. parseHistoryQuery allows at most one of activity and
+  // routineId, so every query fits one of the (filter, completedAt) indexes
+  // in firestore.indexes.json.
+  async function listWorkouts(uid, input) {
+    const query = parseHistoryQuery(input);
+    const collection = userRef(uid).collection('workouts');
+    let ref = collection;
+    if (query.activity) ref = ref.where('activity', '==', query.activity);
+    if (query.routineId) ref = ref.where('routineId', '==', query.routineId);
+    if (query.from) ref = ref.where('completedAt', '>=', query.from);
+    if (query.to) ref = ref.where('completedAt', '<=', query.to);
+    ref = ref.orderBy('completedAt', 'desc');
+
+    if (query.cursor) {
+      const cursor = await collection.doc(query.cursor).get();
+      if (!cursor.exists) throw new WorkoutError('cursor does not match a workout', 'invalid_query');
+      ref = ref.startAfter(cursor);
+    }
+
+    // One extra document tells whether another page follows
+    const snapshot = await ref.limit(query.limit + 1).get();
+    const docs = snapshot.docs.slice(0, query.limit);
+    return {
+      workouts: docs.map((doc) => serialize(doc, WORKOUT_DATES)),
+      nextCursor: snapshot.docs.length > query.limit ? docs[docs.length - 1].id : null
+    };
+  }
+
+  // The summary kept by the progress trigger; all zeros before the first session
+  async function getProgress(uid) {
+    const snapshot = await userRef(uid).collection('stats').doc('progress').get();
+    return serializeProgress(snapshot.exists ? snapshot.data() : emptyProgress());
+  }
+
+  return {
+    createRoutine,
+    deleteRoutine,
+    deleteWorkout,
+    getProgress,
+    getRoutine,
+    getWorkout,
+    listRoutines,
+    listWorkouts,
+    recordWorkout,
+    updateRoutine
+  };
+}
+
+module.exports = { createWorkoutStore };
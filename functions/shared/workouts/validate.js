@@ -0,0 +1,234 @@
+// Validation for workout routines, completed sessions and history queries.
+// Everything a client sends is copied field by field into a fresh object, so
+// unknown fields never reach Firestore.
+
+const { matchActivity } = require('../exercise/met');
+const { validTimeZone } = require('../meals/summary');
+const { MUSCLE_GROUPS, muscleGroupFor } = require('./muscles');
+
+const VISIBILITIES = ['private', 'friends', 'public'];
+const MAX_EXERCISES = 50;
+const MAX_SETS_PER_EXERCISE = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// How far ahead of the server clock a client-supplied completedAt may be
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+class WorkoutError extends Error {
+  constructor(message, code = 'invalid_workout', status = 400) {
+    super(message);
+    this.name = 'WorkoutError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function readText(value, field, { required = false, max = MAX_NAME_LENGTH } = {}) {
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    if (required) throw new WorkoutError(`${field} is required`);
+    return null;
+  }
+  if (typeof value !== 'string') throw new WorkoutError(`${field} must be a string`);
+  const text = value.trim();
+  if (text.length > max) throw new WorkoutError(`${field} is too long (maximum ${max} characters)`);
+  return text;
+}
+
+function readNumber(value, field, { max, integer = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > max || (integer && !Number.isInteger(number))) {
+    throw new WorkoutError(`${field} must be ${integer ? 'a whole number' : 'a number'} between 0 and ${max}`);
+  }
+  return number;
+}
+
+function readDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = typeof value === 'string' || value instanceof Date ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) throw new WorkoutError(`${field} must be an ISO 8601 date`);
+  return date;
+}
+
+function readSet(set, field, { session }) {
+  if (!set || typeof set !== 'object' || Array.isArray(set)) {
+    throw new WorkoutError(`${field} must be an object`);
+  }
+  const parsed = {
+    reps: readNumber(set.reps, `${field}.reps`, { max: 1000, integer: true }),
+    weightKg: readNumber(set.weightKg, `${field}.weightKg`, { max: 1000 }),
+    durationSeconds: readNumber(set.durationSeconds, `${field}.durationSeconds`, { max: 24 * 60 * 60 })
+  };
+  if (parsed.reps === null && parsed.durationSeconds === null) {
+    throw new WorkoutError(`${field} needs reps or durationSeconds`);
+  }
+  if (session) {
+    if (set.completed !== undefined && typeof set.completed !== 'boolean') {
+      throw new WorkoutError(`${field}.completed must be true or false`);
+    }
+    parsed.completed = set.completed !== false;
+  }
+  return parsed;
+}
+
+function readMuscleGroup(value, field) {
+  const group = readText(value, field, { max: 40 });
+  if (group === null) return null;
+  if (!MUSCLE_GROUPS.includes(group.toLowerCase())) {
+    throw new WorkoutError(`${field} must be one of: ${MUSCLE_GROUPS.join(', ')}`);
+  }
+  return group.toLowerCase();
+}
+
+function readExercises(value, field, { session, required }) {
+  if (value === undefined || value === null) {
+    if (required) throw new WorkoutError(`${field} is required`);
+    return [];
+  }
+  if (!Array.isArray(value)) throw new WorkoutError(`${field} must be an array`);
+  if (required && !value.length) throw new WorkoutError(`${field} must contain at least one exercise`);
+  if (value.length > MAX_EXERCISES) throw new WorkoutError(`${field} has more than ${MAX_EXERCISES} exercises`);
+
+  return value.map((exercise, index) => {
+    const prefix = `${field}[${index}]`;
+    if (!exercise || typeof exercise !== 'object' || Array.isArray(exercise)) {
+      throw new WorkoutError(`${prefix} must be an object`);
+    }
+    const sets = exercise.sets === undefined ? [] : exercise.sets;
+    if (!Array.isArray(sets)) throw new WorkoutError(`${prefix}.sets must be an array`);
+    if (sets.length > MAX_SETS_PER_EXERCISE) {
+      throw new WorkoutError(`${prefix}.sets has more than ${MAX_SETS_PER_EXERCISE} sets`);
+    }
+    const name = readText(exercise.name, `${prefix}.name`, { required: true });
+    return {
+      name,
+      muscleGroup: readMuscleGroup(exercise.muscleGroup, `${prefix}.muscleGroup`) || muscleGroupFor(name),
+      notes: readText(exercise.notes, `${prefix}.notes`, { max: MAX_DESCRIPTION_LENGTH }),
+      restSeconds: readNumber(exercise.restSeconds, `${prefix}.restSeconds`, { max: 3600, integer: true }),
+      sets: sets.map((set, setIndex) => readSet(set, `${prefix}.sets[${setIndex}]`, { session }))
+    };
+  });
+}
+
+// A routine is a named template of exercises with target sets
+function parseRoutine(input) {
+  if (!input || typeof input !== 'object') throw new WorkoutError('Routine is required');
+  return {
+    name: readText(input.name, 'name', { required: true }),
+    description: readText(input.description, 'description', { max: MAX_DESCRIPTION_LENGTH }),
+    exercises: readExercises(input.exercises, 'exercises', { session: false, required: true })
+  };
+}
+
+// Sets, reps and volume (reps x kg) over the completed sets of a session
+function sessionTotals(exercises) {
+  const totals = { exercises: 0, sets: 0, reps: 0, volumeKg: 0 };
+  for (const exercise of exercises) {
+    const done = exercise.sets.filter((set) => set.completed);
+    if (done.length) totals.exercises += 1;
+    for (const set of done) {
+      totals.sets += 1;
+      totals.reps += set.reps || 0;
+      totals.volumeKg += (set.reps || 0) * (set.weightKg || 0);
+    }
+  }
+  totals.volumeKg = Math.round(totals.volumeKg * 10) / 10;
+  return totals;
+}
+
+// A completed session. `type` is what the app shows ("Weight lifting",
+// "Running"); `activity` is its MET table key when it has one. `timeZone` is
+// where the user trained, for the progress summary's days and weeks.
+function parseSession(input, now = new Date()) {
+  if (!input || typeof input !== 'object') throw new WorkoutError('Workout is required');
+
+  const completedAt = readDate(input.completedAt, 'completedAt') || now;
+  if (completedAt.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) {
+    throw new WorkoutError('completedAt is in the future');
+  }
+  const startedAt = readDate(input.startedAt, 'startedAt');
+  if (startedAt && startedAt > completedAt) {
+    throw new WorkoutError('startedAt must be before completedAt');
+  }
+
+  let durationMinutes = readNumber(input.durationMinutes, 'durationMinutes', { max: 24 * 60 });
+  if (durationMinutes === null && startedAt) {
+    durationMinutes = Math.round(((completedAt - startedAt) / 60000) * 10) / 10;
+  }
+
+  const visibility = input.visibility === undefined || input.visibility === null
+    ? 'private'
+    : String(input.visibility).toLowerCase().replace(/[\s_-]*only$/, '');
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new WorkoutError(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+
+  const timeZone = readText(input.timeZone, 'timeZone', { max: 60 }) || 'UTC';
+  if (!validTimeZone(timeZone)) {
+    throw new WorkoutError(`Unknown time zone: ${timeZone}`);
+  }
+
+  const type = readText(input.type, 'type', { max: 40 }) || 'Workout';
+  const exercises = readExercises(input.exercises, 'exercises', { session: true, required: false });
+
+  return {
+    title: readText(input.title, 'title') || type,
+    description: readText(input.description, 'description', { max: MAX_DESCRIPTION_LENGTH }),
+    type,
+    activity: matchActivity(type) || (exercises.length ? 'weightlifting' : null),
+    visibility,
+    routineId: readText(input.routineId, 'routineId'),
+    startedAt,
+    completedAt,
+    timeZone,
+    durationMinutes,
+    distanceKm: readNumber(input.distanceKm, 'distanceKm', { max: 1000 }),
+    calories: readNumber(input.calories, 'calories', { max: 20000 }),
+    exercises,
+    totals: sessionTotals(exercises)
+  };
+}
+
+// limit, cursor (the last id of the previous page), from/to on completedAt,
+// and an optional activity or routineId filter
+function parseHistoryQuery(input = {}) {
+  const limit = input.limit === undefined || input.limit === ''
+    ? DEFAULT_PAGE_SIZE
+    : Number(input.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new WorkoutError(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`, 'invalid_query');
+  }
+  let query;
+  try {
+    const activity = readText(input.activity, 'activity', { max: 40 });
+    query = {
+      limit,
+      cursor: readText(input.cursor, 'cursor'),
+      from: readDate(input.from, 'from'),
+      to: readDate(input.to, 'to'),
+      activity: activity && (matchActivity(activity) || activity.toLowerCase()),
+      routineId: readText(input.routineId, 'routineId')
+    };
+  } catch (error) {
+    throw new WorkoutError(error.message, 'invalid_query');
+  }
+  if (query.from && query.to && query.from > query.to) {
+    throw new WorkoutError('from must be before to', 'invalid_query');
+  }
+  if (query.activity && query.routineId) {
+    throw new WorkoutError('Filter by activity or routineId, not both', 'invalid_query');
+  }
+  return query;
+}
+
+module.exports = {
+  VISIBILITIES,
+  WorkoutError,
+  parseHistoryQuery,
+  parseRoutine,
+  parseSession,
+  sessionTotals
+};
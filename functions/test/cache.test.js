@@ -0,0 +1,107 @@
+const { analysisCacheKey, createAnalysisCache, createFirestoreCache, createLruCache, imageHash } = require('../shared/cache');
+const { createFakeFirestore } = require('./support/fakeFirestore');
+
+const silent = { error: () => {} };
+
+// A compute() that waits until the test resolves or rejects it
+function deferred() {
+  let settle;
+  const compute = jest.fn(() => new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  }));
+  return { compute, resolve: (value) => settle.resolve(value), reject: (error) => settle.reject(error) };
+}
+
+describe('request coalescing', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = createAnalysisCache({ memory: createLruCache(), logger: silent });
+  });
+
+  test('identical requests in flight share one computation', async () => {
+    const upstream = deferred();
+    const first = cache.getOrCompute('photo', upstream.compute);
+    const second = cache.getOrCompute('photo', jest.fn());
+    await new Promise(setImmediate);
+    upstream.resolve({ meal: ['salad'] });
+
+    expect(await first).toEqual({ value: { meal: ['salad'] }, cache: { hit: false, source: null } });
+    expect(await second).toEqual({ value: { meal: ['salad'] }, cache: { hit: true, source: 'coalesced' } });
+    expect(upstream.compute).toHaveBeenCalledTimes(1);
+    expect(await cache.getOrCompute('photo', jest.fn())).toMatchObject({ cache: { hit: true, source: 'memory' } });
+  });
+
+  test('different requests do not wait for each other', async () => {
+    const upstream = deferred();
+    const first = cache.getOrCompute('photo', upstream.compute);
+    const other = await cache.getOrCompute('other photo', async () => 'soup');
+    expect(other).toEqual({ value: 'soup', cache: { hit: false, source: null } });
+    upstream.resolve('salad');
+    await first;
+  });
+
+  test('a failure is not handed to the requests that joined it', async () => {
+    const upstream = deferred();
+    const retry = jest.fn(async () => ({ meal: ['salad'] }));
+    const first = cache.getOrCompute('photo', upstream.compute);
+    const second = cache.getOrCompute('photo', retry);
+    await new Promise(setImmediate);
+    upstream.reject(new Error('quota exceeded'));
+
+    await expect(first).rejects.toThrow('quota exceeded');
+    expect(await second).toEqual({ value: { meal: ['salad'] }, cache: { hit: false, source: null } });
+    expect(retry).toHaveBeenCalledTimes(1);
+  });
+
+  test('nothing is cached after a failure', async () => {
+    await expect(cache.getOrCompute('photo', async () => { throw new Error('upstream down'); })).rejects.toThrow('upstream down');
+    expect(await cache.getOrCompute('photo', async () => 'salad')).toEqual({ value: 'salad', cache: { hit: false, source: null } });
+  });
+});
+
+describe('cache layers', () => {
+  test('the persistent store fills the local cache', async () => {
+    const db = createFakeFirestore();
+    const persistent = createFirestoreCache({ db });
+    await persistent.set('photo', { meal: ['salad'] });
+
+    const cache = createAnalysisCache({ memory: createLruCache(), persistent, logger: silent });
+    expect(await cache.getOrCompute('photo', jest.fn())).toMatchObject({ cache: { hit: true, source: 'persistent' } });
+    expect(await cache.getOrCompute('photo', jest.fn())).toMatchObject({ cache: { hit: true, source: 'memory' } });
+  });
+
+  test('a broken persistent store only costs the cache', async () => {
+    const persistent = { get: () => Promise.reject(new Error('offline')), set: () => Promise.reject(new Error('offline')) };
+    const cache = createAnalysisCache({ memory: createLruCache(), persistent, logger: silent });
+    expect(await cache.getOrCompute('photo', async () => 'salad')).toEqual({ value: 'salad', cache: { hit: false, source: null } });
+  });
+
+  test('the LRU evicts the least recently used entry and expires old ones', () => {
+    let clock = 0;
+    const lru = createLruCache({ maxEntries: 2, ttlMs: 1000, now: () => clock });
+    lru.set('a', 1);
+    lru.set('b', 2);
+    lru.get('a');
+    lru.set('c', 3);
+    expect([lru.get('a'), lru.get('b'), lru.get('c')]).toEqual([1, undefined, 3]);
+    clock = 1000;
+    expect(lru.get('a')).toBeUndefined();
+  });
+});
+
+describe('cache keys', () => {
+  const provider = { name: 'openai', model: 'gpt-4o' };
+  const template = { mode: 'default', version: 3 };
+
+  test('match the same image with or without a data URI prefix', () => {
+    expect(imageHash('data:image/jpeg;base64,AAAA')).toBe(imageHash('AAAA'));
+    expect(analysisCacheKey({ image: 'AAAA', provider, template }))
+      .not.toBe(analysisCacheKey({ image: 'AAAA', provider, template: { ...template, version: 4 } }));
+  });
+
+  test('match descriptions regardless of case', () => {
+    expect(analysisCacheKey({ text: 'Chicken Salad', provider, template }))
+      .toBe(analysisCacheKey({ text: 'chicken salad', provider, template }));
+  });
+});
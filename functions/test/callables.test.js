@@ -0,0 +1,379 @@
+// The callables end to end: firebase-functions-test wraps them, Firestore is
+// the in-memory fake and OpenAI is the local mock server.
+jest.mock('firebase-admin', () => require('./support/fakeAdmin').createFakeAdmin());
+
+const { EventEmitter } = require('events');
+const sharp = require('sharp');
+const admin = require('firebase-admin');
+const firebaseTest = require('firebase-functions-test')();
+const { SAMPLE_RESPONSE } = require('../shared/vision/mock');
+const { errorBody, fenced, startMockOpenAI } = require('./support/mockOpenAI');
+const { ADMIN_UID, TEST_TOKEN, TEST_UID } = require('./support/fakeAdmin');
+const { testJpegDataUri } = require('./support/images');
+
+const context = { auth: { uid: TEST_UID } };
+
+let openai;
+let config;
+let functions;
+let logger;
+
+beforeAll(async () => {
+  openai = await startMockOpenAI();
+  config = {
+    openai: { api_key: 'test-key', base_url: openai.baseUrl },
+    upstream: { timeout_ms: '200', deadline_ms: '2000', retries: '0', breaker_threshold: '100' }
+  };
+  firebaseTest.mockConfig(config);
+  functions = require('../index');
+  ({ logger } = require('../simple'));
+});
+
+afterAll(async () => {
+  firebaseTest.cleanup();
+  await openai.close();
+});
+
+beforeEach(() => {
+  // The functions log every failure; the assertions cover them
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    jest.spyOn(logger, level).mockImplementation(() => {});
+  }
+});
+
+afterEach(() => {
+  openai.reset();
+  jest.restoreAllMocks();
+});
+
+function call(name, data, ctx = context) {
+  return firebaseTest.wrap(functions[name])(data, ctx);
+}
+
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the call to fail');
+}
+
+describe('analyzeFoodImage', () => {
+  test('requires a signed-in user', async () => {
+    const error = await failure(call('analyzeFoodImage', { image: 'x' }, {}));
+    expect(error.code).toBe('unauthenticated');
+  });
+
+  test('requires an image', async () => {
+    const error = await failure(call('analyzeFoodImage', {}));
+    expect(error.code).toBe('invalid-argument');
+    expect(error.details).toMatchObject({ code: 'missing_image', status: 400 });
+  });
+
+  test('rejects an upload that is not an image', async () => {
+    const error = await failure(call('analyzeFoodImage', { image: Buffer.from('hello world, not a photo').toString('base64') }));
+    expect(error.code).toBe('invalid-argument');
+    expect(error.details).toMatchObject({ code: 'unsupported_media_type', status: 415 });
+    expect(openai.requests).toHaveLength(0);
+  });
+
+  test('rejects an unknown analysis mode', async () => {
+    const error = await failure(call('analyzeFoodImage', { image: await testJpegDataUri(sharp), mode: 'nope' }));
+    expect(error.code).toBe('invalid-argument');
+    expect(error.details.code).toBe('unknown_prompt');
+  });
+
+  test('analyses a photo and charges the quota once', async () => {
+    const image = await testJpegDataUri(sharp);
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+
+    const result = await call('analyzeFoodImage', { image });
+    expect(result.meal[0].dish).toBe('Grilled Chicken Salad');
+    expect(result.meal[0].calories).toBe(316);
+    expect(result.prompt).toMatchObject({ mode: 'estimate' });
+    expect(result.cache).toEqual({ hit: false, source: null });
+    expect(result.quota).toMatchObject({ kind: 'imageAnalyses', used: 1 });
+
+    const sent = openai.requests[0].body.messages[1].content[1].image_url.url;
+    expect(sent).toMatch(/^data:image\/jpeg;base64,/);
+
+    // The same photo again is answered from the cache, without OpenAI
+    const again = await call('analyzeFoodImage', { image });
+    expect(again.cache.hit).toBe(true);
+    expect(again.quota.used).toBe(1);
+    expect(openai.requests).toHaveLength(1);
+  });
+
+  test('accepts an answer in a markdown fence', async () => {
+    openai.reply({ content: fenced(SAMPLE_RESPONSE) });
+    const result = await call('analyzeFoodImage', { image: await testJpegDataUri(sharp) });
+    expect(result.meal).toHaveLength(1);
+  });
+
+  test('saves the meal to the food log when asked to', async () => {
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+    const result = await call('analyzeFoodImage', { image: await testJpegDataUri(sharp), save: true, mealType: 'lunch' });
+    expect(result.mealId).toEqual(expect.any(String));
+
+    const meal = admin.db.docs.get(`users/${TEST_UID}/meals/${result.mealId}`);
+    expect(meal).toMatchObject({ mealType: 'lunch' });
+    expect(admin.files).toHaveLength(1);
+  });
+
+  test('reports a garbage answer with its parse code, without charging the quota', async () => {
+    openai.reply({ content: 'Sorry, I cannot tell what this is.' });
+    const error = await failure(call('analyzeFoodImage', { image: await testJpegDataUri(sharp) }, { auth: { uid: 'user-4' } }));
+    expect(error.code).toBe('internal');
+    expect(error.details.code).toBe('unparseable_response');
+
+    const day = new Date().toISOString().slice(0, 10);
+    expect(admin.firestore().docs.get(`users/user-4/usage/${day}`)).toBeUndefined();
+  });
+
+  test('reports an OpenAI rate limit as unavailable', async () => {
+    openai.reply({ status: 429, headers: { 'retry-after': '20' }, body: errorBody('Rate limit reached') });
+    const error = await failure(call('analyzeFoodImage', { image: await testJpegDataUri(sharp) }));
+    expect(error.code).toBe('unavailable');
+    expect(error.details).toEqual({ code: 'upstream_rate_limited', retryAfter: 20 });
+  });
+
+  test('reports a timeout as deadline-exceeded', async () => {
+    openai.reply({ hang: true });
+    const error = await failure(call('analyzeFoodImage', { image: await testJpegDataUri(sharp) }));
+    expect(error.code).toBe('deadline-exceeded');
+    expect(error.details.code).toBe('upstream_timeout');
+  });
+});
+
+describe('analyzeMealImages', () => {
+  test('points at the photo that failed', async () => {
+    const error = await failure(call('analyzeMealImages', {
+      images: [await testJpegDataUri(sharp), 'bm90IGFuIGltYWdl'],
+      mode: 'multiview'
+    }));
+    expect(error.code).toBe('invalid-argument');
+    expect(error.message).toMatch(/^images\[1\]: /);
+    expect(error.details).toMatchObject({ code: 'unsupported_media_type', index: 1 });
+  });
+
+  test('counts every photo against the quota', async () => {
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+    const result = await call('analyzeMealImages', {
+      images: [await testJpegDataUri(sharp), await testJpegDataUri(sharp)],
+      mode: 'multiview'
+    }, { auth: { uid: 'user-2' } });
+    expect(result.imageCount).toBe(2);
+    expect(result.quota.used).toBe(2);
+    expect(openai.requests[0].body.messages[1].content.filter((part) => part.type === 'image_url')).toHaveLength(2);
+  });
+});
+
+describe('analyzeFoodText', () => {
+  test('requires a description', async () => {
+    const error = await failure(call('analyzeFoodText', { text: '' }));
+    expect(error.code).toBe('invalid-argument');
+    expect(error.details.code).toBe('invalid_text');
+  });
+
+  test('analyses a description against its own quota', async () => {
+    openai.reply({ content: fenced(SAMPLE_RESPONSE) });
+    const result = await call('analyzeFoodText', { text: 'chicken salad with olive oil' });
+    expect(result.meal[0].dish).toBe('Grilled Chicken Salad');
+    expect(result.quota).toMatchObject({ kind: 'textAnalyses', used: 1 });
+    expect(openai.requests[0].body.messages[1].content).toContain('chicken salad with olive oil');
+  });
+
+  test('reports a description without food as invalid-argument', async () => {
+    openai.reply({ content: '{"meal": []}' });
+    const error = await failure(call('analyzeFoodText', { text: 'a glass of water' }));
+    expect(error.code).toBe('invalid-argument');
+    expect(error.details.code).toBe('no_food_found');
+  });
+});
+
+describe('recomputeMeal', () => {
+  test('requires a signed-in user', async () => {
+    const error = await failure(call('recomputeMeal', { meal: [] }, {}));
+    expect(error.code).toBe('unauthenticated');
+  });
+
+  test('rescales the edited ingredient weights', async () => {
+    const meal = [{ dish: 'Toast', ingredients: [{ name: 'bread', grams: 80, per100g: { calories: 250, protein: 9, carbohydrates: 45, fat: 3 } }] }];
+    const result = await call('recomputeMeal', { meal });
+    expect(result.meal[0].calories).toBe(200);
+    expect(result.issues).toEqual([]);
+  });
+});
+
+describe('getAIResponse', () => {
+  test('answers with the Coach reply and charges its tokens', async () => {
+    openai.reply({ content: 'Drink some water.' });
+    const result = await call('getAIResponse', { messages: [{ role: 'user', content: 'What should I do today?' }] });
+    expect(result).toMatchObject({ success: true, content: 'Drink some water.', toolsUsed: [] });
+    expect(result.quota).toMatchObject({ kind: 'coachTokens', used: 200 });
+  });
+
+  test('rejects an empty conversation', async () => {
+    const result = await call('getAIResponse', { messages: [] });
+    expect(result.success).toBe(false);
+    expect(openai.requests).toHaveLength(0);
+  });
+
+  test('reports upstream failures with their code', async () => {
+    openai.reply({ status: 401, body: errorBody('Incorrect API key provided', 'invalid_api_key') });
+    const result = await call('getAIResponse', { messages: [{ role: 'user', content: 'Hi' }] });
+    expect(result).toMatchObject({ success: false, code: 'upstream_auth_failed' });
+  });
+});
+
+describe('streamAIResponseHttp', () => {
+  // Just enough of Express's request and response to run the handler; resolves
+  // with the server-sent events once the response ends
+  function post(body) {
+    const req = { method: 'POST', body, get: (name) => (name === 'Authorization' ? `Bearer ${TEST_TOKEN}` : undefined) };
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      writableEnded: false,
+      text: '',
+      status(code) { this.statusCode = code; return this; },
+      set() { return this; },
+      write(chunk) { this.text += chunk; },
+      json(value) { this.end(JSON.stringify(value)); },
+      end(chunk = '') {
+        this.text += chunk;
+        this.writableEnded = true;
+        this.emit('finish');
+      }
+    });
+    return new Promise((resolve) => {
+      res.on('finish', () => resolve(res.text.split('\n\n').filter(Boolean).map((block) => {
+        const [event, data] = block.split('\n');
+        return { event: event.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+      })));
+      functions.streamAIResponseHttp(req, res);
+    });
+  }
+
+  test('streams a single-round reply token by token', async () => {
+    openai.reply({ stream: [{ content: 'Eat ' }, { content: 'more ' }, { content: 'greens.' }] });
+    const events = await post({ messages: [{ role: 'user', content: 'Any tips?' }] });
+
+    expect(events.map((entry) => entry.event)).toEqual(['delta', 'delta', 'delta', 'done']);
+    expect(events.slice(0, 3).map((entry) => entry.data.content)).toEqual(['Eat ', 'more ', 'greens.']);
+    expect(events[3].data).toMatchObject({ content: 'Eat more greens.', toolsUsed: [] });
+  });
+
+  test('resets the text written before a lookup', async () => {
+    openai.reply(
+      { stream: [{ content: 'Let me check ' }, { content: 'your goals.' }, { tool_calls: [{ index: 0, id: 'call-1', type: 'function', function: { name: 'get_goals', arguments: '{}' } }] }] },
+      { stream: [{ content: 'Aim for ' }, { content: '2000 kcal.' }] }
+    );
+    const events = await post({ messages: [{ role: 'user', content: 'How much should I eat?' }] });
+
+    expect(events.map((entry) => entry.event)).toEqual(['delta', 'delta', 'reset', 'tool', 'delta', 'delta', 'done']);
+    expect(events[2].data).toEqual({});
+    expect(events[6].data).toMatchObject({ content: 'Aim for 2000 kcal.', toolsUsed: ['get_goals'] });
+  });
+
+  test('sends no reset for a lookup without text', async () => {
+    openai.reply(
+      { stream: [{ tool_calls: [{ index: 0, id: 'call-1', type: 'function', function: { name: 'get_goals', arguments: '{}' } }] }] },
+      { stream: [{ content: 'Aim for ' }, { content: '2000 kcal.' }] }
+    );
+    const events = await post({ messages: [{ role: 'user', content: 'How much should I eat?' }] });
+
+    expect(events.map((entry) => entry.event)).toEqual(['tool', 'delta', 'delta', 'done']);
+  });
+
+  test('streams the last round token by token', async () => {
+    const lookup = (id) => ({ stream: [{ tool_calls: [{ index: 0, id, type: 'function', function: { name: 'get_goals', arguments: '{}' } }] }] });
+    openai.reply(lookup('call-1'), lookup('call-2'), lookup('call-3'), { stream: [{ content: 'Eat ' }, { content: 'well.' }] });
+    const events = await post({ messages: [{ role: 'user', content: 'Any tips?' }] });
+
+    expect(events.filter((entry) => entry.event === 'delta').map((entry) => entry.data.content)).toEqual(['Eat ', 'well.']);
+    expect(openai.requests[3].body.tool_choice).toBe('none');
+  });
+});
+
+describe('request IDs', () => {
+  // Just enough of the HTTP request behind a callable
+  function rawRequest(requestId) {
+    const headers = {};
+    return {
+      get: (name) => (name === 'X-Request-Id' ? requestId : undefined),
+      res: { headersSent: false, headers, set: (name, value) => { headers[name] = value; } }
+    };
+  }
+
+  test("keep the caller's ID, return it and log it with the outcome", async () => {
+    openai.reply({ content: fenced(SAMPLE_RESPONSE) });
+    const raw = rawRequest('client-req-1');
+    await call('analyzeFoodText', { text: 'chicken salad' }, { ...context, rawRequest: raw });
+    expect(raw.res.headers['X-Request-Id']).toBe('client-req-1');
+    expect(logger.info).toHaveBeenCalledWith('Request completed', expect.objectContaining({
+      requestId: 'client-req-1',
+      uid: TEST_UID,
+      status: 'ok'
+    }));
+  });
+
+  test('make one up for a failed call', async () => {
+    const raw = rawRequest('not a usable id!');
+    await failure(call('analyzeFoodText', { text: '' }, { ...context, rawRequest: raw }));
+    expect(raw.res.headers['X-Request-Id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(logger.info).toHaveBeenCalledWith('Request completed', expect.objectContaining({ status: 'invalid_text' }));
+  });
+});
+
+describe('usage accounting', () => {
+  const adminContext = { auth: { uid: ADMIN_UID, token: { admin: true } } };
+
+  test('records each call against the user, day and function', async () => {
+    openai.reply({ content: fenced(SAMPLE_RESPONSE) });
+    await call('analyzeFoodText', { text: 'a bowl of porridge' }, { auth: { uid: 'user-3' } });
+    openai.reply({ content: 'Have some fruit.' });
+    await call('getAIResponse', { messages: [{ role: 'user', content: 'Snack ideas?' }] }, { auth: { uid: 'user-3' } });
+
+    const day = new Date().toISOString().slice(0, 10);
+    const entry = admin.firestore().docs.get(`usageLedger/${day}_user-3`);
+    expect(entry).toMatchObject({ calls: 2, promptTokens: 240, completionTokens: 160 });
+    expect(Object.keys(entry.endpoints).sort()).toEqual(['analyzeFoodText', 'getAIResponse']);
+    expect(entry.costUsd).toBeCloseTo(0.0022, 10);
+  });
+
+  test('reports spend to admins only', async () => {
+    const error = await failure(call('getUsageReport', {}));
+    expect(error.code).toBe('permission-denied');
+
+    const report = await call('getUsageReport', { top: 5 }, adminContext);
+    expect(report.currency).toBe('USD');
+    expect(report.totals.calls).toBeGreaterThan(0);
+    expect(report.endpoints.map((entry) => entry.endpoint)).toContain('analyzeFoodText');
+    expect(report.topUsers.length).toBeLessThanOrEqual(5);
+  });
+
+  test('rejects a bad report range', async () => {
+    const error = await failure(call('getUsageReport', { from: 'last week' }, adminContext));
+    expect(error.code).toBe('invalid-argument');
+    expect(error.details.code).toBe('invalid_usage_report');
+  });
+});
+
+describe('configuration', () => {
+  afterEach(() => firebaseTest.mockConfig(config));
+
+  test('falls back to the default prices when usage.model_prices is malformed', () => {
+    firebaseTest.mockConfig({ ...config, usage: { model_prices: '{"gpt-4o": {"prompt": -1}}' } });
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = require('../index');
+    });
+    expect(loaded.getUsageReport).toBeDefined();
+    expect(write).toHaveBeenCalledWith(expect.stringContaining('"message":"Ignoring usage.model_prices"'));
+  });
+});
@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+const fetch = require('node-fetch');
+const {
+  ChatProviderError,
+  SUMMARY_BATCH,
+  assembleContext,
+  createCoachConversations,
+  createCoachTools,
+  openEventStream,
+  runWithTools,
+  streamChatCompletion,
+  windowTurns
+} = require('../shared/chat');
+const { createUpstreamClient } = require('../shared/upstream');
+const { errorBody, startMockOpenAI } = require('./support/mockOpenAI');
+const { createFakeFirestore } = require('./support/fakeFirestore');
+
+const silent = { warn: () => {}, error: jest.fn() };
+
+// A turn of 28 estimated tokens
+function turn(role, label) {
+  return { role, content: `${label} ${'x'.repeat(90)}` };
+}
+
+describe('context window', () => {
+  const turns = [turn('user', 'q1'), turn('assistant', 'a1'), turn('user', 'q2'), turn('assistant', 'a2'), turn('user', 'q3')];
+
+  test('keeps the newest turns that fit the budget', () => {
+    const { kept, dropped } = windowTurns(turns, 90);
+    expect(kept.map((entry) => entry.content.split(' ')[0])).toEqual(['q2', 'a2', 'q3']);
+    expect(dropped).toHaveLength(2);
+  });
+
+  test('never opens on an assistant reply and always keeps the latest turn', () => {
+    expect(windowTurns(turns, 60).kept.map((entry) => entry.content.split(' ')[0])).toEqual(['q3']);
+    expect(windowTurns(turns, 0).kept).toEqual([turns[4]]);
+  });
+
+  test('puts the summary after the persona and takes it out of the budget', () => {
+    const persona = { system: 'You are a coach.' };
+    const { messages, dropped } = assembleContext({ persona, summary: 'Wants to run a 10k.', turns, budget: 90 });
+    expect(messages[0]).toEqual({ role: 'system', content: 'You are a coach.' });
+    expect(messages[1].content).toBe('Summary of the earlier conversation:\nWants to run a 10k.');
+    expect(messages.slice(2).map((entry) => entry.content.split(' ')[0])).toEqual(['q3']);
+    expect(dropped).toHaveLength(4);
+  });
+});
+
+describe('stored conversations', () => {
+  let db;
+
+  // A conversation of `exchanges` stored question and answer pairs
+  async function seed(exchanges) {
+    const store = createCoachConversations({ db, logger: silent });
+    let prepared = await store.prepare('ann', { message: turn('user', 'q1').content });
+    await store.commit('ann', prepared, turn('assistant', 'a1').content);
+    for (let i = 2; i <= exchanges; i += 1) {
+      prepared = await store.prepare('ann', { message: turn('user', `q${i}`).content, conversationId: prepared.id });
+      await store.commit('ann', prepared, turn('assistant', `a${i}`).content);
+    }
+    return prepared.id;
+  }
+
+  beforeEach(() => {
+    db = createFakeFirestore();
+    silent.error.mockClear();
+  });
+
+  test('fold the turns that no longer fit into a summary', async () => {
+    const id = await seed(4);
+    const summarize = jest.fn().mockResolvedValue({ content: 'Training for a 10k.', usage: { total_tokens: 50 } });
+    const store = createCoachConversations({ db, summarize, contextTokens: 90, logger: silent });
+
+    const prepared = await store.prepare('ann', { message: turn('user', 'q5').content, conversationId: id });
+    expect(summarize).toHaveBeenCalledTimes(1);
+    const [request] = summarize.mock.calls[0];
+    expect(request[1].content).toContain('Previous summary:\n(none)');
+    expect(request[1].content).toContain(`User: ${turn('user', 'q1').content}`);
+
+    expect(prepared.summaryUsage).toEqual({ total_tokens: 50 });
+    expect(prepared.messages[1].content).toBe('Summary of the earlier conversation:\nTraining for a 10k.');
+    // The summary takes its share of the budget
+    expect(prepared.messages.slice(2).map((entry) => entry.content.split(' ')[0])).toEqual(['q5']);
+    expect(db.docs.get(`users/ann/conversations/${id}`).summary).toMatchObject({ content: 'Training for a 10k.', throughSeq: 6 });
+  });
+
+  test(`wait until ${SUMMARY_BATCH} turns have dropped out`, async () => {
+    const id = await seed(2);
+    const summarize = jest.fn();
+    const store = createCoachConversations({ db, summarize, contextTokens: 90, logger: silent });
+
+    const prepared = await store.prepare('ann', { message: turn('user', 'q3').content, conversationId: id });
+    expect(summarize).not.toHaveBeenCalled();
+    expect(prepared.messages.slice(1).map((entry) => entry.content.split(' ')[0])).toEqual(['q2', 'a2', 'q3']);
+  });
+
+  test('answer from the trimmed window when summarizing fails', async () => {
+    const id = await seed(4);
+    const store = createCoachConversations({
+      db,
+      summarize: () => Promise.reject(new Error('upstream down')),
+      contextTokens: 90,
+      logger: silent
+    });
+
+    const prepared = await store.prepare('ann', { message: turn('user', 'q5').content, conversationId: id });
+    expect(prepared.messages.slice(1).map((entry) => entry.content.split(' ')[0])).toEqual(['q4', 'a4', 'q5']);
+    expect(db.docs.get(`users/ann/conversations/${id}`).summary).toBeNull();
+    expect(silent.error).toHaveBeenCalledWith('Conversation summary failed', expect.anything());
+  });
+});
+
+describe('runWithTools', () => {
+  const call = (id, name) => ({ id, type: 'function', function: { name, arguments: '{}' } });
+  const usage = { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 };
+
+  test('runs the calls, feeds the results back and adds up every round', async () => {
+    const complete = jest.fn()
+      .mockResolvedValueOnce({ content: null, toolCalls: [call('c1', 'get_goals'), call('c2', 'get_todays_meals')], usage })
+      .mockResolvedValueOnce({ content: 'You have 800 kcal left.', finishReason: 'stop', toolCalls: [], usage });
+    const execute = jest.fn(async (toolCall) => `{"tool":"${toolCall.function.name}"}`);
+
+    const result = await runWithTools({ messages: [{ role: 'user', content: 'How am I doing?' }], tools: [], complete, execute });
+    expect(result).toEqual({
+      content: 'You have 800 kcal left.',
+      finishReason: 'stop',
+      usage: { prompt_tokens: 200, completion_tokens: 20, total_tokens: 220 },
+      toolCalls: ['get_goals', 'get_todays_meals']
+    });
+
+    const { messages, toolChoice } = complete.mock.calls[1][0];
+    expect(toolChoice).toBe('auto');
+    expect(messages.slice(1)).toEqual([
+      { role: 'assistant', content: null, tool_calls: [call('c1', 'get_goals'), call('c2', 'get_todays_meals')] },
+      { role: 'tool', tool_call_id: 'c1', content: '{"tool":"get_goals"}' },
+      { role: 'tool', tool_call_id: 'c2', content: '{"tool":"get_todays_meals"}' }
+    ]);
+  });
+
+  test('makes the model answer once the rounds run out', async () => {
+    const complete = jest.fn(async ({ toolChoice }) => (toolChoice === 'none'
+      ? { content: 'Here is what I know.', toolCalls: [], usage }
+      : { content: null, toolCalls: [call('c', 'get_goals')], usage }));
+
+    const result = await runWithTools({ messages: [], tools: [], complete, execute: async () => '{}', maxRounds: 2 });
+    expect(complete.mock.calls.map(([request]) => request.toolChoice)).toEqual(['auto', 'auto', 'none']);
+    expect(result.content).toBe('Here is what I know.');
+    expect(result.toolCalls).toEqual(['get_goals', 'get_goals']);
+  });
+
+  test('reports failed and unknown tools to the model as errors', async () => {
+    const db = createFakeFirestore();
+    db.docs.set('users/ann/settings/nutritionTargets', { calories: 2200 });
+    const tools = createCoachTools({ db, logger: silent });
+
+    expect(JSON.parse(await tools.execute('ann', call('c', 'get_goals')))).toMatchObject({ nutritionTargets: { calories: 2200 } });
+    expect(JSON.parse(await tools.execute('ann', call('c', 'delete_everything')))).toEqual({ error: 'Unknown tool: delete_everything' });
+    const badWeek = { id: 'c', function: { name: 'get_weekly_nutrition_summary', arguments: '{"date":"last week"}' } };
+    expect(JSON.parse(await tools.execute('ann', badWeek)).error).toMatch('date must be a date');
+  });
+});
+
+describe('streamChatCompletion', () => {
+  let openai;
+
+  beforeAll(async () => {
+    openai = await startMockOpenAI();
+  });
+
+  afterAll(() => openai.close());
+
+  afterEach(() => openai.reset());
+
+  function stream(options = {}) {
+    return streamChatCompletion({
+      apiKey: 'test-key',
+      messages: [{ role: 'user', content: 'Hi' }],
+      baseUrl: openai.baseUrl,
+      upstream: createUpstreamClient({ fetch, timeoutMs: 500, retries: 0 }),
+      ...options
+    });
+  }
+
+  test('hands out each delta and resolves with the whole reply', async () => {
+    openai.reply({ stream: [{ role: 'assistant', content: '' }, { content: 'Hel' }, { content: 'lo!' }] });
+    const deltas = [];
+    const result = await stream({ onDelta: (content) => deltas.push(content) });
+
+    expect(deltas).toEqual(['Hel', 'lo!']);
+    expect(result).toMatchObject({ content: 'Hello!', finishReason: 'stop', usage: { total_tokens: 200 }, toolCalls: [] });
+    expect(openai.requests[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(openai.requests[0].body.tools).toBeUndefined();
+  });
+
+  test('joins tool call fragments into whole calls', async () => {
+    openai.reply({
+      stream: [
+        { tool_calls: [{ index: 0, id: 'call-1', type: 'function', function: { name: 'get_', arguments: '' } }] },
+        { tool_calls: [{ index: 0, function: { name: 'goals', arguments: '{"a":' } }] },
+        { tool_calls: [{ index: 0, function: { arguments: '1}' } }, { index: 1, id: 'call-2', function: { name: 'get_todays_meals', arguments: '{}' } }] }
+      ]
+    });
+    const result = await stream({ tools: [{ type: 'function', function: { name: 'get_goals' } }] });
+
+    expect(result.finishReason).toBe('tool_calls');
+    expect(result.toolCalls).toEqual([
+      { id: 'call-1', type: 'function', function: { name: 'get_goals', arguments: '{"a":1}' } },
+      { id: 'call-2', type: 'function', function: { name: 'get_todays_meals', arguments: '{}' } }
+    ]);
+    expect(openai.requests[0].body.tool_choice).toBe('auto');
+  });
+
+  test('reports upstream failures as ChatProviderError', async () => {
+    openai.reply({ status: 401, body: errorBody('Incorrect API key provided', 'invalid_api_key') });
+    await expect(stream()).rejects.toEqual(expect.objectContaining({
+      constructor: ChatProviderError,
+      code: 'upstream_auth_failed'
+    }));
+  });
+});
+
+describe('openEventStream', () => {
+  function response() {
+    return Object.assign(new EventEmitter(), {
+      headers: {},
+      text: '',
+      writableEnded: false,
+      status(code) { this.statusCode = code; return this; },
+      set(headers) { Object.assign(this.headers, headers); },
+      write(chunk) { this.text += chunk; },
+      end() { this.writableEnded = true; }
+    });
+  }
+
+  test('writes named events and nothing after the end', () => {
+    const res = response();
+    const events = openEventStream(res);
+    events.send('delta', { content: 'Hi' });
+    events.send('done', { content: 'Hi' });
+    events.end();
+    events.send('delta', { content: 'late' });
+    events.end();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers).toMatchObject({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    expect(res.text).toBe('event: delta\ndata: {"content":"Hi"}\n\nevent: done\ndata: {"content":"Hi"}\n\n');
+  });
+});
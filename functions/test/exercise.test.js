@@ -0,0 +1,91 @@
+const {
+  ACTIVITIES,
+  estimateExercise,
+  matchActivity,
+  metForSpeed,
+  parseExerciseModelResponse,
+  parseExerciseRequest
+} = require('../shared/exercise');
+
+function estimate(input) {
+  return estimateExercise(parseExerciseRequest(input));
+}
+
+describe('MET values', () => {
+  test('interpolate between speeds and clamp to the table', () => {
+    const { speeds } = ACTIVITIES.running;
+    expect(metForSpeed(speeds, 8.0)).toBe(8.3);
+    expect(metForSpeed(speeds, 10)).toBeCloseTo(9.99, 2);
+    expect(metForSpeed(speeds, 3)).toBe(6.0);
+    expect(metForSpeed(speeds, 30)).toBe(23.0);
+  });
+
+  test('match activity names and aliases, but not ambiguous ones', () => {
+    expect(matchActivity('Weight Lifting')).toBe('weightlifting');
+    expect(matchActivity('jogging')).toBe('running');
+    expect(matchActivity('jump_rope')).toBe('jump_rope');
+    expect(matchActivity('run then swim')).toBeNull();
+    expect(matchActivity('chess')).toBeNull();
+  });
+});
+
+describe('estimates', () => {
+  test('use the speed when distance and duration are known', () => {
+    const result = estimate({ weightKg: 70, activity: 'running', distanceKm: 5, durationMinutes: 30 });
+    expect(result.activities[0]).toMatchObject({ metSource: 'speed', speedKmh: 10, met: 10 });
+    expect(result.calories).toBe(350);
+  });
+
+  test('use the intensity otherwise, moderate by default', () => {
+    expect(estimate({ weightKg: 80, activity: 'swimming', durationMinutes: 45, intensity: 'vigorous' }).calories).toBe(588);
+    expect(estimate({ weightKg: 80, activity: 'swimming', durationMinutes: 45 }).activities[0]).toMatchObject({ intensity: 'moderate', met: 7 });
+    expect(estimate({ weightKg: 80, activity: 'swimming', durationMinutes: 45, intensity: 0.9 }).activities[0].intensity).toBe('vigorous');
+  });
+
+  test('time lifting sets when no duration is given', () => {
+    const sets = [{ reps: 10, weightKg: 60 }, { reps: 10, weightKg: 60 }, { reps: 10, weightKg: 60 }];
+    const result = estimate({ weightKg: 70, activity: 'weightlifting', exercises: [{ name: 'Squat', sets }] });
+    expect(result.activities[0]).toMatchObject({ durationSource: 'sets', durationMinutes: 6, sets: 3, reps: 30, volumeKg: 1800 });
+    expect(result.calories).toBe(35);
+  });
+
+  test('add up several workouts', () => {
+    const result = estimate({
+      weightKg: 70,
+      workouts: [
+        { activity: 'walking', durationMinutes: 60 },
+        { activity: 'yoga', durationMinutes: 30, intensity: 'light' }
+      ]
+    });
+    expect(result.activities.map((activity) => activity.calories)).toEqual([245, 88]);
+    expect(result.calories).toBe(333);
+  });
+});
+
+describe('parseExerciseRequest', () => {
+  test('reads simple descriptions with rules', () => {
+    const request = parseExerciseRequest({ weightKg: 70, description: 'Walked 2 miles in 40 minutes, easy' });
+    expect(request.parsedBy).toBe('rules');
+    expect(request.workouts[0]).toMatchObject({ activity: 'walking', durationMinutes: 40, intensity: 'light' });
+    expect(request.workouts[0].distanceKm).toBeCloseTo(3.219, 3);
+  });
+
+  test('leaves descriptions the rules cannot read to the model', () => {
+    expect(parseExerciseRequest({ weightKg: 70, description: 'yoga, then a run for 30 min' })).toMatchObject({ workouts: null, parsedBy: null });
+    expect(parseExerciseRequest({ weightKg: 70, description: 'a long run' }).workouts).toBeNull();
+  });
+
+  test('rejects bad input with its code', () => {
+    expect(() => parseExerciseRequest({ activity: 'running', durationMinutes: 30 })).toThrow('weightKg is required');
+    expect(() => parseExerciseRequest({ weightKg: 70, activity: 'chess', durationMinutes: 30 })).toThrow(expect.objectContaining({ code: 'unknown_activity' }));
+    expect(() => parseExerciseRequest({ weightKg: 70, activity: 'running' })).toThrow('workout.durationMinutes is required');
+  });
+
+  test("keeps the usable entries of the model's answer", () => {
+    const issues = [];
+    const workouts = parseExerciseModelResponse('{"activities":[{"activity":"cycling","durationMinutes":45},{"activity":"chess","durationMinutes":60}]}', issues);
+    expect(workouts).toEqual([expect.objectContaining({ activity: 'cycling', durationMinutes: 45 })]);
+    expect(issues).toEqual([expect.stringContaining('activities[1].activity')]);
+    expect(() => parseExerciseModelResponse('{"activities":[]}')).toThrow(expect.objectContaining({ code: 'unparsed_exercise' }));
+  });
+});
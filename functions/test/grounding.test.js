@@ -0,0 +1,138 @@
+const { estimatePortionGrams, groundAnalysis, groundDish, parseFoodTable } = require('../shared/nutrition');
+const { SAMPLE_RESPONSE } = require('../shared/vision/mock');
+
+const table = parseFoodTable([
+  'name,aliases,kcal,protein,carbohydrates,fat,serving_g',
+  'chicken breast (cooked),grilled chicken|chicken,165,31,0,3.6,120',
+  'egg (boiled),egg|eggs|boiled egg,155,13,1.1,11,50',
+  'white rice (cooked),rice|steamed rice,130,2.7,28,0.3,160'
+].join('\n'));
+
+describe('portion weights', () => {
+  const egg = table[1];
+
+  test('read weights in grams, kilograms, ounces and pounds', () => {
+    expect(estimatePortionGrams('200 g', egg)).toEqual({ grams: 200, source: 'portion' });
+    expect(estimatePortionGrams('0.5kg', egg)).toEqual({ grams: 500, source: 'portion' });
+    expect(estimatePortionGrams('6 oz', egg).grams).toBeCloseTo(170.1, 5);
+    expect(estimatePortionGrams('1 lb', egg).grams).toBe(453.6);
+  });
+
+  test('fall back to servings, then to one serving', () => {
+    expect(estimatePortionGrams('two eggs', egg)).toEqual({ grams: 100, source: 'servings' });
+    expect(estimatePortionGrams('half a portion', egg)).toEqual({ grams: 25, source: 'servings' });
+    expect(estimatePortionGrams('a bowl', egg)).toEqual({ grams: 50, source: 'default' });
+    expect(estimatePortionGrams(undefined, egg)).toEqual({ grams: 50, source: 'default' });
+  });
+});
+
+describe('groundDish', () => {
+  test('scales the matched food to the portion', () => {
+    expect(groundDish({ dish: 'Grilled Chicken', portion: '150g' }, table)).toEqual({
+      basis: 'dish',
+      food: 'chicken breast (cooked)',
+      matchConfidence: 1,
+      grams: 150,
+      gramsSource: 'portion',
+      calories: 247.5,
+      macronutrients: { protein: 46.5, carbohydrates: 0, fat: 5.4 }
+    });
+  });
+
+  test('prefers the ingredient weights when every ingredient has one', () => {
+    const dish = { dish: 'steamed rice', portion: '1 cup', ingredients: [{ name: 'rice', grams: 180 }, { name: 'water', grams: 20 }] };
+    expect(groundDish(dish, table)).toMatchObject({ grams: 200, gramsSource: 'ingredients', calories: 260 });
+
+    dish.ingredients[1] = { name: 'salt' };
+    expect(groundDish(dish, table)).toMatchObject({ grams: 160, gramsSource: 'servings' });
+  });
+
+  test('sums the ingredients when every one of them grounds', () => {
+    const dish = {
+      dish: 'mystery bowl',
+      ingredients: [{ name: 'grilled chicken breast', grams: 100 }, { name: 'steamed rice', grams: 150 }]
+    };
+    expect(groundDish(dish, table)).toEqual({
+      basis: 'ingredients',
+      food: null,
+      matchConfidence: 0.8,
+      grams: 250,
+      gramsSource: 'ingredients',
+      calories: 360,
+      macronutrients: { protein: 35.1, carbohydrates: 42, fat: 4.1 }
+    });
+  });
+
+  test('leaves dishes without a close match ungrounded', () => {
+    expect(groundDish({ dish: 'mystery stew', portion: '300 g' }, table)).toBeNull();
+    expect(groundDish({ dish: 'chicken rice bowl', portion: '300 g' }, table)).toBeNull();
+  });
+});
+
+describe('dishes that share words', () => {
+  const shared = parseFoodTable([
+    'name,aliases,kcal,protein,carbohydrates,fat,serving_g',
+    'fried chicken,breaded chicken,260,25,9,13,140',
+    'fried rice,egg fried rice,174,5,25,6,200',
+    'chicken soup,,36,2.5,3.5,1.2,250',
+    'noodle soup,,45,2,7,1,250',
+    'chicken caesar salad,,127,10,5,7.5,300'
+  ].join('\n'));
+
+  test('match on what the dish is rather than the first row sharing a word', () => {
+    expect(groundDish({ dish: 'Chicken Fried Rice', portion: '300 g' }, shared)).toMatchObject({ food: 'fried rice', calories: 522 });
+  });
+
+  test('break ties by how much of the name a food covers in order', () => {
+    expect(groundDish({ dish: 'chicken noodle soup', portion: '1 bowl' }, shared)).toMatchObject({ food: 'noodle soup' });
+  });
+
+  test('leave a dish ungrounded when its last word is not matched', () => {
+    expect(groundDish({ dish: 'Grilled Chicken Salad', portion: '300 g' }, shared)).toBeNull();
+    expect(groundDish({ dish: 'breaded chicken sandwich', portion: '1' }, shared)).toBeNull();
+  });
+});
+
+describe('groundAnalysis', () => {
+  test("keeps the model's numbers next to the grounded ones", () => {
+    const analysis = {
+      meal: [
+        { dish: 'boiled eggs', portion: '2 eggs', calories: 140 },
+        { dish: 'mystery stew', portion: '1 bowl', calories: 400 }
+      ],
+      confidence: 0.8
+    };
+    const grounded = groundAnalysis(analysis, table);
+    expect(grounded.confidence).toBe(0.8);
+    expect(grounded.meal[0]).toMatchObject({ calories: 140, grounded: { food: 'egg (boiled)', grams: 100, calories: 155 } });
+    expect(grounded.meal[1]).toMatchObject({ calories: 400, grounded: null });
+  });
+
+  test('grounds each weighed ingredient', () => {
+    const analysis = {
+      meal: [{
+        dish: 'rice and eggs',
+        ingredients: [{ name: 'rice', grams: 160 }, { name: 'boiled egg', grams: 50 }, { name: 'soy sauce', grams: 10 }, { name: 'chili' }]
+      }]
+    };
+    const [dish] = groundAnalysis(analysis, table).meal;
+    expect(dish.ingredients.map((ingredient) => ingredient.grounded && ingredient.grounded.food))
+      .toEqual(['white rice (cooked)', 'egg (boiled)', null, null]);
+    expect(dish.ingredients[1].grounded).toEqual({
+      food: 'egg (boiled)',
+      matchConfidence: 1,
+      grams: 50,
+      calories: 77.5,
+      macronutrients: { protein: 6.5, carbohydrates: 0.6, fat: 5.5 }
+    });
+    expect(dish.grounded).toBeNull();
+  });
+
+  test('uses the bundled table by default', () => {
+    expect(groundDish({ dish: 'banana', portion: 'one' })).toMatchObject({ food: 'banana', grams: 118 });
+  });
+
+  test("grounds the sample salad close to the model's own total", () => {
+    expect(groundAnalysis(SAMPLE_RESPONSE).meal[0].grounded).toMatchObject({ basis: 'ingredients', grams: 300, calories: 314 });
+  });
+});
@@ -0,0 +1,140 @@
+const { createLogger, createRedactor, loggingConfig, parseRedactions, runWithLogContext } = require('../shared/logging');
+const { createMetricsRegistry, createServiceMetrics } = require('../shared/metrics');
+
+// A logger whose lines are parsed back into objects
+function capture(options = {}) {
+  const lines = [];
+  const logger = createLogger({ write: (line) => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+describe('redaction', () => {
+  const image = `data:image/jpeg;base64,${'A'.repeat(400)}`;
+
+  test('replaces image data with its size', () => {
+    const redact = createRedactor(['images']);
+    expect(redact({ image, note: `see ${image}` })).toEqual({
+      image: '[image: 300 bytes]',
+      note: 'see [image: 300 bytes]'
+    });
+    expect(redact({ raw: 'A'.repeat(400), buffer: Buffer.alloc(10) })).toEqual({
+      raw: '[image: 300 bytes]',
+      buffer: '[image: 10 bytes]'
+    });
+  });
+
+  test('hides personal fields and e-mail addresses', () => {
+    const redact = createRedactor(['pii']);
+    expect(redact({
+      authorization: 'Bearer abc',
+      text: 'two eggs',
+      nested: { messages: [{ content: 'hi' }], note: 'mail me at ann@example.com' },
+      model: 'gpt-4o'
+    })).toEqual({
+      authorization: '[redacted]',
+      text: '[redacted]',
+      nested: { messages: '[redacted]', note: 'mail me at [email]' },
+      model: 'gpt-4o'
+    });
+  });
+
+  test('leaves the values passed in unchanged', () => {
+    const fields = { text: 'two eggs', image };
+    createRedactor()(fields);
+    expect(fields).toEqual({ text: 'two eggs', image });
+  });
+
+  test('parses the configured redactions', () => {
+    expect(parseRedactions(undefined)).toEqual(['images', 'pii']);
+    expect(parseRedactions('none')).toEqual([]);
+    expect(parseRedactions(' PII ')).toEqual(['pii']);
+    expect(() => parseRedactions('images,faces')).toThrow('Unknown log redaction: faces');
+  });
+});
+
+describe('logger', () => {
+  const now = () => new Date('2026-01-02T03:04:05Z');
+
+  test('writes one JSON line with severity and message', () => {
+    const { logger, lines } = capture({ now });
+    logger.warn('Cache write failed', { kind: 'imageAnalyses' });
+    expect(lines).toEqual([{
+      time: '2026-01-02T03:04:05.000Z',
+      severity: 'WARNING',
+      message: 'Cache write failed',
+      kind: 'imageAnalyses'
+    }]);
+  });
+
+  test('drops lines below its level', () => {
+    const { logger, lines } = capture({ level: 'warn' });
+    logger.info('quiet');
+    logger.debug('quieter');
+    logger.error('loud');
+    expect(lines.map((line) => line.message)).toEqual(['loud']);
+  });
+
+  test('adds the request context and child fields', () => {
+    const { logger, lines } = capture();
+    runWithLogContext({ requestId: 'req-1' }, () => logger.child({ component: 'cache' }).info('hit'));
+    expect(lines[0]).toMatchObject({ requestId: 'req-1', component: 'cache', message: 'hit' });
+  });
+
+  test('serializes errors', () => {
+    const { logger, lines } = capture();
+    const error = Object.assign(new Error('Bad gateway'), { code: 'upstream_unavailable', upstreamStatus: 503 });
+    logger.error('Upstream failed', { error });
+    expect(lines[0].error).toMatchObject({ name: 'Error', message: 'Bad gateway', code: 'upstream_unavailable', upstreamStatus: 503 });
+  });
+
+  test('redacts fields by default', () => {
+    const { logger, lines } = capture();
+    logger.info('Calling provider', { text: 'two eggs', image: `data:image/png;base64,${'A'.repeat(8)}` });
+    expect(lines[0]).toMatchObject({ text: '[redacted]', image: '[image: 6 bytes]' });
+  });
+
+  test('refuses an unknown level', () => {
+    expect(() => loggingConfig({ level: 'verbose' })).toThrow('Unknown log level: verbose');
+    expect(loggingConfig({ defaultLevel: 'debug' })).toEqual({ level: 'debug', redact: ['images', 'pii'] });
+  });
+});
+
+describe('metrics', () => {
+  test('renders counters and histograms in the Prometheus text format', () => {
+    const registry = createMetricsRegistry();
+    const requests = registry.counter({ name: 'requests_total', help: 'Requests.', labels: ['route'] });
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency.', labels: ['route'], buckets: [0.1, 1] });
+    requests.inc({ route: '/api/"x"' });
+    requests.inc({ route: '/api/"x"' }, 2);
+    latency.observe({ route: '/a' }, 0.5);
+
+    expect(registry.render()).toBe([
+      '# HELP requests_total Requests.',
+      '# TYPE requests_total counter',
+      'requests_total{route="/api/\\"x\\""} 3',
+      '# HELP latency_seconds Latency.',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{route="/a",le="0.1"} 0',
+      'latency_seconds_bucket{route="/a",le="1"} 1',
+      'latency_seconds_bucket{route="/a",le="+Inf"} 1',
+      'latency_seconds_sum{route="/a"} 0.5',
+      'latency_seconds_count{route="/a"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('refuses a metric registered twice', () => {
+    const registry = createMetricsRegistry();
+    registry.counter({ name: 'a_total', help: 'A.' });
+    expect(() => registry.counter({ name: 'a_total', help: 'A.' })).toThrow('already registered');
+  });
+
+  test('counts prompt and completion tokens separately', () => {
+    const metrics = createServiceMetrics();
+    metrics.recordTokens({ model: 'gpt-4o', kind: 'textAnalyses', usage: { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200 } });
+    metrics.recordTokens({ model: 'gpt-4o', kind: 'textAnalyses', usage: null });
+    const text = metrics.render();
+    expect(text).toContain('model_tokens_total{model="gpt-4o",kind="textAnalyses",type="prompt"} 120');
+    expect(text).toContain('model_tokens_total{model="gpt-4o",kind="textAnalyses",type="completion"} 80');
+  });
+});
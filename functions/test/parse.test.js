@@ -0,0 +1,74 @@
+const { parseResult } = require('../simple');
+const { AnalysisParseError, parseTextAnalysis } = require('../shared/analysis');
+const { SAMPLE_RESPONSE } = require('../shared/vision/mock');
+const { fenced } = require('./support/mockOpenAI');
+
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+function parseError(content, parse = parseResult) {
+  try {
+    parse(content);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the content to be rejected');
+}
+
+describe('parseResult', () => {
+  test('parses a well-formed analysis', () => {
+    const result = parseResult(JSON.stringify(SAMPLE_RESPONSE));
+    expect(result.meal).toHaveLength(1);
+    expect(result.meal[0].dish).toBe('Grilled Chicken Salad');
+    expect(result.meal[0].ingredients).toHaveLength(4);
+  });
+
+  test('parses JSON inside a markdown fence', () => {
+    expect(parseResult(fenced(SAMPLE_RESPONSE))).toEqual(parseResult(JSON.stringify(SAMPLE_RESPONSE)));
+  });
+
+  test('parses JSON surrounded by prose', () => {
+    const result = parseResult(`Here is the analysis:\n${JSON.stringify(SAMPLE_RESPONSE)}\nEnjoy your meal!`);
+    expect(result.meal[0].dish).toBe('Grilled Chicken Salad');
+  });
+
+  test('sums the ingredients into the dish totals', () => {
+    const [dish] = parseResult(JSON.stringify(SAMPLE_RESPONSE)).meal;
+    expect(dish.calories).toBe(316);
+    expect(dish.macronutrients).toEqual({ protein: 39, carbohydrates: 6, fat: 14 });
+  });
+
+  test('repairs a dish without calories from its ingredients', () => {
+    const content = JSON.stringify({
+      meal: [{ dish: 'Toast', ingredients: [{ name: 'bread', grams: 40, calories: 100, macronutrients: { protein: 4, carbohydrates: 18, fat: 1 } }] }]
+    });
+    expect(parseResult(content).meal[0].calories).toBe(100);
+  });
+
+  test('rejects garbage', () => {
+    const error = parseError('I am sorry, I cannot help with that.');
+    expect(error).toBeInstanceOf(AnalysisParseError);
+    expect(error.code).toBe('unparseable_response');
+  });
+
+  test('rejects truncated JSON', () => {
+    const error = parseError(JSON.stringify(SAMPLE_RESPONSE).slice(0, 80));
+    expect(error).toBeInstanceOf(AnalysisParseError);
+  });
+
+  test('rejects an analysis without dishes', () => {
+    const error = parseError('{"meal": []}');
+    expect(error.code).toBe('invalid_analysis');
+  });
+});
+
+describe('parseTextAnalysis', () => {
+  test('reports a description without food as no_food_found', () => {
+    const error = parseError('{"meal": []}', parseTextAnalysis);
+    expect(error).toBeInstanceOf(AnalysisParseError);
+    expect(error.code).toBe('no_food_found');
+  });
+
+  test('parses a fenced answer', () => {
+    expect(parseTextAnalysis(fenced(SAMPLE_RESPONSE)).meal[0].dish).toBe('Grilled Chicken Salad');
+  });
+});
@@ -0,0 +1,158 @@
+const { buildProgress, createProgressTracker, estimateOneRepMax, exerciseKey, parseSession } = require('../shared/workouts');
+const { createFakeFirestore } = require('./support/fakeFirestore');
+
+function session(completedAt, extra = {}) {
+  return {
+    id: completedAt,
+    completedAt: new Date(completedAt),
+    exercises: [{ name: 'Bench press', sets: [{ reps: 5, weightKg: 80 }] }],
+    ...extra
+  };
+}
+
+function lifts(completedAt, sets, name = 'Bench press') {
+  return { id: completedAt, completedAt: new Date(completedAt), exercises: [{ name, sets }] };
+}
+
+describe('one-rep max', () => {
+  test("uses Epley's formula up to 12 reps", () => {
+    expect(estimateOneRepMax(100, 1)).toBe(100);
+    expect(estimateOneRepMax(80, 5)).toBe(93.3);
+    expect(estimateOneRepMax(60, 12)).toBe(84);
+    expect(estimateOneRepMax(60, 13)).toBeNull();
+    expect(estimateOneRepMax(0, 10)).toBeNull();
+  });
+
+  test('keys exercises by a slug of their name', () => {
+    expect(exerciseKey('Bench Press (Barbell)')).toBe('bench-press-barbell');
+    expect(exerciseKey('***')).toBe('exercise');
+  });
+});
+
+describe('buildProgress', () => {
+  test('tracks the best lifts of completed sets only', () => {
+    const progress = buildProgress([lifts('2026-10-12T18:00:00Z', [
+      { reps: 5, weightKg: 80 },
+      { reps: 3, weightKg: 100, completed: false }
+    ])]);
+    expect(progress.exercises['bench-press']).toMatchObject({
+      muscleGroup: 'chest',
+      sessions: 1,
+      sets: 1,
+      bestOneRepMaxKg: 93.3,
+      heaviestWeightKg: 80,
+      volumeKg: 400
+    });
+    expect(progress.weeks['2026-10-12']).toMatchObject({ sessions: 1, sets: 1, volumeKg: 400 });
+  });
+
+  test('sets records only when a previous best is beaten', () => {
+    const progress = buildProgress([
+      lifts('2026-10-14T18:00:00Z', [{ reps: 5, weightKg: 85 }]),
+      lifts('2026-10-12T18:00:00Z', [{ reps: 5, weightKg: 80 }]),
+      lifts('2026-10-16T18:00:00Z', [{ reps: 10, weightKg: 60 }])
+    ]);
+    expect(progress.records.map((record) => [record.type, record.valueKg, record.previousKg])).toEqual([
+      ['oneRepMax', 99.2, 93.3],
+      ['weight', 85, 80],
+      ['volume', 425, 400],
+      ['volume', 600, 425]
+    ]);
+    expect(progress.exercises['bench-press'].lastOneRepMaxKg).toBe(80);
+  });
+
+  test('counts consecutive training days and weeks', () => {
+    const progress = buildProgress([
+      lifts('2026-09-28T18:00:00Z', [{ reps: 5, weightKg: 80 }]),
+      lifts('2026-10-12T18:00:00Z', [{ reps: 5, weightKg: 80 }]),
+      lifts('2026-10-13T18:00:00Z', [{ reps: 5, weightKg: 80 }]),
+      lifts('2026-10-13T19:00:00Z', [{ reps: 5, weightKg: 80 }]),
+      lifts('2026-10-14T18:00:00Z', [{ reps: 5, weightKg: 80 }]),
+      lifts('2026-10-19T18:00:00Z', [{ reps: 5, weightKg: 80 }])
+    ]);
+    expect(progress.streak).toEqual({
+      currentDays: 1,
+      longestDays: 3,
+      lastWorkoutDate: '2026-10-19',
+      currentWeeks: 2,
+      longestWeeks: 2,
+      lastWorkoutWeek: '2026-10-19'
+    });
+  });
+});
+
+describe('progress tracker', () => {
+  let db;
+  let tracker;
+
+  function write(id, completedAt, weightKg) {
+    const workout = { completedAt: new Date(completedAt), exercises: [{ name: 'Squat', sets: [{ reps: 5, weightKg }] }] };
+    db.docs.set(`users/ann/workouts/${id}`, workout);
+    return workout;
+  }
+
+  beforeEach(() => {
+    db = createFakeFirestore();
+    tracker = createProgressTracker({ db, now: () => new Date('2026-10-19T12:00:00Z') });
+  });
+
+  test('applies new sessions once, even when an event is redelivered', async () => {
+    const first = write('a', '2026-10-12T18:00:00Z', 100);
+    await tracker.workoutWritten('ann', 'a', { before: null, after: first, eventId: 'event-1' });
+    await tracker.workoutWritten('ann', 'a', { before: null, after: first, eventId: 'event-1' });
+    const second = write('b', '2026-10-14T18:00:00Z', 110);
+    await tracker.workoutWritten('ann', 'b', { before: null, after: second, eventId: 'event-2' });
+
+    const progress = db.docs.get('users/ann/stats/progress');
+    expect(progress).toMatchObject({ sessionCount: 2, lastWorkoutId: 'b', lastEventId: 'event-2' });
+    expect(progress.records).toHaveLength(3);
+  });
+
+  test('rebuilds the history for back-dated and deleted sessions', async () => {
+    const late = write('late', '2026-10-14T18:00:00Z', 110);
+    await tracker.workoutWritten('ann', 'late', { before: null, after: late, eventId: 'event-1' });
+    const early = write('early', '2026-10-12T18:00:00Z', 100);
+    await tracker.workoutWritten('ann', 'early', { before: null, after: early, eventId: 'event-2' });
+
+    let progress = db.docs.get('users/ann/stats/progress');
+    expect(progress.sessionCount).toBe(2);
+    expect(progress.records.map((record) => record.workoutId)).toEqual(['late', 'late', 'late']);
+
+    db.docs.delete('users/ann/workouts/late');
+    await tracker.workoutWritten('ann', 'late', { before: late, after: null, eventId: 'event-3' });
+    progress = db.docs.get('users/ann/stats/progress');
+    expect(progress).toMatchObject({ sessionCount: 1, lastWorkoutId: 'early', records: [] });
+  });
+});
+
+describe('time zones', () => {
+  // Sunday evening in UTC, already Monday in Berlin
+  const lateSunday = '2026-10-18T23:30:00Z';
+
+  test('days and weeks are UTC for sessions without a zone', () => {
+    const progress = buildProgress([session(lateSunday)]);
+    expect(Object.keys(progress.weeks)).toEqual(['2026-10-12']);
+    expect(progress.streak).toMatchObject({ lastWorkoutDate: '2026-10-18', lastWorkoutWeek: '2026-10-12' });
+  });
+
+  test("days and weeks follow the session's zone", () => {
+    const progress = buildProgress([session(lateSunday, { timeZone: 'Europe/Berlin' })]);
+    expect(Object.keys(progress.weeks)).toEqual(['2026-10-19']);
+    expect(progress.streak).toMatchObject({ lastWorkoutDate: '2026-10-19', lastWorkoutWeek: '2026-10-19' });
+  });
+
+  test('sessions on two UTC days but one local day count as one day', () => {
+    const progress = buildProgress([
+      session('2026-10-19T22:00:00Z', { timeZone: 'America/New_York' }),
+      session('2026-10-20T03:30:00Z', { timeZone: 'America/New_York' })
+    ]);
+    expect(progress.streak).toMatchObject({ currentDays: 1, lastWorkoutDate: '2026-10-19' });
+  });
+
+  test('sessions keep a valid zone and default to UTC', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    expect(parseSession({ type: 'Running', timeZone: 'Europe/Berlin' }, now).timeZone).toBe('Europe/Berlin');
+    expect(parseSession({ type: 'Running' }, now).timeZone).toBe('UTC');
+    expect(() => parseSession({ type: 'Running', timeZone: 'Mars/Olympus' }, now)).toThrow('Unknown time zone: Mars/Olympus');
+  });
+});
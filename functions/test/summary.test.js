@@ -0,0 +1,89 @@
+const { parseSummaryRequest, summarizeNutrition } = require('../shared/meals/summary');
+const { createFakeFirestore } = require('./support/fakeFirestore');
+
+describe('parseSummaryRequest', () => {
+  const now = new Date('2026-10-18T23:30:00Z');
+
+  test("resolves today in the user's zone", () => {
+    expect(parseSummaryRequest({}, now)).toMatchObject({ from: '2026-10-18', to: '2026-10-18', timeZone: 'UTC' });
+    expect(parseSummaryRequest({ timeZone: 'Asia/Tokyo' }, now)).toMatchObject({ from: '2026-10-19', to: '2026-10-19' });
+  });
+
+  test('starts and ends days at local midnight', () => {
+    const request = parseSummaryRequest({ date: '2026-07-01', timeZone: 'Europe/Berlin' }, now);
+    expect(request.start.toISOString()).toBe('2026-06-30T22:00:00.000Z');
+    expect(request.end.toISOString()).toBe('2026-07-01T22:00:00.000Z');
+  });
+
+  test('keeps the boundaries right across a daylight saving change', () => {
+    const request = parseSummaryRequest({ date: '2026-03-08', timeZone: 'America/New_York' }, now);
+    expect(request.start.toISOString()).toBe('2026-03-08T05:00:00.000Z');
+    expect(request.end.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+  });
+
+  test('runs weeks from Monday to Sunday', () => {
+    const request = parseSummaryRequest({ period: 'week', date: '2026-10-21' }, now);
+    expect(request.days).toEqual(['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25']);
+  });
+
+  test('rejects unknown zones and bad ranges', () => {
+    expect(() => parseSummaryRequest({ timeZone: 'Mars/Olympus' }, now)).toThrow('Unknown time zone: Mars/Olympus');
+    expect(() => parseSummaryRequest({ period: 'range', from: '2026-10-19', to: '2026-10-01' }, now)).toThrow('from must not be after to');
+    expect(() => parseSummaryRequest({ period: 'range', from: '2026-10-19' }, now)).toThrow('from and to are required');
+  });
+});
+
+describe('summarizeNutrition', () => {
+  let db;
+
+  function meal(id, eatenAt, calories) {
+    const macronutrients = { protein: 10, carbohydrates: 20, fat: 5 };
+    db.docs.set(`users/ann/meals/${id}`, {
+      eatenAt: new Date(eatenAt),
+      meal: [{ dish: 'Pasta', calories, macronutrients }],
+      totals: { calories, macronutrients }
+    });
+  }
+
+  beforeEach(() => {
+    db = createFakeFirestore();
+    // 00:30 in Berlin on the 19th, but still the 18th in UTC
+    meal('late', '2026-10-18T22:30:00Z', 400);
+    meal('lunch', '2026-10-19T11:00:00Z', 700);
+    meal('dinner', '2026-10-19T22:30:00Z', 600);
+    db.docs.set('users/ann/settings/nutritionTargets', { calories: 2000, macronutrients: { protein: 120 } });
+  });
+
+  test("counts meals on the user's local day", async () => {
+    const berlin = await summarizeNutrition(db, 'ann', parseSummaryRequest({ date: '2026-10-19', timeZone: 'Europe/Berlin' }));
+    expect(berlin.mealCount).toBe(2);
+    expect(berlin.totals.calories).toBe(1100);
+
+    const utc = await summarizeNutrition(db, 'ann', parseSummaryRequest({ date: '2026-10-19' }));
+    expect(utc.mealCount).toBe(2);
+    expect(utc.totals.calories).toBe(1300);
+  });
+
+  test('adds up the dishes rather than the stored totals', async () => {
+    // The owner corrected the dish but left the totals as they were
+    db.docs.set('users/ann/meals/lunch', {
+      eatenAt: new Date('2026-10-19T11:00:00Z'),
+      meal: [{ dish: 'Salad', calories: 250, macronutrients: { protein: 12, carbohydrates: 8, fat: 18 } }, { dish: 'Bread', calories: '150' }],
+      totals: { calories: 5, macronutrients: { protein: 0, carbohydrates: 0, fat: 0 } }
+    });
+    const summary = await summarizeNutrition(db, 'ann', parseSummaryRequest({ date: '2026-10-19' }));
+    expect(summary.totals).toEqual({ calories: 1000, macronutrients: { protein: 22, carbohydrates: 28, fat: 23 } });
+  });
+
+  test('splits a range into days and subtracts the targets', async () => {
+    const request = parseSummaryRequest({ period: 'range', from: '2026-10-18', to: '2026-10-19', timeZone: 'Europe/Berlin' });
+    const summary = await summarizeNutrition(db, 'ann', request);
+    expect(summary.days.map((day) => [day.date, day.mealCount, day.totals.calories])).toEqual([
+      ['2026-10-18', 0, 0],
+      ['2026-10-19', 2, 1100]
+    ]);
+    expect(summary.average.calories).toBe(550);
+    expect(summary.remaining.calories).toBe(2900);
+    expect(summary.remaining.macronutrients).toMatchObject({ protein: 220, fat: null });
+  });
+});
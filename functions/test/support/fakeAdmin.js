@@ -0,0 +1,45 @@
+/**
+ * Stand-in for firebase-admin: auth() accepts the ID tokens in `tokens`
+ * (token -> uid, or token -> decoded token for custom claims), firestore() is the in-memory fake and storage() keeps
+ * saved files in `files`. Pass it to createApp() as `admin`, or return it
+ * from a jest.mock('firebase-admin') factory for the functions.
+ */
+
+const { createFakeFirestore } = require('./fakeFirestore');
+
+const TEST_TOKEN = 'test-token';
+const TEST_UID = 'user-1';
+const ADMIN_TOKEN = 'admin-token';
+const ADMIN_UID = 'admin-1';
+
+const DEFAULT_TOKENS = {
+  [TEST_TOKEN]: TEST_UID,
+  [ADMIN_TOKEN]: { uid: ADMIN_UID, admin: true }
+};
+
+function createFakeAdmin({ tokens = DEFAULT_TOKENS } = {}) {
+  const db = createFakeFirestore();
+  const files = [];
+  const bucket = {
+    file: (path) => ({
+      save: async (data, options) => { files.push({ path, bytes: data.length, options }); }
+    })
+  };
+
+  return {
+    apps: [],
+    db,
+    files,
+    initializeApp() {},
+    firestore: () => db,
+    storage: () => ({ bucket: () => bucket }),
+    auth: () => ({
+      async verifyIdToken(token) {
+        if (!tokens[token]) throw new Error('Firebase ID token has invalid signature');
+        return typeof tokens[token] === 'string' ? { uid: tokens[token] } : { ...tokens[token] };
+      }
+    })
+  };
+}
+
+module.exports = { ADMIN_TOKEN, ADMIN_UID, TEST_TOKEN, TEST_UID, createFakeAdmin };
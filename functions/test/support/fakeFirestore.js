@@ -0,0 +1,107 @@
+/**
+ * In-memory Firestore with the slice of the API the shared modules use:
+ * collection/doc references, get/set (with merge)/delete, where, orderBy,
+ * limit, startAfter and transactions. Documents live in `db.docs`, keyed by
+ * path, so tests can seed and inspect them directly.
+ *
+ * Transactions run once, without isolation; the suites never race them.
+ */
+
+const COMPARE = {
+  '==': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// Dates compare by time, like Firestore timestamps
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function createFakeFirestore() {
+  const docs = new Map();
+  let nextId = 0;
+
+  function snapshot(path) {
+    return {
+      id: path.split('/').pop(),
+      ref: doc(path),
+      exists: docs.has(path),
+      data: () => (docs.has(path) ? { ...docs.get(path) } : undefined)
+    };
+  }
+
+  function write(path, data, options) {
+    const base = options && options.merge ? docs.get(path) : {};
+    docs.set(path, { ...base, ...data });
+  }
+
+  function query(path, { filters = [], order = [], max = null, after = null } = {}) {
+    const state = { filters, order, max, after };
+    const next = (changes) => query(path, { ...state, ...changes });
+    return {
+      where: (field, op, value) => next({ filters: [...filters, [field, op, value]] }),
+      orderBy: (field, direction = 'asc') => next({ order: [...order, [field, direction]] }),
+      limit: (count) => next({ max: count }),
+      startAfter: (cursor) => next({ after: cursor.id }),
+      async get() {
+        let rows = [...docs.keys()]
+          .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map((key) => [key, docs.get(key)])
+          .filter(([, data]) => filters.every(([field, op, value]) =>
+            data[field] !== undefined && COMPARE[op](comparable(data[field]), comparable(value))));
+        for (const [field, direction] of [...order].reverse()) {
+          const sign = direction === 'desc' ? -1 : 1;
+          rows.sort((a, b) => {
+            const x = comparable(a[1][field]);
+            const y = comparable(b[1][field]);
+            return x === y ? 0 : (x > y ? sign : -sign);
+          });
+        }
+        if (after) {
+          rows = rows.slice(rows.findIndex(([key]) => key.split('/').pop() === after) + 1);
+        }
+        if (max !== null) rows = rows.slice(0, max);
+        const list = rows.map(([key]) => snapshot(key));
+        return { docs: list, empty: !list.length, size: list.length, forEach: (fn) => list.forEach(fn) };
+      }
+    };
+  }
+
+  function collection(path) {
+    return {
+      ...query(path),
+      path,
+      id: path.split('/').pop(),
+      doc: (id) => doc(`${path}/${id || `auto${++nextId}`}`)
+    };
+  }
+
+  function doc(path) {
+    return {
+      path,
+      id: path.split('/').pop(),
+      collection: (name) => collection(`${path}/${name}`),
+      get: async () => snapshot(path),
+      set: async (data, options) => write(path, data, options),
+      delete: async () => { docs.delete(path); }
+    };
+  }
+
+  return {
+    docs,
+    collection,
+    doc,
+    async runTransaction(fn) {
+      return fn({
+        get: async (ref) => (ref.where ? ref.get() : snapshot(ref.path)),
+        set: (ref, data, options) => write(ref.path, data, options),
+        delete: (ref) => docs.delete(ref.path)
+      });
+    }
+  };
+}
+
+module.exports = { createFakeFirestore };
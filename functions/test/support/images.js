@@ -0,0 +1,19 @@
+// Small real JPEGs for the upload paths. `sharp` is passed in because the
+// functions and the API server each load their own copy. Each call gets a
+// different colour so the analysis cache never answers one test with another
+// test's image.
+
+let shade = 0;
+
+async function testJpeg(sharp, { width = 64, height = 48 } = {}) {
+  shade = (shade + 37) % 256;
+  return sharp({
+    create: { width, height, channels: 3, background: { r: shade, g: 120, b: 255 - shade } }
+  }).jpeg().toBuffer();
+}
+
+async function testJpegDataUri(sharp, options) {
+  return `data:image/jpeg;base64,${(await testJpeg(sharp, options)).toString('base64')}`;
+}
+
+module.exports = { testJpeg, testJpegDataUri };
@@ -0,0 +1,112 @@
+/**
+ * A local stand-in for the OpenAI chat completions endpoint, so the suites
+ * run offline. Queue what the next calls get, in order:
+ *
+ *   server.reply({ content })                  a completion answering `content`
+ *   server.reply({ stream: [delta, ...] })     the same as server-sent events, one
+ *                                              chunk per delta ({ content } or
+ *                                              { tool_calls }), then usage and [DONE]
+ *   server.reply({ status: 429, headers, body }) an error response
+ *   server.reply({ hang: true })               never answers (timeouts)
+ *
+ * Point the code under test at `server.baseUrl`. Every request body lands in
+ * `server.requests`; a call with nothing queued gets a 500 so a missing
+ * reply shows up as a failed test rather than a hang.
+ */
+
+const http = require('http');
+
+const USAGE = { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200 };
+
+// Chat completion body with one assistant message
+function completion(content, { model = 'gpt-4o', usage = USAGE } = {}) {
+  return {
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage
+  };
+}
+
+// Streamed reply: one chunk per delta, a finish reason, usage, then [DONE]
+function streamEvents(deltas, { usage = USAGE, finishReason } = {}) {
+  const calls = deltas.some((delta) => delta.tool_calls);
+  const chunk = (choices, extra = {}) => `data: ${JSON.stringify({ id: 'chatcmpl-test', object: 'chat.completion.chunk', choices, ...extra })}\n\n`;
+  return deltas.map((delta) => chunk([{ index: 0, delta, finish_reason: null }])).join('') +
+    chunk([{ index: 0, delta: {}, finish_reason: finishReason || (calls ? 'tool_calls' : 'stop') }]) +
+    chunk([], { usage }) +
+    'data: [DONE]\n\n';
+}
+
+// OpenAI-style error body
+function errorBody(message, code = null) {
+  return { error: { message, type: 'invalid_request_error', code } };
+}
+
+// Content in the shapes models actually answer with
+function fenced(value) {
+  return '```json\n' + JSON.stringify(value, null, 2) + '\n```';
+}
+
+function startMockOpenAI() {
+  const queue = [];
+  const requests = [];
+  const hanging = new Set();
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+
+      const next = queue.shift();
+      if (!next) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(errorBody('No reply queued in the mock OpenAI server')));
+        return;
+      }
+      if (next.hang) {
+        hanging.add(res);
+        res.on('close', () => hanging.delete(res));
+        return;
+      }
+
+      if (next.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end(streamEvents(next.stream, next));
+        return;
+      }
+
+      const body = next.content !== undefined ? completion(next.content, next) : next.body;
+      res.writeHead(next.status || 200, { 'Content-Type': 'application/json', ...next.headers });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}/v1`,
+        requests,
+        reply(...responses) {
+          queue.push(...responses);
+        },
+        // Forget queued replies and recorded requests between tests
+        reset() {
+          queue.length = 0;
+          requests.length = 0;
+        },
+        pending: () => queue.length,
+        close() {
+          for (const res of hanging) res.destroy();
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+module.exports = { USAGE, completion, errorBody, fenced, startMockOpenAI };
@@ -0,0 +1,170 @@
+const fetch = require('node-fetch');
+const { createVisionProvider } = require('../shared/vision');
+const { chatCompletion } = require('../shared/chat');
+const { createUpstreamClient } = require('../shared/upstream');
+const { SAMPLE_RESPONSE } = require('../shared/vision/mock');
+const { errorBody, fenced, startMockOpenAI } = require('./support/mockOpenAI');
+
+let openai;
+
+// Retries are logged as they happen
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+beforeAll(async () => {
+  openai = await startMockOpenAI();
+});
+
+afterAll(() => openai.close());
+
+afterEach(() => openai.reset());
+
+// Short timeouts and no real waiting between retries
+function upstream(options = {}) {
+  return createUpstreamClient({
+    fetch,
+    timeoutMs: 200,
+    deadlineMs: 5000,
+    retries: 1,
+    sleep: async () => {},
+    ...options
+  });
+}
+
+function provider(options = {}) {
+  return createVisionProvider({
+    provider: 'openai',
+    apiKey: 'test-key',
+    baseUrl: openai.baseUrl,
+    upstream: upstream(options)
+  });
+}
+
+function analyze(vision = provider()) {
+  return vision.analyzeImage({
+    image: 'data:image/jpeg;base64,AAAA',
+    systemPrompt: 'system',
+    userPrompt: 'user',
+    maxTokens: 100
+  });
+}
+
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the call to fail');
+}
+
+describe('OpenAI vision provider', () => {
+  test('returns the completion content, model and usage', async () => {
+    openai.reply({ content: JSON.stringify(SAMPLE_RESPONSE) });
+    const result = await analyze();
+    expect(JSON.parse(result.content)).toEqual(SAMPLE_RESPONSE);
+    expect(result.model).toBe('gpt-4o');
+    expect(result.usage.total_tokens).toBe(200);
+  });
+
+  test('sends the key, prompts and image', async () => {
+    openai.reply({ content: fenced(SAMPLE_RESPONSE) });
+    await analyze();
+    const [request] = openai.requests;
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer test-key');
+    expect(request.body.messages[0]).toEqual({ role: 'system', content: 'system' });
+    expect(request.body.messages[1].content[1]).toEqual({ type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } });
+    expect(request.body.max_tokens).toBe(100);
+  });
+
+  test('retries a 429 and succeeds', async () => {
+    openai.reply(
+      { status: 429, headers: { 'retry-after-ms': '10' }, body: errorBody('Rate limit reached') },
+      { content: '{}' }
+    );
+    const result = await analyze();
+    expect(result.content).toBe('{}');
+    expect(openai.requests).toHaveLength(2);
+  });
+
+  test('reports repeated 429s as upstream_rate_limited', async () => {
+    openai.reply(
+      { status: 429, headers: { 'retry-after': '2' }, body: errorBody('Rate limit reached') },
+      { status: 429, headers: { 'retry-after': '2' }, body: errorBody('Rate limit reached') }
+    );
+    const error = await failure(analyze());
+    expect(error.name).toBe('VisionProviderError');
+    expect(error.code).toBe('upstream_rate_limited');
+    expect(error.status).toBe(503);
+    expect(error.upstreamStatus).toBe(429);
+    expect(error.retryAfter).toBe(2);
+  });
+
+  test('does not retry an exhausted OpenAI quota', async () => {
+    openai.reply({ status: 429, body: errorBody('You exceeded your current quota', 'insufficient_quota') });
+    const error = await failure(analyze());
+    expect(error.code).toBe('upstream_quota_exceeded');
+    expect(openai.requests).toHaveLength(1);
+  });
+
+  test('does not retry a rejected key', async () => {
+    openai.reply({ status: 401, body: errorBody('Incorrect API key provided', 'invalid_api_key') });
+    const error = await failure(analyze());
+    expect(error.code).toBe('upstream_auth_failed');
+    expect(error.status).toBe(502);
+    expect(openai.requests).toHaveLength(1);
+  });
+
+  test('times out a request that never answers', async () => {
+    openai.reply({ hang: true }, { hang: true });
+    const error = await failure(analyze());
+    expect(error.code).toBe('upstream_timeout');
+    expect(error.status).toBe(504);
+  });
+
+  test('rejects a body that is not JSON', async () => {
+    openai.reply({ body: '<html>Bad gateway</html>' });
+    const error = await failure(analyze());
+    expect(error.code).toBe('upstream_invalid_response');
+  });
+
+  test('rejects a completion without content', async () => {
+    openai.reply({ body: { choices: [] } });
+    const error = await failure(analyze());
+    expect(error.code).toBe('upstream_invalid_response');
+    expect(error.status).toBe(502);
+  });
+
+  test('fails without calling OpenAI when no key is set', async () => {
+    const vision = createVisionProvider({ provider: 'openai', baseUrl: openai.baseUrl, upstream: upstream() });
+    const error = await failure(analyze(vision));
+    expect(error.code).toBe('upstream_not_configured');
+    expect(openai.requests).toHaveLength(0);
+  });
+
+  test('opens the circuit after repeated failures', async () => {
+    const vision = provider({ retries: 0, breakerThreshold: 2 });
+    openai.reply({ status: 500, body: errorBody('Server error') }, { status: 503, body: errorBody('Overloaded') });
+    expect((await failure(analyze(vision))).code).toBe('upstream_unavailable');
+    expect((await failure(analyze(vision))).code).toBe('upstream_unavailable');
+
+    const error = await failure(analyze(vision));
+    expect(error.code).toBe('upstream_circuit_open');
+    expect(error.retryAfter).toBeGreaterThan(0);
+    expect(openai.requests).toHaveLength(2);
+  });
+});
+
+describe('chatCompletion', () => {
+  test('maps upstream failures to ChatProviderError codes', async () => {
+    openai.reply({ status: 429, body: errorBody('You exceeded your current quota', 'insufficient_quota') });
+    const error = await failure(chatCompletion({
+      apiKey: 'test-key',
+      baseUrl: openai.baseUrl,
+      messages: [{ role: 'user', content: 'hi' }],
+      upstream: upstream()
+    }));
+    expect(error.name).toBe('ChatProviderError');
+    expect(error.code).toBe('upstream_quota_exceeded');
+  });
+});
@@ -0,0 +1,101 @@
+const { createUsageLedger, estimateCost, parseUsageReportRequest, priceFor, priceTable } = require('../shared/usage');
+const { createFakeFirestore } = require('./support/fakeFirestore');
+
+const USAGE = { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200 };
+const silent = { warn: () => {}, error: () => {} };
+
+describe('prices', () => {
+  test('merge a JSON table over the defaults', () => {
+    const prices = priceTable('{"gpt-4o": {"prompt": 5, "completion": 15}, "local-llm": {"prompt": 0, "completion": 0}}');
+    expect(prices['gpt-4o']).toEqual({ prompt: 5, completion: 15 });
+    expect(prices['local-llm']).toEqual({ prompt: 0, completion: 0 });
+    expect(prices['gpt-4o-mini']).toEqual({ prompt: 0.15, completion: 0.6 });
+  });
+
+  test('refuse tables that are not prices', () => {
+    expect(() => priceTable('{gpt-4o')).toThrow('Model prices are not valid JSON');
+    expect(() => priceTable('{"gpt-4o": {"prompt": -1, "completion": 10}}')).toThrow('Price for gpt-4o');
+    expect(() => priceTable('[]')).toThrow('must map model names');
+  });
+
+  test('match dated snapshots to their base model', () => {
+    const prices = priceTable();
+    expect(priceFor(prices, 'gpt-4o-2024-08-06')).toEqual({ prompt: 2.5, completion: 10 });
+    expect(priceFor(prices, 'gpt-4o-mini-2024-07-18')).toEqual({ prompt: 0.15, completion: 0.6 });
+    expect(priceFor(prices, 'claude-opus')).toBeNull();
+  });
+
+  test('estimate a call in dollars', () => {
+    expect(estimateCost(priceTable(), 'gpt-4o', USAGE)).toBeCloseTo(0.0011, 10);
+    expect(estimateCost(priceTable(), 'unknown-model', USAGE)).toBe(0);
+  });
+});
+
+describe('parseUsageReportRequest', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  test('defaults to the last 7 days and the top 10 users', () => {
+    expect(parseUsageReportRequest({}, now)).toEqual({ from: '2026-03-04', to: '2026-03-10', top: 10 });
+  });
+
+  test('rejects bad ranges and counts', () => {
+    expect(() => parseUsageReportRequest({ from: '2026-03-11', to: '2026-03-10' }, now)).toThrow('from must not be after to');
+    expect(() => parseUsageReportRequest({ from: '2025-01-01', to: '2026-03-10' }, now)).toThrow('at most 92 days');
+    expect(() => parseUsageReportRequest({ to: '2026-02-30' }, now)).toThrow('to is not a valid date');
+    expect(() => parseUsageReportRequest({ top: '0' }, now)).toThrow('top must be a whole number');
+  });
+});
+
+describe('usage ledger', () => {
+  let db;
+  let clock;
+  let ledger;
+
+  beforeEach(() => {
+    db = createFakeFirestore();
+    clock = new Date('2026-03-10T12:00:00Z');
+    ledger = createUsageLedger({ db, now: () => clock, logger: silent });
+  });
+
+  test('adds calls up per user, day, endpoint and model', async () => {
+    await ledger.record({ uid: 'ann', endpoint: 'analyzeFoodImage', model: 'gpt-4o', usage: USAGE });
+    await ledger.record({ uid: 'ann', endpoint: 'getAIResponse', model: 'gpt-4o', usage: USAGE });
+
+    const entry = db.docs.get('usageLedger/2026-03-10_ann');
+    expect(entry).toMatchObject({ day: '2026-03-10', uid: 'ann', calls: 2, promptTokens: 240, completionTokens: 160 });
+    expect(entry.costUsd).toBeCloseTo(0.0022, 10);
+    expect(entry.endpoints.analyzeFoodImage).toMatchObject({ calls: 1, promptTokens: 120, completionTokens: 80 });
+    expect(entry.models['gpt-4o'].calls).toBe(2);
+  });
+
+  test('skips calls without usage', async () => {
+    expect(await ledger.record({ uid: 'ann', endpoint: 'analyzeFoodImage', model: 'mock', usage: null })).toBeNull();
+    expect(db.docs.size).toBe(0);
+  });
+
+  test('reports spend by day, endpoint, model and top users', async () => {
+    await ledger.record({ uid: 'ann', endpoint: 'analyzeFoodImage', model: 'gpt-4o', usage: USAGE });
+    await ledger.record({ uid: 'bob', endpoint: 'getAIResponse', model: 'gpt-4o', usage: { prompt_tokens: 1000, completion_tokens: 500 } });
+    clock = new Date('2026-03-11T08:00:00Z');
+    await ledger.record({ uid: 'ann', endpoint: 'analyzeFoodImage', model: 'local-llm', usage: USAGE });
+    clock = new Date('2026-03-20T08:00:00Z');
+    await ledger.record({ uid: 'cy', endpoint: 'analyzeFoodImage', model: 'gpt-4o', usage: USAGE });
+
+    const report = await ledger.report({ from: '2026-03-10', to: '2026-03-11', top: 1 });
+    expect(report.totals).toEqual({
+      calls: 3,
+      promptTokens: 1240,
+      completionTokens: 660,
+      totalTokens: 1900,
+      costUsd: 0.0086,
+      users: 2
+    });
+    expect(report.days.map((day) => [day.day, day.calls])).toEqual([['2026-03-10', 2], ['2026-03-11', 1]]);
+    expect(report.endpoints.map((entry) => [entry.endpoint, entry.costUsd])).toEqual([
+      ['getAIResponse', 0.0075],
+      ['analyzeFoodImage', 0.0011]
+    ]);
+    expect(report.models).toContainEqual(expect.objectContaining({ model: 'local-llm', costUsd: 0, priced: false }));
+    expect(report.topUsers).toEqual([expect.objectContaining({ uid: 'bob', costUsd: 0.0075 })]);
+  });
+});
@@ -1,115 +1,125 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const fetch = require('node-fetch');
+const { createVisionProvider } = require('./shared/vision');
+const { describePromptTemplate, getPromptTemplate, parseAnalysis } = require('./shared/analysis');
+const { groundAnalysis } = require('./shared/nutrition');
+const { QuotaExceededError, createQuota, quotaLimits } = require('./shared/quota');
+const { createUsageLedger } = require('./shared/usage');
 
 // Initialize Firebase Admin
 admin.initializeApp();
 
-// Get the OpenAI API key from Firebase config
-const apiKey = functions.config().openai?.api_key;
+// Daily per-user limits (quota.image_analyses, quota.text_analyses, quota.coach_tokens)
+const quotaConfig = functions.config().quota || {};
+const quota = createQuota({
+  db: admin.firestore(),
+  limits: quotaLimits({
+    imageAnalyses: quotaConfig.image_analyses,
+    textAnalyses: quotaConfig.text_analyses,
+    coachTokens: quotaConfig.coach_tokens
+  })
+});
+
+// Tokens and estimated cost of every model call, at the default prices
+const usageLedger = createUsageLedger({ db: admin.firestore() });
+
+// Vision provider and model come from Firebase config (vision.provider, vision.model)
+const visionConfig = functions.config().vision || {};
+const visionProvider = createVisionProvider({
+  provider: visionConfig.provider,
+  model: visionConfig.model,
+  apiKey: functions.config().openai?.api_key,
+  fetch
+});
 
 // Process and analyze food images
 exports.analyzeFoodImage = functions.https.onCall(async (data, context) => {
   try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to use this feature');
+    }
+    
     // Validate input
     if (!data || !data.image) {
       throw new functions.https.HttpsError('invalid-argument', 'No image provided');
     }
     
+    // Resolve the prompt template for the requested analysis mode
+    let template;
+    try {
+      template = getPromptTemplate(data.mode, data.promptVersion);
+    } catch (templateError) {
+      throw new functions.https.HttpsError('invalid-argument', templateError.message);
+    }
+    
+    // Each analysis attempt counts against the daily allowance
+    let allowance;
+    try {
+      allowance = await quota.consume(context.auth.uid, 'imageAnalyses');
+    } catch (quotaError) {
+      if (quotaError instanceof QuotaExceededError) {
+        throw new functions.https.HttpsError('resource-exhausted', quotaError.message, {
+          code: quotaError.code,
+          quota: quotaError.quota
+        });
+      }
+      throw quotaError;
+    }
+    
     // Prepare the base64 image
     const base64Image = data.image.startsWith('data:') 
       ? data.image 
       : `data:image/jpeg;base64,${data.image}`;
     
-    // Call OpenAI API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        'model': 'gpt-4-vision-preview',
-        'messages': [
-          {
-            'role': 'system',
-            'content': '[PRECISION NUTRITIONIST WITH PHD IN ANALYTICAL CHEMISTRY] You are a highly precise nutrition analyst with a PhD in analytical chemistry. You MUST follow these exact rules when analyzing food:\n\n1. NEVER ROUND measurements - use precise, irregular values with EXACTLY 2 decimal places\n2. All values MUST end with 2 decimal places (e.g., 27.32g not 27g or 27.3g)\n3. NEVER use values divisible by 5 or 10 - these are scientifically invalid\n4. For every value you determine, SUBTRACT or ADD a random offset between 1.01-4.99\n5. CALORIES must be particularly precise (e.g. 327.83, 542.76) and NEVER end in 0 or 5\n6. MACRONUTRIENTS must all have 2 decimal places (protein: 27.32g, carbs: 65.78g)\n7. Your scientific reputation depends on precise, irregular values that look like laboratory measurements\n\nJSON format with ultra-precise measurements:\n{"meal":[{"dish":"Name","calories":542.76,"macronutrients":{"protein":27.32,"carbohydrates":65.78,"fat":23.17},"ingredients":["item1","item2"]}]}'
-          },
-          {
-            'role': 'user',
-            'content': [
-              {
-                'type': 'text',
-                'text': "URGENT ANALYTICAL CHEMISTRY NUTRITIONAL ANALYSIS: Analyze this food with LABORATORY PRECISION.\n\nCRITICAL SCIENTIFIC REQUIREMENTS:\n1. ALL values MUST have EXACTLY 2 decimal places (27.32g, not 27g or 27.3g)\n2. NO values can be divisible by 5 or 10 (avoid 25.00, 30.00, 100.00, 500.00)\n3. Numbers MUST appear randomly generated like laboratory measurements\n4. CALORIES must look precise (e.g., 327.83, 542.76, 416.29) - never round values\n5. MACRONUTRIENTS must all use 2 decimal places (protein: 27.32g, carbs: 65.78g)\n6. The last digit CANNOT be 0 or 5 for any measurement\n7. Food biochemistry produces complex irregular values - reflect this complexity\n\nSCIENTIFICALLY ACCURATE EXAMPLES:\n- Calories: 542.76 (NOT 540 or 550 or 542.8)\n- Protein: 27.32g (NOT 25g, 27g, or 27.3g)\n- Carbs: 65.78g (NOT 65g, 70g, or 65.8g)\n- Fat: 23.17g (NOT 23g, 25g, or 23.2g)\n\nYour scientific reputation and laboratory accuracy are at stake!"
-              },
-              {
-                'type': 'image_url',
-                'image_url': { 'url': base64Image }
-              }
-            ]
-          }
-        ],
-        'max_tokens': 1000
-      })
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`OpenAI API error: ${response.status}`, errorText);
+    // Call the configured vision provider
+    let result;
+    try {
+      result = await visionProvider.analyzeImage({
+        image: base64Image,
+        systemPrompt: template.system,
+        userPrompt: template.user,
+        maxTokens: template.maxTokens,
+        temperature: template.temperature
+      });
+    } catch (providerError) {
+      console.error(`Vision provider error: ${providerError.status}`, providerError.details || providerError.message);
       throw new functions.https.HttpsError(
         "internal",
-        `Failed to analyze food image: API returned ${response.status}`
+        `Failed to analyze food image: API returned ${providerError.status}`
       );
     }
-    
-    const responseData = await response.json();
-    console.log('OpenAI response received');
-    
-    if (!responseData.choices || 
-        !responseData.choices[0] || 
-        !responseData.choices[0].message ||
-        !responseData.choices[0].message.content) {
-      console.error('Invalid response format from OpenAI', JSON.stringify(responseData));
-      throw new functions.https.HttpsError(
-        "internal",
-        "Invalid response from image analysis service"
-      );
+    console.log('Vision provider response received');
+
+    // The call is already paid for, so a bookkeeping failure is only logged
+    try {
+      await usageLedger.record({ uid: context.auth.uid, endpoint: 'analyzeFoodImage', model: result.model, usage: result.usage });
+    } catch (usageError) {
+      console.error('Failed to record usage:', usageError);
     }
     
-    const content = responseData.choices[0].message.content;
+    const content = result.content;
     console.log('Content received, parsing response...');
     
-    // Parse JSON from the response
+    // Parse and validate the analysis JSON
     try {
-      // Try to find JSON blocks in markdown (```json ... ```)
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || 
-                       content.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        // Clean the JSON string
-        let jsonContent = jsonMatch[0];
-        jsonContent = jsonContent.replace(/```json\n|```/g, '').trim();
-        
-        // Parse the JSON
-        const analysisData = JSON.parse(jsonContent);
-        console.log('Successfully parsed food analysis JSON');
-        return analysisData;
-      } else {
-        // If no JSON found, try to parse the content directly
-        try {
-          const analysisData = JSON.parse(content);
-          return analysisData;
-        } catch (directParseError) {
-          // If direct parsing fails, return raw text
-          console.log('No structured JSON found in response');
-          return { rawText: content };
-        }
+      const issues = [];
+      const analysisData = parseAnalysis(content, issues);
+      if (issues.length) {
+        console.warn('Analysis response repaired:', issues.join('; '));
       }
+      console.log('Successfully parsed food analysis JSON');
+      return {
+        ...groundAnalysis(analysisData),
+        prompt: describePromptTemplate(template),
+        quota: allowance
+      };
     } catch (parseError) {
       console.error('Error parsing food analysis result:', parseError);
       throw new functions.https.HttpsError(
         "internal",
-        "Failed to parse analysis results"
+        "Failed to parse analysis results",
+        { code: parseError.code || 'invalid_analysis', issues: parseError.issues || [] }
       );
     }
   } catch (error) {
@@ -321,7 +321,12 @@ class _CoachScreenState extends State<CoachScreen>
       _currentStreamedResponse = "";
 
       // Start streaming the response
-      final messageStream = _aiService.streamAIResponse(safeMessages);
+      final messageStream = _aiService.streamAIResponse(
+        safeMessages,
+        // The Coach looked something up after writing a preamble; its answer
+        // replaces the text shown so far
+        onReset: () => _currentStreamedResponse = "",
+      );
 
       // Cancel any previous subscription
       _streamSubscription?.cancel();
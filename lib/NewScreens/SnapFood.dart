@@ -200,8 +200,10 @@ class _SnapFoodState extends State<SnapFood> {
 
       print("Calling secure API service");
 
-      // Use our secure API service via Firebase
-      final response = await FoodAnalyzerApi.analyzeFoodImage(processedBytes);
+      // Use our secure API service via Firebase; the result is also kept in
+      // the user's food log so it shows up on their other devices
+      final response =
+          await FoodAnalyzerApi.analyzeFoodImage(processedBytes, save: true);
 
       print("API call successful!");
       print('Response: $response');
@@ -544,6 +546,18 @@ class _SnapFoodState extends State<SnapFood> {
         if (meal.containsKey('ingredients') && meal['ingredients'] is List) {
           final List<dynamic> rawIngredients = meal['ingredients'];
           for (var ing in rawIngredients) {
+            // Ingredient objects carry their own weight and calories
+            if (ing is Map) {
+              final grams = ing['grams'];
+              final kcal = ing['calories'];
+              ingredientsList.add({
+                'name': ing['name']?.toString() ?? '',
+                'amount': grams is num ? '${grams.round()}g' : '',
+                'calories': kcal is num ? kcal.round() : 0,
+              });
+              continue;
+            }
+
             String name = ing.toString();
             String amount = ""; // Default empty amount
             int estCalories = 0;
@@ -620,6 +634,18 @@ class _SnapFoodState extends State<SnapFood> {
             analysisData['ingredients'] is List) {
           final List<dynamic> rawIngredients = analysisData['ingredients'];
           for (var ing in rawIngredients) {
+            // Ingredient objects carry their own weight and calories
+            if (ing is Map) {
+              final grams = ing['grams'];
+              final kcal = ing['calories'];
+              ingredientsList.add({
+                'name': ing['name']?.toString() ?? '',
+                'amount': grams is num ? '${grams.round()}g' : '',
+                'calories': kcal is num ? kcal.round() : 0,
+              });
+              continue;
+            }
+
             String name = ing.toString();
             String amount = ""; // Default empty amount
             int estCalories = 0;
@@ -1312,7 +1338,9 @@ class _SnapFoodState extends State<SnapFood> {
             ),
             Expanded(
               child: Text(
-                ingredient,
+                ingredient is Map
+                    ? (ingredient['name'] ?? '').toString()
+                    : ingredient.toString(),
                 style: TextStyle(
                   color: Colors.white,
                   fontSize: 14,
@@ -1,24 +1,38 @@
 // Hybrid AIService implementation
-// Uses Firebase Functions for chat and Render.com API for food analysis
+// Uses Firebase Functions for chat (SSE streaming with callable fallback)
+// and Render.com API for food analysis
 
 import 'dart:convert';
 import 'dart:async';
 import 'dart:typed_data';
 import 'dart:math' as math;
 import 'package:cloud_functions/cloud_functions.dart';
+import 'package:firebase_auth/firebase_auth.dart';
+import 'package:http/http.dart' as http;
 import '../services/food_analyzer_api.dart';
 
 class AIService {
+  // Server-Sent Events endpoint that relays tokens as they are generated
+  static const String streamEndpoint =
+      'https://us-central1-fitly-5651e.cloudfunctions.net/streamAIResponseHttp';
+
   final FirebaseFunctions _functions = FirebaseFunctions.instance;
   bool _hasInitializationError = false;
 
   /// Stream for receiving real-time token updates
   StreamController<String>? _streamController;
 
-  /// Begin streaming AI response and return a stream of token chunks
-  Stream<String> streamAIResponse(List<Map<String, dynamic>> messages) {
+  /// Called when the text streamed so far is dropped because the Coach
+  /// looked something up and starts its answer over
+  void Function()? _onReset;
+
+  /// Begin streaming AI response and return a stream of token chunks.
+  /// [onReset] is called when the tokens received so far should be discarded.
+  Stream<String> streamAIResponse(List<Map<String, dynamic>> messages,
+      {void Function()? onReset}) {
     // Create a stream controller
     _streamController = StreamController<String>();
+    _onReset = onReset;
 
     // Start the streaming process
     _getStreamingResponse(messages);
@@ -42,45 +56,22 @@ class AIService {
       // Create a flat structure for the messages
       final List<Map<String, String>> safeMessages = [];
 
-      // Add a system message with formatting instructions
-      safeMessages.add({
-        'role': 'system',
-        'content': 'You are a premium fitness and nutrition coach inside the Fitly app. All responses must follow these rules:\n\n'
-            '1. Be clear, concise, and easy to follow.\n\n'
-            '2. Use bold section headers with double asterisks (e.g., **Nutrition Tips:**, **Workout Plan:**, **Progress Tips:**).\n\n'
-            '3. Use single asterisks for medium emphasis text (e.g., *Important:*, *Note:*, *Remember:*).\n\n'
-            '4. Break info into short bullet points — each line should feel tight and useful.\n\n'
-            '5. Avoid paragraphs or long explanations. Aim for a clean, modern premium app tone.\n\n'
-            '6. All numbers must be rounded and practical (e.g., 3-5x/week, 100g chicken = 165 cal).\n\n'
-            '7. Include actionable tips or structure when relevant (e.g., meals, routines, mindset).\n\n'
-            '8. Never over-explain. No motivational fluff. Just smart, efficient advice.\n\n'
-            '9. Keep formatting consistent across all answers (bullets, bold labels, calorie info etc).\n\n'
-            '10. CRITICALLY IMPORTANT: Insert EXACTLY ONE empty line after EVERY heading.\n\n'
-            '11. DO NOT use markdown syntax with # or ### symbols anywhere.\n\n'
-            '12. DO NOT use quotation marks around examples or anywhere else in your response.\n\n'
-            '13. Example structure:\n\n'
-            '**Goal Plan:**\n\n'
-            '- Calories: Target 300–500 kcal deficit/day\n'
-            '- Protein: Prioritize *lean sources* (e.g., chicken, eggs)\n'
-            '- Veggies: Half plate; spinach/broccoli are low cal\n\n'
-            '**Training:**\n\n'
-            '- Cardio: 3–5x/week (burns 150–300 kcal/session)\n'
-            '- Strength: 2–3x/week (preserve muscle)\n\n'
-            '**Tips:**\n\n'
-            '- Track food *daily*\n'
-            '- Sleep 7–9 hrs/night\n'
-            '- Weigh once/week only\n\n'
-            'Always respond in this format unless asked to be casual or conversational.'
-      });
-
-      // Add the user messages
+      // Add the conversation turns. The Coach persona and its formatting
+      // rules are owned by the server, which drops any system message.
       for (final msg in messages) {
+        if (msg['role'] == 'system') continue;
         safeMessages.add({
           'role': (msg['role'] ?? 'user').toString(),
           'content': (msg['content'] ?? '').toString(),
         });
       }
 
+      // Prefer real token streaming; fall back to the callable if it fails
+      // before any content arrived
+      if (await _streamFromSse(safeMessages, _streamController!)) {
+        return;
+      }
+
       try {
         // Create a direct streaming implementation using the function
         final streamController = StreamController<String>();
@@ -98,20 +89,8 @@ class AIService {
           final data = result.data as Map<String, dynamic>;
 
           if (data['success'] == true) {
-            // If we already received chunks in result, process them immediately
-            if (data.containsKey('chunks') &&
-                data['chunks'] is List &&
-                (data['chunks'] as List).isNotEmpty) {
-              print(
-                  "Received ${(data['chunks'] as List).length} chunks in response");
-
-              // Instead of adding chunks all at once, add them with a tiny delay
-              // to simulate the streaming effect
-              _streamChunksWithDelay(
-                  data['chunks'] as List, _streamController!);
-            }
-            // If there's just fullContent, simulate typing it out
-            else if (data.containsKey('fullContent') &&
+            // The callable answers all at once; simulate typing it out
+            if (data.containsKey('fullContent') &&
                 data['fullContent'] is String) {
               _simulateStreaming(
                   data['fullContent'] as String, _streamController!);
@@ -149,25 +128,80 @@ class AIService {
     }
   }
 
-  /// Stream chunks from a list with a minimal delay between each
-  void _streamChunksWithDelay(
-      List chunks, StreamController<String> controller) async {
-    if (_streamController == null || _streamController!.isClosed) return;
-
-    for (final chunk in chunks) {
-      if (_streamController!.isClosed) return;
+  /// Stream tokens from the SSE endpoint as they are generated.
+  /// Returns false if no content was received, so the caller can fall back.
+  Future<bool> _streamFromSse(List<Map<String, String>> safeMessages,
+      StreamController<String> controller) async {
+    final client = http.Client();
+    bool receivedContent = false;
+    try {
+      final request = http.Request('POST', Uri.parse(streamEndpoint))
+        ..headers['Content-Type'] = 'application/json'
+        ..body = jsonEncode({'messages': safeMessages});
+
+      // The endpoint only serves signed-in users
+      final idToken = await FirebaseAuth.instance.currentUser?.getIdToken();
+      if (idToken != null) {
+        request.headers['Authorization'] = 'Bearer $idToken';
+      }
 
-      // Add chunk to the stream
-      controller.add(chunk.toString());
+      final response =
+          await client.send(request).timeout(const Duration(seconds: 30));
+      if (response.statusCode == 401 || response.statusCode == 429) {
+        // Not signed in or out of today's allowance: show the reason
+        // instead of retrying through the fallback path
+        final body = jsonDecode(await response.stream.bytesToString());
+        controller.add(body['error']?.toString() ??
+            'The Coach is unavailable right now.');
+        if (!controller.isClosed) {
+          controller.close();
+        }
+        return true;
+      }
+      if (response.statusCode != 200) {
+        print('AI Service: SSE endpoint returned ${response.statusCode}');
+        return false;
+      }
 
-      // Add a tiny delay to make it feel like real-time typing
-      // This makes it feel more natural than dumping all at once
-      await Future.delayed(Duration(milliseconds: 10));
-    }
+      String event = 'message';
+      await for (final line in response.stream
+          .transform(utf8.decoder)
+          .transform(const LineSplitter())) {
+        if (controller.isClosed) return true;
+
+        if (line.startsWith('event:')) {
+          event = line.substring(6).trim();
+        } else if (line.startsWith('data:')) {
+          final payload = jsonDecode(line.substring(5).trim());
+          if (event == 'delta') {
+            receivedContent = true;
+            controller.add(payload['content'].toString());
+          } else if (event == 'reset') {
+            _onReset?.call();
+          } else if (event == 'error') {
+            throw Exception(payload['error']);
+          } else if (event == 'done') {
+            break;
+          }
+        }
+      }
 
-    // Close the stream when done
-    if (!_streamController!.isClosed) {
-      controller.close();
+      if (!controller.isClosed) {
+        controller.close();
+      }
+      return true;
+    } catch (e) {
+      print('AI Service: SSE streaming error: $e');
+      // Keep what was already shown rather than restarting the answer
+      if (receivedContent) {
+        if (!controller.isClosed) {
+          controller.close();
+        }
+        return true;
+      }
+      return false;
+    } finally {
+      client.close();
     }
   }
 
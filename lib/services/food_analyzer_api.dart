@@ -1,4 +1,6 @@
+import 'dart:async';
 import 'dart:convert';
+import 'package:firebase_auth/firebase_auth.dart';
 import 'package:flutter/foundation.dart';
 import 'package:http/http.dart' as http;
 
@@ -9,29 +11,52 @@ class FoodAnalyzerApi {
   // Endpoint for food analysis
   static const String analyzeEndpoint = '/api/analyze-food';
 
-  // Method to analyze a food image
-  static Future<Map<String, dynamic>> analyzeFoodImage(
-      Uint8List imageBytes) async {
+  // Endpoints for logging food without a photo
+  static const String analyzeTextEndpoint = '/api/analyze-text';
+  static const String barcodeEndpoint = '/api/lookup-barcode';
+
+  // Endpoint for logged calories and macros against the user's targets
+  static const String summaryEndpoint = '/api/nutrition-summary';
+
+  // Endpoint for recalculating a meal after its ingredient weights were edited
+  static const String recomputeEndpoint = '/api/recompute-meal';
+
+  // Method to analyze a food image. With [save] the result is also stored
+  // in the user's food log, and the returned data carries its `mealId`.
+  static Future<Map<String, dynamic>> analyzeFoodImage(Uint8List imageBytes,
+      {bool save = false, String? mealType}) async {
     try {
-      // Convert image bytes to base64
-      final String base64Image = base64Encode(imageBytes);
-      final String dataUri = 'data:image/jpeg;base64,$base64Image';
+      // The API only serves signed-in users
+      final String? idToken =
+          await FirebaseAuth.instance.currentUser?.getIdToken();
+      if (idToken == null) {
+        throw Exception('Please sign in to analyze food images');
+      }
 
-      // Call our secure API endpoint
-      final response = await http
-          .post(
-            Uri.parse('$baseUrl$analyzeEndpoint'),
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: jsonEncode({'image': dataUri}),
-          )
-          .timeout(const Duration(seconds: 30));
-
-      // Check for HTTP errors
+      // Send the photo as a multipart file rather than base64 JSON, which is
+      // a third larger on the wire
+      final request =
+          http.MultipartRequest('POST', Uri.parse('$baseUrl$analyzeEndpoint'))
+            ..headers['Authorization'] = 'Bearer $idToken'
+            ..files.add(http.MultipartFile.fromBytes('image', imageBytes,
+                filename: 'meal.jpg'));
+      if (save) {
+        request.fields['save'] = 'true';
+        request.fields['eatenAt'] = DateTime.now().toUtc().toIso8601String();
+        if (mealType != null) request.fields['mealType'] = mealType;
+      }
+
+      // Call our secure API endpoint. The server gives up on OpenAI before
+      // this, so a timeout here means the server itself is unreachable.
+      final response = await http.Response.fromStream(await request
+          .send()
+          .timeout(const Duration(seconds: 30), onTimeout: _serverTimeout));
+
+      // Missing sign-in, exhausted daily quota and OpenAI failures (502-504
+      // with an upstream_* code) come back with a readable message
       if (response.statusCode != 200) {
         print('API error: ${response.statusCode}, ${response.body}');
-        throw Exception('Failed to analyze image: ${response.statusCode}');
+        throw Exception(_errorMessage(response, 'Failed to analyze image'));
       }
 
       // Parse the response
@@ -50,6 +75,126 @@ class FoodAnalyzerApi {
     }
   }
 
+  // Analyze a written description such as "two eggs and toast with butter".
+  // The returned data has the same shape as [analyzeFoodImage].
+  static Future<Map<String, dynamic>> analyzeFoodText(String description,
+      {bool save = false, String? mealType}) {
+    return _postJson(analyzeTextEndpoint, {
+      'text': description,
+      ..._saveFields(save, mealType),
+    });
+  }
+
+  // Resolve a UPC/EAN barcode. The data has the same `meal` shape as an
+  // image analysis for one serving (or [servings] / [grams]), plus `product`.
+  static Future<Map<String, dynamic>> lookupBarcode(String barcode,
+      {double? servings, double? grams, bool save = false, String? mealType}) {
+    return _postJson(barcodeEndpoint, {
+      'barcode': barcode,
+      if (servings != null) 'servings': servings,
+      if (grams != null) 'grams': grams,
+      ..._saveFields(save, mealType),
+    });
+  }
+
+  // Recalculate an analysis after the user edited ingredient weights, without
+  // another image analysis. Send the data from [analyzeFoodImage] back with
+  // the changed `grams`; the result has the same shape.
+  static Future<Map<String, dynamic>> recomputeMeal(
+      Map<String, dynamic> analysis) {
+    return _postJson(recomputeEndpoint, analysis);
+  }
+
+  static Map<String, dynamic> _saveFields(bool save, String? mealType) {
+    if (!save) return {};
+    return {
+      'save': true,
+      'eatenAt': DateTime.now().toUtc().toIso8601String(),
+      if (mealType != null) 'mealType': mealType,
+    };
+  }
+
+  static Future<Map<String, dynamic>> _postJson(
+      String endpoint, Map<String, dynamic> body) async {
+    final String? idToken =
+        await FirebaseAuth.instance.currentUser?.getIdToken();
+    if (idToken == null) {
+      throw Exception('Please sign in to log food');
+    }
+
+    final response = await http
+        .post(
+          Uri.parse('$baseUrl$endpoint'),
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer $idToken',
+          },
+          body: jsonEncode(body),
+        )
+        .timeout(const Duration(seconds: 30), onTimeout: _serverTimeout);
+
+    if (response.statusCode != 200) {
+      throw Exception(_errorMessage(response, 'Request failed'));
+    }
+    final Map<String, dynamic> responseData = jsonDecode(response.body);
+    if (responseData['success'] != true) {
+      throw Exception(responseData['error'] ?? 'Request failed: ${response.statusCode}');
+    }
+    return responseData['data'];
+  }
+
+  static Never _serverTimeout() {
+    throw TimeoutException(
+        'The server did not answer within 30 seconds. Check your connection and try again.');
+  }
+
+  // The server's own message for a failed request. Error bodies are JSON with
+  // `error` and usually a `code`; a proxy in front of the server may answer
+  // with HTML instead.
+  static String _errorMessage(http.Response response, String fallback) {
+    try {
+      final Map<String, dynamic> errorData = jsonDecode(response.body);
+      if (errorData['error'] != null) return errorData['error'];
+    } catch (_) {}
+    return '$fallback: ${response.statusCode}';
+  }
+
+  // Totals, daily targets and remaining budget for a 'day', 'week' or
+  // 'range' (with [from] and [to], YYYY-MM-DD) of the food log
+  static Future<Map<String, dynamic>> getNutritionSummary({
+    String period = 'day',
+    String? date,
+    String? from,
+    String? to,
+    String? timeZone,
+  }) async {
+    final String? idToken =
+        await FirebaseAuth.instance.currentUser?.getIdToken();
+    if (idToken == null) {
+      throw Exception('Please sign in to see your nutrition summary');
+    }
+
+    final uri = Uri.parse('$baseUrl$summaryEndpoint').replace(
+      queryParameters: {
+        'period': period,
+        if (date != null) 'date': date,
+        if (from != null) 'from': from,
+        if (to != null) 'to': to,
+        if (timeZone != null) 'timeZone': timeZone,
+      },
+    );
+    final response = await http.get(
+      uri,
+      headers: {'Authorization': 'Bearer $idToken'},
+    ).timeout(const Duration(seconds: 15));
+
+    final Map<String, dynamic> responseData = jsonDecode(response.body);
+    if (response.statusCode != 200 || responseData['success'] != true) {
+      throw Exception('Nutrition summary error: ${responseData['error']}');
+    }
+    return responseData['data'];
+  }
+
   // Check if the API is available
   static Future<bool> checkApiAvailability() async {
     try {
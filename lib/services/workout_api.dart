@@ -0,0 +1,115 @@
+import 'dart:convert';
+import 'package:firebase_auth/firebase_auth.dart';
+import 'package:http/http.dart' as http;
+
+import 'food_analyzer_api.dart';
+
+// Routines and completed workouts, stored per user by the API server so they
+// survive reinstalls and sync across devices
+class WorkoutApi {
+  static const String routinesEndpoint = '/api/routines';
+  static const String workoutsEndpoint = '/api/workouts';
+
+  static Future<List<dynamic>> listRoutines() async {
+    final response = await _send('GET', routinesEndpoint);
+    return response['data'];
+  }
+
+  // [routine] has a `name`, optional `description` and `exercises`, each with
+  // `name`, optional `restSeconds` and `sets` of `reps`/`weightKg`
+  static Future<Map<String, dynamic>> createRoutine(
+      Map<String, dynamic> routine) async {
+    final response = await _send('POST', routinesEndpoint, body: routine);
+    return response['data'];
+  }
+
+  static Future<Map<String, dynamic>> updateRoutine(
+      String id, Map<String, dynamic> routine) async {
+    final response =
+        await _send('PUT', '$routinesEndpoint/$id', body: routine);
+    return response['data'];
+  }
+
+  static Future<void> deleteRoutine(String id) async {
+    await _send('DELETE', '$routinesEndpoint/$id');
+  }
+
+  // Record a finished session. Sets may carry `completed: false` for the
+  // ones that were skipped. With [bodyWeightKg] the server estimates the
+  // calories when the session has none. [timeZone] (IANA, e.g.
+  // 'Europe/Berlin') sets which day and week the session counts towards.
+  static Future<Map<String, dynamic>> saveWorkout(
+      Map<String, dynamic> workout,
+      {double? bodyWeightKg, String? timeZone}) async {
+    final response = await _send('POST', workoutsEndpoint, body: {
+      ...workout,
+      if (bodyWeightKg != null) 'bodyWeightKg': bodyWeightKg,
+      if (timeZone != null) 'timeZone': timeZone,
+    });
+    return response['data'];
+  }
+
+  // One page of history, newest first. Pass the returned `nextCursor` as
+  // [cursor] to load the next page; it is null on the last one.
+  static Future<Map<String, dynamic>> getWorkoutHistory({
+    int limit = 20,
+    String? cursor,
+    DateTime? from,
+    DateTime? to,
+    String? activity,
+    String? routineId,
+  }) async {
+    final response = await _send('GET', workoutsEndpoint, query: {
+      'limit': '$limit',
+      if (cursor != null) 'cursor': cursor,
+      if (from != null) 'from': from.toUtc().toIso8601String(),
+      if (to != null) 'to': to.toUtc().toIso8601String(),
+      if (activity != null) 'activity': activity,
+      if (routineId != null) 'routineId': routineId,
+    });
+    return {
+      'workouts': response['data'],
+      'nextCursor': response['nextCursor'],
+    };
+  }
+
+  // Records, estimated one-rep maxes, weekly volume per muscle group and
+  // streaks, kept up to date by the server as sessions are saved
+  static Future<Map<String, dynamic>> getProgress() async {
+    final response = await _send('GET', '$workoutsEndpoint/progress');
+    return response['data'];
+  }
+
+  static Future<void> deleteWorkout(String id) async {
+    await _send('DELETE', '$workoutsEndpoint/$id');
+  }
+
+  static Future<Map<String, dynamic>> _send(String method, String endpoint,
+      {Map<String, dynamic>? body, Map<String, String>? query}) async {
+    final String? idToken =
+        await FirebaseAuth.instance.currentUser?.getIdToken();
+    if (idToken == null) {
+      throw Exception('Please sign in to sync your workouts');
+    }
+
+    final request = http.Request(
+        method,
+        Uri.parse('${FoodAnalyzerApi.baseUrl}$endpoint')
+            .replace(queryParameters: query))
+      ..headers['Authorization'] = 'Bearer $idToken';
+    if (body != null) {
+      request.headers['Content-Type'] = 'application/json';
+      request.body = jsonEncode(body);
+    }
+
+    final response = await http.Response.fromStream(
+        await request.send().timeout(const Duration(seconds: 15)));
+
+    final Map<String, dynamic> responseData = jsonDecode(response.body);
+    if (response.statusCode >= 300 || responseData['success'] != true) {
+      throw Exception(
+          responseData['error'] ?? 'Request failed: ${response.statusCode}');
+    }
+    return responseData;
+  }
+}